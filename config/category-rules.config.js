@@ -0,0 +1,62 @@
+/**
+ * Default Category Rules
+ * Seeded into the database on first run, then managed with
+ * `node src/database-cli.js rules ...`. Articles get every category whose rule
+ * matches their title and content, highest priority first; when none match
+ * they keep their source's category.
+ *
+ *   keywords  comma-separated words or phrases, matched whole and case-insensitively;
+ *             minMatches distinct keywords must appear
+ *   regex     a JavaScript regular expression, matched case-insensitively
+ *   source    limits the rule to articles from one source
+ */
+
+export const defaultCategoryRules = [
+    {
+        category: 'politics',
+        type: 'keywords',
+        pattern: 'election, elections, parliament, senate, national assembly, prime minister, minister, cabinet, lawmakers, opposition leader, ruling party, coalition, vote, referendum, president',
+        priority: 20
+    },
+    {
+        category: 'politics',
+        type: 'regex',
+        pattern: '\\b(PTI|PML-N|PPP|JUI-F|MQM-P)\\b',
+        priority: 20
+    },
+    {
+        category: 'business',
+        type: 'keywords',
+        pattern: 'economy, inflation, stock market, stocks, shares, investors, IMF, budget, tax, taxes, tariff, tariffs, trade deficit, GDP, central bank, interest rate, rupee, exports, imports, earnings, oil prices',
+        minMatches: 2,
+        priority: 10
+    },
+    {
+        category: 'technology',
+        type: 'keywords',
+        pattern: 'artificial intelligence, AI, software, smartphone, app, cyber, cyberattack, hackers, chip, chips, semiconductor, internet, startup, OpenAI, Apple, Google, Microsoft',
+        minMatches: 2,
+        priority: 10
+    },
+    {
+        category: 'sports',
+        type: 'keywords',
+        pattern: 'cricket, football, tournament, world cup, olympics, match, wicket, innings, championship, league, FIFA, ICC, PCB',
+        minMatches: 2,
+        priority: 10
+    },
+    {
+        category: 'pakistan',
+        type: 'keywords',
+        pattern: 'Pakistan, Pakistani, Islamabad, Karachi, Lahore, Peshawar, Quetta, Balochistan, Punjab, Sindh, Khyber Pakhtunkhwa',
+        priority: 5
+    },
+    {
+        // Geo's general feed mixes world stories into its Pakistan coverage
+        category: 'world',
+        type: 'keywords',
+        pattern: 'United Nations, UN, Gaza, Ukraine, Russia, China, Iran, Afghanistan, India, United States, Europe',
+        source: 'Geo News',
+        priority: 5
+    }
+];
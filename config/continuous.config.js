@@ -1,5 +1,6 @@
 /**
  * Continuous Scraper Configuration
+ * Validated at startup - unknown keys and bad values stop the scraper with an error
  */
 
 export const continuousConfig = {
@@ -9,36 +10,12 @@ export const continuousConfig = {
     // Maximum articles to process per scrape (0 = no limit)
     maxArticlesPerScrape: 0,
     
-    // Enable/disable specific news sources (working sources only)
-    enabledSources: [
-        'Al Jazeera',
-        'BBC News', 
-        'BBC World',
-        'BBC Business',
-        'BBC Technology',
-        'Dawn News',
-        'Geo News',
-        'Geo Pakistan',
-        'Geo World',
-        'Geo Business',
-        'Geo Sports',
-        'Geo Technology',
-        'CNN Top Stories',
-        'The Guardian',
-        'NPR News',
-        'PBS News'
-    ],
+    // Only fetch these sources, by registry name (empty = every enabled source in the registry,
+    // including ones added with `source add`; prefer `source disable` to leave one out)
+    enabledSources: [],
     
-    // Enable/disable specific categories
-    enabledCategories: [
-        'international',
-        'world',
-        'business',
-        'technology',
-        'pakistan',
-        'sports',
-        'politics'
-    ],
+    // Only fetch sources in these categories (empty = all categories)
+    enabledCategories: [],
     
     // Logging configuration
     logging: {
@@ -63,8 +40,132 @@ export const continuousConfig = {
         // Check for duplicates by title and source (backup)
         checkByTitle: true,
         
-        // Maximum duplicate check attempts
-        maxDuplicateChecks: 3
+        // Check for near-identical titles from the same source (Jaccard similarity above threshold)
+        similarityThreshold: 0.8,
+        
+        // How far back to compare titles for similarity
+        similarityWindowHours: 48,
+        
+        // Maximum duplicate check strategies to run per scrape (1-3, title similarity is last)
+        maxDuplicateChecks: 3,
+        
+        // Compare refetched articles with stored ones and keep edited headlines as revisions
+        trackRevisions: true,
+        
+        // MySQL connection pool (not used with SQLite)
+        mysql: {
+            // Connections open at once
+            connectionLimit: 5,
+            
+            // Give up on connecting to the server after this long
+            connectTimeoutSeconds: 10,
+            
+            // Fail a statement that runs longer than this (0 = no limit, schema changes are never limited)
+            queryTimeoutSeconds: 60,
+            
+            // Ping the server this often to notice dropped connections (0 = off)
+            healthCheckIntervalSeconds: 60,
+            
+            // Retries for a read that fails on a lost connection, or a write that never reached the server
+            maxRetries: 3,
+            
+            // Delay before the first retry, doubling for each further retry up to maxBackoffSeconds
+            baseBackoffSeconds: 1,
+            maxBackoffSeconds: 30
+        }
+    },
+    
+    // Feed fetching (1 for concurrency fetches one source at a time)
+    fetching: {
+        // Maximum feeds fetched at once
+        concurrency: 6,
+        
+        // Maximum feeds fetched at once from the same host
+        perHostConcurrency: 2,
+        
+        // Give up on a single feed request after this many seconds
+        requestTimeoutSeconds: 15,
+        
+        // Stop fetching and retrying this many seconds into a scrape (must fit in the scrape interval)
+        cycleDeadlineSeconds: 50,
+        
+        // Attempts per feed before it counts as failed
+        maxRetries: 3
+    },
+    
+    // Circuit breaker for feeds that keep failing
+    circuitBreaker: {
+        // Skip failing feeds and probe them again later
+        enabled: true,
+        
+        // Consecutive failed fetches before a feed is skipped
+        failureThreshold: 3,
+        
+        // First wait before probing a skipped feed, doubled after each failed probe
+        baseBackoffMinutes: 5,
+        
+        // Longest wait between probes
+        maxBackoffMinutes: 240
+    },
+    
+    // Article page enrichment: downloads each stored article's page for full text,
+    // author, canonical URL, lead image and og: metadata (runs apart from the RSS cycle)
+    enrichment: {
+        // Enable background enrichment in the continuous scraper
+        enabled: false,
+        
+        // Pages downloaded at once (never more than one per host)
+        concurrency: 2,
+        
+        // Maximum page downloads per minute across all hosts
+        requestsPerMinute: 30,
+        
+        // Give up on a page after this many seconds
+        requestTimeoutSeconds: 15,
+        
+        // How often to look for articles to enrich, and how many per batch
+        pollSeconds: 30,
+        batchSize: 20,
+        
+        // Only enrich articles stored within this many hours
+        maxArticleAgeHours: 24,
+        
+        // Longest body text stored, in characters
+        maxBodyLength: 100000,
+        
+        // Largest page downloaded, in bytes (larger pages are cut off here)
+        maxPageBytes: 2000000
+    },
+    
+    // Cross-source story clustering (articles on the same event grouped into one story)
+    stories: {
+        // Assign stored articles to stories
+        enabled: true,
+        
+        // Minimum Jaccard similarity of significant title words to join a story
+        similarityThreshold: 0.45,
+        
+        // How far back to look for articles covering the same story
+        windowHours: 48
+    },
+    
+    // Saved search alerts (manage subscriptions with `node src/database-cli.js alerts ...`)
+    alerts: {
+        // Match new articles against saved searches after each scrape
+        enabled: false,
+        
+        // Give up on a webhook or SMTP delivery after this many seconds
+        requestTimeoutSeconds: 10,
+        
+        // Most articles in one alert, the rest follow in the next scrape
+        maxArticlesPerAlert: 20,
+        
+        // SMTP relay for email alerts (plain SMTP, no authentication)
+        smtp: {
+            host: 'localhost',
+            port: 25,
+            from: 'news-alerts@localhost'
+        }
     },
     
     // Time-based filtering for real-time news
@@ -79,18 +180,39 @@ export const continuousConfig = {
         fallbackToAll: false
     },
     
+    // HTTP API for querying stored articles
+    api: {
+        // Start the API server alongside the continuous scraper
+        enabled: false,
+        
+        // Port and host to listen on (PORT env variable overrides port)
+        port: 3000,
+        host: '0.0.0.0',
+        
+        // Page size when no limit is given, and the largest allowed limit
+        defaultLimit: 20,
+        maxLimit: 100,
+        
+        // Aggregated feeds under /feeds: articles per feed, the title they are
+        // published under, and the public URL their links use (null = the
+        // address each request came in on, set it when behind a proxy)
+        feedLimit: 50,
+        feedTitle: 'News Fetcher',
+        publicUrl: null
+    },
+    
     // Error handling (optimized for 24/7)
     errorHandling: {
         // Maximum consecutive errors before stopping (increased for 24/7)
         maxConsecutiveErrors: 10,
         
-        // Retry delay in minutes after error
+        // Retry delay in minutes after error (only used when shorter than the scrape interval)
         retryDelayMinutes: 1,
         
         // Continue scraping on individual source errors
         continueOnSourceError: true,
         
-        // Auto-restart on critical errors
+        // Auto-restart on critical errors (otherwise stop and exit)
         autoRestart: true,
         
         // Maximum restart attempts per hour
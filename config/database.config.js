@@ -1,37 +1,22 @@
 /**
  * Database Configuration
- * Choose between SQLite (default) or MySQL (XAMPP)
+ * Connection settings come from the environment, never from this file. Pick a
+ * profile with APP_ENV or NODE_ENV (development, test or production) and
+ * override it with DATABASE_URL, or with DATABASE_TYPE, DB_HOST, DB_PORT,
+ * DB_USER, DB_PASSWORD, DB_NAME and SQLITE_PATH. These can be set in the shell,
+ * in .env / .env.<profile>, or per profile in config/database.json (or the file
+ * named by DATABASE_CONFIG_FILE). Keep credentials out of git.
  */
 
-// Database type: 'sqlite' or 'mysql'
-export const DATABASE_TYPE = 'mysql'; // Using MySQL for cPanel hosting
+export const DEFAULT_PROFILE = 'development';
 
-// SQLite configuration (default)
-export const sqliteConfig = {
-    database: 'news.db',
-    path: './news.db'
-};
+export const databaseProfiles = {
+    // Local SQLite file
+    development: { type: 'sqlite', path: './news.db' },
 
-// MySQL configuration (for cPanel hosting)
-export const mysqlConfig = {
-    host: 'firewalls247.com', // Your cPanel database host
-    user: 'infors3g', // Your cPanel username
-    password: 'wjjSLu5g$pQf3f&tmXcjKdwg765tq2', // Your cPanel password
-    database: 'infors3g_testst', // Your database name
-    port: 3306 // Working port
-};
+    // Throwaway in-memory database
+    test: { type: 'sqlite', path: ':memory:' },
 
-// Get current database configuration
-export function getDatabaseConfig() {
-    if (DATABASE_TYPE === 'mysql') {
-        return {
-            type: 'mysql',
-            config: mysqlConfig
-        };
-    } else {
-        return {
-            type: 'sqlite',
-            config: sqliteConfig
-        };
-    }
-}
+    // MySQL (cPanel hosting) - DB_USER, DB_PASSWORD and DB_NAME (or DATABASE_URL) must be set
+    production: { type: 'mysql', host: 'localhost', port: 3306 }
+};
@@ -0,0 +1,47 @@
+/**
+ * Default News Sources and Categories
+ * Seeded into the database on first run. After that the sources table is
+ * the source of truth - manage feeds with `node src/database-cli.js source ...`
+ */
+
+export const defaultCategories = [
+    { name: 'international', description: 'International news' },
+    { name: 'world', description: 'World news' },
+    { name: 'business', description: 'Business and finance' },
+    { name: 'technology', description: 'Technology news' },
+    { name: 'pakistan', description: 'Pakistan news' },
+    { name: 'sports', description: 'Sports news' },
+    { name: 'politics', description: 'Political news' }
+];
+
+export const defaultSources = [
+    // Al Jazeera
+    { name: 'Al Jazeera', url: 'https://www.aljazeera.com/xml/rss/all.xml', category: 'international' },
+
+    // BBC News
+    { name: 'BBC News', url: 'http://feeds.bbci.co.uk/news/rss.xml', category: 'international' },
+    { name: 'BBC World', url: 'http://feeds.bbci.co.uk/news/world/rss.xml', category: 'world' },
+    { name: 'BBC Business', url: 'http://feeds.bbci.co.uk/news/business/rss.xml', category: 'business' },
+    { name: 'BBC Technology', url: 'http://feeds.bbci.co.uk/news/technology/rss.xml', category: 'technology' },
+
+    // Dawn News (Pakistan)
+    { name: 'Dawn News', url: 'https://www.dawn.com/feeds/', category: 'pakistan' },
+
+    // Geo News (Pakistan)
+    { name: 'Geo News', url: 'https://www.geo.tv/rss/1/1', category: 'pakistan' },
+    { name: 'Geo Pakistan', url: 'https://www.geo.tv/rss/1/2', category: 'pakistan' },
+    { name: 'Geo World', url: 'https://www.geo.tv/rss/1/3', category: 'world' },
+    { name: 'Geo Business', url: 'https://www.geo.tv/rss/1/4', category: 'business' },
+    { name: 'Geo Sports', url: 'https://www.geo.tv/rss/1/5', category: 'sports' },
+    { name: 'Geo Technology', url: 'https://www.geo.tv/rss/1/6', category: 'technology' },
+
+    // CNN
+    { name: 'CNN Top Stories', url: 'http://rss.cnn.com/rss/edition.rss', category: 'international' },
+
+    // The Guardian
+    { name: 'The Guardian', url: 'https://www.theguardian.com/world/rss', category: 'international' },
+
+    // Additional reliable sources for 24/7 operation
+    { name: 'NPR News', url: 'https://feeds.npr.org/1001/rss.xml', category: 'international' },
+    { name: 'PBS News', url: 'https://www.pbs.org/newshour/feeds/rss/headlines', category: 'international' }
+];
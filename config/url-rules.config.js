@@ -0,0 +1,60 @@
+/**
+ * URL Canonicalization Rules
+ * `default` applies to every article URL. Each entry in `sources` adds to it
+ * for matching outlets - matched by source name first, then by host suffix.
+ */
+
+export const urlRules = {
+    default: {
+        // Query parameters removed from every URL (trailing * matches a prefix)
+        stripParams: ['utm_*', 'at_*', 'ns_*', 'fbclid', 'gclid', 'ocid', 'cmpid', 'mc_cid', 'mc_eid', '_ga', 'ito'],
+
+        // Rewrite http:// to https://
+        forceHttps: true,
+
+        // Drop a trailing slash from non-root paths
+        stripTrailingSlash: true,
+
+        // Collapse AMP variants (/amp, .amp, ?amp, outputType=amp) to the regular page
+        stripAmp: true
+    },
+
+    sources: [
+        {
+            name: 'BBC',
+            sources: ['BBC News', 'BBC World', 'BBC Business', 'BBC Technology'],
+            hosts: ['bbc.co.uk', 'bbc.com']
+        },
+        {
+            name: 'CNN',
+            sources: ['CNN Top Stories'],
+            hosts: ['cnn.com'],
+            hostAliases: { 'amp.cnn.com': 'edition.cnn.com' },
+            stripParams: ['iid', 'hpt', 'cid']
+        },
+        {
+            name: 'The Guardian',
+            sources: ['The Guardian'],
+            hosts: ['theguardian.com'],
+            hostAliases: { 'amp.theguardian.com': 'www.theguardian.com' },
+            stripParams: ['CMP']
+        },
+        {
+            name: 'Al Jazeera',
+            sources: ['Al Jazeera'],
+            hosts: ['aljazeera.com'],
+            hostAliases: { 'aljazeera.com': 'www.aljazeera.com' },
+            stripParams: ['traffic_source']
+        },
+        {
+            name: 'Geo News',
+            sources: ['Geo News', 'Geo Pakistan', 'Geo World', 'Geo Business', 'Geo Sports', 'Geo Technology'],
+            hosts: ['geo.tv']
+        },
+        {
+            name: 'Dawn News',
+            sources: ['Dawn News'],
+            hosts: ['dawn.com']
+        }
+    ]
+};
@@ -0,0 +1,143 @@
+import net from 'net';
+import os from 'os';
+import { formatAlertSubject, formatAlertText } from './format.js';
+
+/**
+ * Email the alert through an SMTP relay (plain SMTP without authentication,
+ * meant for a relay on localhost or the local network). The target is one
+ * address or a comma-separated list.
+ */
+export const emailChannel = {
+    type: 'email',
+
+    validateTarget(target) {
+        return parseRecipients(target).length > 0 ? null : 'must be one or more email addresses, separated by commas';
+    },
+
+    async send(alert, target, options = {}) {
+        const smtp = options.smtp || {};
+        const recipients = parseRecipients(target);
+        const message = buildMessage({
+            from: smtp.from,
+            to: recipients,
+            subject: formatAlertSubject(alert),
+            text: formatAlertText(alert)
+        });
+
+        await sendMail({
+            host: smtp.host || 'localhost',
+            port: smtp.port || 25,
+            from: smtp.from,
+            recipients,
+            message,
+            timeoutMs: (options.requestTimeoutSeconds || 10) * 1000
+        });
+    }
+};
+
+/**
+ * Split a comma-separated address list, dropping anything that isn't an address
+ */
+function parseRecipients(target) {
+    return String(target || '').split(',')
+        .map(address => address.trim())
+        .filter(address => /^[^\s@<>]+@[^\s@<>]+$/.test(address));
+}
+
+/**
+ * Build a UTF-8 plain text message with CRLF line endings
+ */
+function buildMessage({ from, to, subject, text }) {
+    const headers = [
+        `From: ${from}`,
+        `To: ${to.join(', ')}`,
+        `Subject: ${encodeHeader(subject)}`,
+        `Date: ${new Date().toUTCString()}`,
+        `Message-ID: <${Date.now()}.${Math.random().toString(36).slice(2)}@${os.hostname()}>`,
+        'MIME-Version: 1.0',
+        'Content-Type: text/plain; charset=utf-8',
+        'Content-Transfer-Encoding: 8bit'
+    ];
+    return `${headers.join('\r\n')}\r\n\r\n${text.replace(/\r?\n/g, '\r\n')}`;
+}
+
+/**
+ * RFC 2047 encode a header value that isn't plain ASCII
+ */
+function encodeHeader(value) {
+    return /^[\x20-\x7e]*$/.test(value)
+        ? value
+        : `=?UTF-8?B?${Buffer.from(value, 'utf8').toString('base64')}?=`;
+}
+
+/**
+ * Deliver a message over one SMTP session: EHLO, MAIL FROM, RCPT TO, DATA, QUIT
+ */
+function sendMail({ host, port, from, recipients, message, timeoutMs }) {
+    return new Promise((resolve, reject) => {
+        const socket = net.createConnection({ host, port });
+        const replies = [];
+        const waiting = [];
+        let buffer = '';
+        let lines = [];
+        let settled = false;
+
+        const finish = (error) => {
+            if (settled) return;
+            settled = true;
+            socket.destroy();
+            if (error) reject(error);
+            else resolve();
+        };
+
+        // Complete replies ("250 OK", or "250-..." lines up to "250 ...") in arrival order
+        const nextReply = () => new Promise(resolveReply => {
+            if (replies.length > 0) resolveReply(replies.shift());
+            else waiting.push(resolveReply);
+        });
+
+        socket.setEncoding('utf8');
+        socket.setTimeout(timeoutMs, () => finish(new Error(`SMTP server ${host}:${port} timed out`)));
+        socket.on('error', error => finish(error));
+        socket.on('close', () => finish(new Error('SMTP connection closed unexpectedly')));
+        socket.on('data', chunk => {
+            buffer += chunk;
+            let newline;
+            while ((newline = buffer.indexOf('\r\n')) >= 0) {
+                const line = buffer.slice(0, newline);
+                buffer = buffer.slice(newline + 2);
+                lines.push(line);
+                if (/^\d{3}(?: |$)/.test(line)) {
+                    const reply = { code: parseInt(line.slice(0, 3), 10), text: lines.join('\n') };
+                    lines = [];
+                    if (waiting.length > 0) waiting.shift()(reply);
+                    else replies.push(reply);
+                }
+            }
+        });
+
+        const expect = async (command, accepted, label = command?.split(' ')[0] || 'greeting') => {
+            if (command !== null) {
+                socket.write(`${command}\r\n`);
+            }
+            const reply = await nextReply();
+            if (!accepted.includes(reply.code)) {
+                throw new Error(`SMTP ${label} rejected: ${reply.text}`);
+            }
+        };
+
+        (async () => {
+            await expect(null, [220]);
+            await expect(`EHLO ${os.hostname()}`, [250]);
+            await expect(`MAIL FROM:<${from}>`, [250]);
+            for (const recipient of recipients) {
+                await expect(`RCPT TO:<${recipient}>`, [250, 251]);
+            }
+            await expect('DATA', [354]);
+            // Dot-stuff lines starting with "." so they can't end the message early
+            await expect(`${message.replace(/^\./gm, '..')}\r\n.`, [250], 'message');
+            socket.write('QUIT\r\n');
+            finish();
+        })().catch(finish);
+    });
+}
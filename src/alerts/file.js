@@ -0,0 +1,19 @@
+import { appendFile, mkdir } from 'fs/promises';
+import path from 'path';
+import { alertToJSON } from './format.js';
+
+/**
+ * Append the alert to a file as one JSON line
+ */
+export const fileChannel = {
+    type: 'file',
+
+    validateTarget(target) {
+        return target.trim().length > 0 ? null : 'must be a file path';
+    },
+
+    async send(alert, target) {
+        await mkdir(path.dirname(path.resolve(target)), { recursive: true });
+        await appendFile(target, `${JSON.stringify(alertToJSON(alert))}\n`, 'utf8');
+    }
+};
@@ -0,0 +1,51 @@
+import { formatDisplayDate } from '../utils/dates.js';
+
+/**
+ * Alert payload for webhooks and alert files
+ */
+export function alertToJSON(alert) {
+    return {
+        search: {
+            name: alert.search.name,
+            query: alert.search.query,
+            source: alert.search.source,
+            category: alert.search.category,
+            language: alert.search.language
+        },
+        firedAt: alert.firedAt,
+        articles: alert.articles.map(article => ({
+            id: article.id,
+            title: article.title,
+            summary: article.summary || article.content,
+            url: article.url,
+            source: article.source,
+            categories: article.categories,
+            language: article.language,
+            publishedDate: article.publishedDate
+        }))
+    };
+}
+
+/**
+ * One-line subject for an alert
+ */
+export function formatAlertSubject(alert) {
+    const count = alert.articles.length;
+    return count === 1
+        ? `[${alert.search.name}] ${alert.articles[0].title}`
+        : `[${alert.search.name}] ${count} new articles`;
+}
+
+/**
+ * Plain text body listing an alert's articles
+ */
+export function formatAlertText(alert) {
+    const lines = [`New articles for your saved search "${alert.search.name}":`, ''];
+    alert.articles.forEach((article, index) => {
+        lines.push(`${index + 1}. ${article.title}`);
+        lines.push(`   ${article.source} | ${formatDisplayDate(article.publishedDate)}`);
+        lines.push(`   ${article.url}`);
+        lines.push('');
+    });
+    return lines.join('\n');
+}
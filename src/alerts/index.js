@@ -0,0 +1,27 @@
+import { webhookChannel } from './webhook.js';
+import { emailChannel } from './email.js';
+import { fileChannel } from './file.js';
+
+/**
+ * Alert channels by type - each is { type, validateTarget(target), send(alert,
+ * target, options) } where an alert is { search, articles, firedAt } and
+ * validateTarget returns an error message or null. Add new ones here.
+ */
+export const alertChannels = {
+    [webhookChannel.type]: webhookChannel,
+    [emailChannel.type]: emailChannel,
+    [fileChannel.type]: fileChannel
+};
+
+export const ALERT_CHANNELS = Object.keys(alertChannels);
+
+/**
+ * Get the channel for a saved search's channel type
+ */
+export function getAlertChannel(type) {
+    const channel = alertChannels[type];
+    if (!channel) {
+        throw new Error(`Unknown alert channel "${type}" (expected one of: ${ALERT_CHANNELS.join(', ')})`);
+    }
+    return channel;
+}
@@ -0,0 +1,24 @@
+import { alertToJSON } from './format.js';
+
+/**
+ * POST the alert as JSON to a URL
+ */
+export const webhookChannel = {
+    type: 'webhook',
+
+    validateTarget(target) {
+        return /^https?:\/\/\S+$/.test(target) ? null : 'must be an http(s) URL';
+    },
+
+    async send(alert, target, options = {}) {
+        const response = await fetch(target, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json', 'User-Agent': 'news-fetcher-alerts' },
+            body: JSON.stringify(alertToJSON(alert)),
+            signal: AbortSignal.timeout((options.requestTimeoutSeconds || 10) * 1000)
+        });
+        if (!response.ok) {
+            throw new Error(`Webhook responded with HTTP ${response.status}`);
+        }
+    }
+};
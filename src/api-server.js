@@ -0,0 +1,55 @@
+import { DatabaseFactory } from './services/DatabaseFactory.js';
+import { ApiServer } from './services/ApiServer.js';
+import { continuousConfig } from '../config/continuous.config.js';
+
+/**
+ * Standalone API Server Application
+ * Serves stored articles over HTTP without running the scraper
+ */
+class ApiApp {
+    constructor() {
+        this.db = DatabaseFactory.create();
+        this.server = new ApiServer(this.db, {
+            ...continuousConfig.api,
+            port: parseInt(process.env.PORT) || continuousConfig.api.port
+        });
+    }
+
+    /**
+     * Initialize database and start serving
+     */
+    async run() {
+        try {
+            console.log('🚀 Starting News API Server');
+            console.log('===========================');
+
+            await this.db.initialize();
+            await this.server.start();
+
+            this.setupGracefulShutdown();
+        } catch (error) {
+            console.error('❌ API server failed to start:', error.message);
+            await this.db.close();
+            process.exit(1);
+        }
+    }
+
+    /**
+     * Setup graceful shutdown handlers
+     */
+    setupGracefulShutdown() {
+        const shutdown = async (signal) => {
+            console.log(`\n🛑 Received ${signal}, shutting down API server...`);
+            await this.server.stop();
+            await this.db.close();
+            process.exit(0);
+        };
+
+        process.on('SIGINT', () => shutdown('SIGINT'));
+        process.on('SIGTERM', () => shutdown('SIGTERM'));
+    }
+}
+
+// Run the API server
+const app = new ApiApp();
+app.run();
@@ -1,5 +1,6 @@
 import { NewsFetcher } from './services/NewsFetcher.js';
 import { DatabaseFactory } from './services/DatabaseFactory.js';
+import { formatDisplayDate } from './utils/dates.js';
 
 /**
  * Multi-Platform News RSS Fetcher with Database Storage
@@ -7,8 +8,10 @@ import { DatabaseFactory } from './services/DatabaseFactory.js';
  */
 class NewsApp {
     constructor() {
-        this.fetcher = new NewsFetcher();
         this.db = DatabaseFactory.create();
+        // A one-off run shows every source's current feed, so it ignores the
+        // feed cache and open circuits that the continuous scraper relies on
+        this.fetcher = new NewsFetcher(this.db, { useFeedCache: false, useCircuitBreaker: false });
     }
 
     /**
@@ -21,6 +24,7 @@ class NewsApp {
             
             // Initialize database
             await this.db.initialize();
+            await this.fetcher.loadSources();
             
             // Show available sources
             this.showSources();
@@ -28,8 +32,12 @@ class NewsApp {
             // Fetch all news
             const articles = await this.fetcher.fetchAllNews();
             
-            // Store in database
-            await this.db.insertArticles(articles);
+            // Store in database, remembering feed validators only when nothing
+            // failed, so failed articles are fetched again next time
+            const { failed } = await this.db.insertArticles(articles);
+            if (failed === 0) {
+                await this.fetcher.saveFeedValidators();
+            }
             
             // Display results
             this.displayResults(articles);
@@ -83,7 +91,7 @@ class NewsApp {
             
             sourceArticles.slice(0, 5).forEach((article, index) => {
                 console.log(`\n${index + 1}. ${article.title}`);
-                console.log(`   📅 ${article.publishedDate || 'N/A'} | ⏱️  ${article.duration || 'N/A'}`);
+                console.log(`   📅 ${formatDisplayDate(article.publishedDate)} | ⏱️  ${article.duration || 'N/A'}`);
                 console.log(`   🔗 ${article.url}`);
                 
                 if (article.content) {
@@ -127,6 +135,7 @@ class NewsApp {
             const timestamp = new Date().toISOString().replace(/[:.]/g, '-');
             const filename = `news-${timestamp}.json`;
             const filepath = path.join(process.cwd(), 'logs', filename);
+            await fs.mkdir(path.dirname(filepath), { recursive: true });
             
             const data = {
                 timestamp: new Date().toISOString(),
@@ -1,4 +1,20 @@
 import { DatabaseFactory } from './services/DatabaseFactory.js';
+import { MigrationRunner } from './services/MigrationRunner.js';
+import { ArticleEnricher } from './services/ArticleEnricher.js';
+import { continuousConfig } from '../config/continuous.config.js';
+import { formatDisplayDate } from './utils/dates.js';
+import { FEED_TYPES } from './feeds/index.js';
+import { Categorizer, RULE_TYPES, compileRule } from './services/Categorizer.js';
+import { isolateText, normalizeLanguageCode } from './utils/language.js';
+import { ENTITY_TYPES } from './utils/entities.js';
+import { ALERT_CHANNELS, getAlertChannel } from './alerts/index.js';
+import { AlertService, matchesSavedSearch, toMinutes } from './services/AlertService.js';
+import { parseSearchQuery, SearchQueryError } from './utils/searchQuery.js';
+import { ArchiveTransfer, ARCHIVE_FORMATS, formatFromPath } from './services/ArchiveTransfer.js';
+import { parseDate } from './utils/dates.js';
+import { DatabaseSync, SYNC_TABLES } from './services/DatabaseSync.js';
+import { rm } from 'fs/promises';
+import path from 'path';
 
 /**
  * Database CLI Tool - Manage news database
@@ -22,6 +38,72 @@ class DatabaseCLI {
         }
     }
 
+    /**
+     * Connect without applying migrations (for migration commands)
+     */
+    async connect() {
+        try {
+            await this.db.initialize({ migrate: false });
+            this.migrations = new MigrationRunner(this.db);
+        } catch (error) {
+            console.error('❌ Database connection failed:', error.message);
+            process.exit(1);
+        }
+    }
+
+    /**
+     * Apply pending migrations
+     */
+    async migrate(targetVersion) {
+        try {
+            console.log('🔄 Running migrations...');
+            const applied = await this.migrations.migrate(targetVersion);
+            if (applied.length === 0) {
+                console.log('✅ Schema already up to date');
+            }
+        } catch (error) {
+            console.error('❌ Migration failed:', error.message);
+            process.exit(1);
+        }
+    }
+
+    /**
+     * Show applied and pending migrations
+     */
+    async migrationStatus() {
+        try {
+            console.log('📋 Migration Status');
+            console.log('='.repeat(50));
+
+            const status = await this.migrations.getStatus();
+            status.forEach(migration => {
+                const label = this.migrations.label(migration);
+                const state = migration.applied ? `applied ${formatDisplayDate(migration.appliedAt)}` : 'pending';
+                console.log(`${migration.applied ? '✅' : '⏳'} ${label} (${state})`);
+            });
+
+            const pending = status.filter(migration => !migration.applied).length;
+            console.log(`\n📌 Current version: ${await this.migrations.getCurrentVersion()}, ${pending} pending`);
+        } catch (error) {
+            console.error('❌ Error reading migration status:', error.message);
+        }
+    }
+
+    /**
+     * Roll back the latest migrations
+     */
+    async rollback(steps) {
+        try {
+            const rolledBack = await this.migrations.rollback(steps);
+            if (rolledBack.length === 0) {
+                console.log('ℹ️  No migrations to roll back');
+            }
+        } catch (error) {
+            console.error('❌ Rollback failed:', error.message);
+            process.exit(1);
+        }
+    }
+
     /**
      * Show database statistics
      */
@@ -35,10 +117,17 @@ class DatabaseCLI {
             console.log('\n📂 Articles by Category and Source:');
             statistics.forEach(stat => {
                 console.log(`   ${stat.category} | ${stat.source}: ${stat.count} articles`);
-                console.log(`   Latest: ${stat.latest_article || 'N/A'}`);
+                console.log(`   Latest: ${formatDisplayDate(stat.latest_article)}`);
                 console.log('');
             });
 
+            const languages = await this.db.getLanguageStats();
+            console.log('🌐 Articles by Language:');
+            languages.forEach(stat => {
+                console.log(`   ${stat.language || 'unknown'}: ${stat.count} articles`);
+            });
+            console.log('');
+
             // Get total count
             const allArticles = await this.db.getAllArticles(1, 0);
             console.log(`📈 Total articles in database: ${allArticles.length > 0 ? 'Multiple articles found' : 'No articles'}`);
@@ -64,8 +153,8 @@ class DatabaseCLI {
             }
 
             articles.forEach((article, index) => {
-                console.log(`\n${index + 1}. ${article.title}`);
-                console.log(`   📅 ${article.publishedDate || 'N/A'} | 🔗 ${article.url}`);
+                console.log(`\n${index + 1}. ${isolateText(article.title, article.language)}`);
+                console.log(`   📅 ${formatDisplayDate(article.publishedDate)} | 🔗 ${article.url}`);
                 console.log(`   📝 ${article.content ? article.content.substring(0, 100) + '...' : 'No content'}`);
             });
 
@@ -92,8 +181,8 @@ class DatabaseCLI {
             }
 
             articles.forEach((article, index) => {
-                console.log(`\n${index + 1}. ${article.title}`);
-                console.log(`   📅 ${article.publishedDate || 'N/A'} | 🏷️  ${article.category}`);
+                console.log(`\n${index + 1}. ${isolateText(article.title, article.language)}`);
+                console.log(`   📅 ${formatDisplayDate(article.publishedDate)} | 🏷️  ${article.category}`);
                 console.log(`   📝 ${article.content ? article.content.substring(0, 100) + '...' : 'No content'}`);
             });
 
@@ -105,33 +194,793 @@ class DatabaseCLI {
     }
 
     /**
-     * Search articles
+     * List registered news sources
+     */
+    async listSources() {
+        try {
+            console.log('📡 Registered News Sources');
+            console.log('='.repeat(50));
+
+            const sources = await this.db.getSources();
+            if (sources.length === 0) {
+                console.log('❌ No sources registered');
+                return;
+            }
+
+            sources.forEach(source => {
+                const status = source.enabled ? '✅' : '⏸️ ';
+                console.log(`${status} ${source.name} (${source.category}, ${source.type})`);
+                console.log(`   🔗 ${source.url}`);
+            });
+
+            const enabledCount = sources.filter(source => source.enabled).length;
+            console.log(`\n✅ ${sources.length} sources, ${enabledCount} enabled`);
+
+        } catch (error) {
+            console.error('❌ Error listing sources:', error.message);
+        }
+    }
+
+    /**
+     * Register a new news source
+     */
+    async addSource(name, url, category, type = 'rss') {
+        try {
+            if (!FEED_TYPES.includes(type)) {
+                console.log(`❌ Unknown source type "${type}". Available: ${FEED_TYPES.join(', ')}`);
+                return;
+            }
+
+            if (!/^https?:\/\/\S+$/.test(url)) {
+                console.log(`❌ Invalid feed URL: ${url}`);
+                return;
+            }
+
+            const categories = await this.db.getCategories();
+            if (!categories.some(existing => existing.name === category)) {
+                console.log(`❌ Unknown category "${category}". Available: ${categories.map(c => c.name).join(', ')}`);
+                return;
+            }
+
+            if (await this.db.getSource(name)) {
+                console.log(`❌ Source "${name}" already exists`);
+                return;
+            }
+
+            await this.db.insertSource({ name, url, category, type });
+            console.log(`✅ Added source "${name}" (${category}, ${type})`);
+
+            const { enabledSources, enabledCategories } = continuousConfig;
+            if (enabledSources.length > 0 && !enabledSources.includes(name)) {
+                console.log(`⚠️  "${name}" is not in enabledSources in config/continuous.config.js, so it won't be fetched until it is added there`);
+            }
+            if (enabledCategories.length > 0 && !enabledCategories.includes(category)) {
+                console.log(`⚠️  Category "${category}" is not in enabledCategories in config/continuous.config.js, so "${name}" won't be fetched until it is added there`);
+            }
+
+        } catch (error) {
+            console.error('❌ Error adding source:', error.message);
+        }
+    }
+
+    /**
+     * Remove a news source
+     */
+    async removeSource(name) {
+        try {
+            const removed = await this.db.removeSource(name);
+            console.log(removed ? `✅ Removed source "${name}"` : `❌ Source "${name}" not found`);
+        } catch (error) {
+            console.error('❌ Error removing source:', error.message);
+        }
+    }
+
+    /**
+     * Enable or disable a news source
      */
-    async search(searchTerm, limit = 10) {
+    async setSourceEnabled(name, enabled) {
         try {
-            console.log(`🔍 Searching for: "${searchTerm}"`);
+            const updated = await this.db.setSourceEnabled(name, enabled);
+            if (updated) {
+                console.log(`✅ Source "${name}" ${enabled ? 'enabled' : 'disabled'}`);
+            } else {
+                console.log(`❌ Source "${name}" not found`);
+            }
+        } catch (error) {
+            console.error('❌ Error updating source:', error.message);
+        }
+    }
+
+    /**
+     * List category rules in the order they are applied
+     */
+    async listRules() {
+        try {
+            console.log('🏷️  Category Rules');
+            console.log('='.repeat(50));
+
+            const rules = await this.db.getCategoryRules();
+            if (rules.length === 0) {
+                console.log('❌ No rules - every article keeps its source\'s category');
+                return;
+            }
+
+            rules.forEach(rule => {
+                const status = rule.enabled ? '✅' : '⏸️ ';
+                const scope = rule.source ? `, ${rule.source} only` : '';
+                const minimum = rule.type === 'keywords' && rule.minMatches > 1 ? `, ${rule.minMatches}+ matches` : '';
+                console.log(`${status} #${rule.id} ${rule.category} (${rule.type}, priority ${rule.priority}${minimum}${scope})`);
+                console.log(`   🔎 ${rule.pattern}`);
+            });
+
+            console.log(`\n✅ ${rules.length} rules, ${rules.filter(rule => rule.enabled).length} enabled`);
+
+        } catch (error) {
+            console.error('❌ Error listing rules:', error.message);
+        }
+    }
+
+    /**
+     * Add a category rule
+     */
+    async addRule(category, type, pattern, source = null) {
+        try {
+            if (!RULE_TYPES.includes(type)) {
+                console.log(`❌ Unknown rule type "${type}". Available: ${RULE_TYPES.join(', ')}`);
+                return;
+            }
+
+            const categories = await this.db.getCategories();
+            if (!categories.some(existing => existing.name === category)) {
+                console.log(`❌ Unknown category "${category}". Available: ${categories.map(c => c.name).join(', ')}`);
+                return;
+            }
+
+            if (source && !(await this.db.getSource(source))) {
+                console.log(`❌ Source "${source}" not found`);
+                return;
+            }
+
+            try {
+                compileRule({ type, pattern });
+            } catch (error) {
+                console.log(`❌ Invalid ${type} rule: ${error.message}`);
+                return;
+            }
+
+            const id = await this.db.insertCategoryRule({ category, type, pattern, source });
+            console.log(`✅ Added rule #${id} for ${category}${source ? ` (${source} only)` : ''}`);
+            console.log('   Run "recategorize" to apply it to stored articles');
+
+        } catch (error) {
+            console.error('❌ Error adding rule:', error.message);
+        }
+    }
+
+    /**
+     * Remove a category rule
+     */
+    async removeRule(id) {
+        try {
+            const removed = await this.db.removeCategoryRule(id);
+            console.log(removed ? `✅ Removed rule #${id}` : `❌ Rule #${id} not found`);
+        } catch (error) {
+            console.error('❌ Error removing rule:', error.message);
+        }
+    }
+
+    /**
+     * Enable or disable a category rule
+     */
+    async setRuleEnabled(id, enabled) {
+        try {
+            const updated = await this.db.setCategoryRuleEnabled(id, enabled);
+            console.log(updated ? `✅ Rule #${id} ${enabled ? 'enabled' : 'disabled'}` : `❌ Rule #${id} not found`);
+        } catch (error) {
+            console.error('❌ Error updating rule:', error.message);
+        }
+    }
+
+    /**
+     * Re-run the category rules over every stored article, falling back to the
+     * category of each article's source
+     */
+    async recategorize() {
+        try {
+            const categorizer = new Categorizer(this.db);
+            const rules = await categorizer.loadRules();
+            console.log(`🏷️  Recategorizing articles with ${rules.length} rules...`);
+
+            const sourceCategories = new Map((await this.db.getSources()).map(source => [source.name, source.category]));
+            const counts = new Map();
+            let checked = 0;
+            let updated = 0;
+            let lastId = 0;
+            let articles;
+
+            while ((articles = await this.db.getArticlesAfter(lastId)).length > 0) {
+                for (const article of articles) {
+                    const categories = categorizer.categorize(article, sourceCategories.get(article.source) || article.category);
+                    const unchanged = categories[0] === article.category &&
+                        categories.length === article.categories.length &&
+                        categories.every(category => article.categories.includes(category));
+
+                    if (!unchanged) {
+                        await this.db.setArticleCategories(article.id, categories);
+                        updated++;
+                    }
+                    categories.forEach(category => counts.set(category, (counts.get(category) || 0) + 1));
+                    checked++;
+                }
+                lastId = articles.at(-1).id;
+            }
+
+            console.log('\n📂 Articles per category:');
+            [...counts.entries()].sort((a, b) => b[1] - a[1]).forEach(([category, count]) => {
+                console.log(`   ${category}: ${count}`);
+            });
+            console.log(`\n✅ Updated ${updated} of ${checked} articles`);
+
+        } catch (error) {
+            console.error('❌ Error recategorizing articles:', error.message);
+        }
+    }
+
+    /**
+     * Export stored articles, optionally filtered by date range, source, category or language
+     */
+    async exportArticles(file, options = {}) {
+        try {
+            const format = options.format || formatFromPath(file);
+            if (!ARCHIVE_FORMATS.includes(format)) {
+                console.log(`❌ Can't tell the format of "${file}". Use a .jsonl or .csv file, or --format ${ARCHIVE_FORMATS.join('|')}`);
+                return;
+            }
+
+            const filters = {
+                source: options.source || null,
+                category: options.category || null,
+                language: options.language ? normalizeLanguageCode(options.language) : null
+            };
+            for (const bound of ['from', 'to']) {
+                if (options[bound]) {
+                    const date = parseDate(options[bound]);
+                    if (!date) {
+                        console.log(`❌ Invalid --${bound} date "${options[bound]}"`);
+                        return;
+                    }
+                    filters[bound] = date.toISOString();
+                }
+            }
+
+            console.log(`📤 Exporting articles to ${file} (${format})...`);
+            const { exported } = await new ArchiveTransfer(this.db).exportToFile(file, {
+                format,
+                filters,
+                onProgress: ({ exported, total }) => console.log(`   ${exported}/${total} articles`)
+            });
+            console.log(`✅ Exported ${exported} articles to ${file}`);
+
+        } catch (error) {
+            console.error('❌ Error exporting articles:', error.message);
+        }
+    }
+
+    /**
+     * Import articles from a JSON Lines or CSV export, skipping URLs already stored
+     */
+    async importArticles(file, options = {}) {
+        try {
+            const format = options.format || formatFromPath(file);
+            if (!ARCHIVE_FORMATS.includes(format)) {
+                console.log(`❌ Can't tell the format of "${file}". Use a .jsonl or .csv file, or --format ${ARCHIVE_FORMATS.join('|')}`);
+                return;
+            }
+
+            console.log(`📥 Importing articles from ${file} (${format})...`);
+            const stats = await new ArchiveTransfer(this.db).importFromFile(file, {
+                format,
+                onProgress: ({ read, imported, duplicates }) => console.log(`   ${read} read, ${imported} imported, ${duplicates} already stored`)
+            });
+
+            console.log(`✅ Imported ${stats.imported} of ${stats.read} articles`);
+            if (stats.duplicates > 0) console.log(`   🔁 ${stats.duplicates} skipped as already stored`);
+            if (stats.invalid > 0) console.log(`   ⚠️  ${stats.invalid} invalid records skipped`);
+            if (stats.failed > 0) console.log(`   ❌ ${stats.failed} failed to store`);
+
+        } catch (error) {
+            console.error('❌ Error importing articles:', error.message);
+        }
+    }
+
+    /**
+     * Copy rows from one database backend to the other, or with dryRun show what would change
+     */
+    async syncDatabases(from, to, options = {}) {
+        let source = null;
+        let target = null;
+
+        try {
+            const tables = options.tables ? options.tables.split(',').map(table => table.trim()) : null;
+            const unknown = (tables || []).filter(table => !SYNC_TABLES.some(spec => spec.table === table));
+            if (unknown.length > 0) {
+                console.log(`❌ Unknown table(s) ${unknown.join(', ')}. Synced tables: ${SYNC_TABLES.map(spec => spec.table).join(', ')}`);
+                return;
+            }
+
+            source = DatabaseFactory.create({ type: from });
+            target = DatabaseFactory.create({ type: to });
+            await source.initialize({ migrate: false });
+            await target.initialize({ migrate: false });
+
+            const checkpointFile = path.join('logs', `db-sync-${from}-to-${to}.json`);
+            if (options.restart) {
+                await rm(checkpointFile, { force: true });
+            }
+
+            console.log(`🔄 Syncing ${from} → ${to}${options['dry-run'] ? ' (dry run, nothing is written)' : ''}...`);
+            const sync = new DatabaseSync(source, target, {
+                dryRun: options['dry-run'],
+                tables,
+                checkpointFile,
+                onProgress: stats => {
+                    const checked = stats.inserted + stats.updated + stats.unchanged + stats.skipped + stats.failed;
+                    console.log(`   ${stats.table}: ${checked} rows checked`);
+                }
+            });
+            const report = await sync.run();
+
+            if (report.resumedFrom) {
+                console.log(`↪️  Resumed an interrupted sync at ${report.resumedFrom}`);
+            }
+            console.log(`\n📋 ${options['dry-run'] ? 'Changes that would be made' : 'Changes made'}:`);
+            for (const stats of report.tables) {
+                const extra = [
+                    stats.skipped > 0 && `${stats.skipped} skipped (missing parent row)`,
+                    stats.failed > 0 && `${stats.failed} failed`
+                ].filter(Boolean).join(', ');
+                console.log(`   ${stats.table}: ${stats.inserted} new, ${stats.updated} changed, ${stats.unchanged} unchanged${extra ? `, ${extra}` : ''}`);
+                for (const sample of stats.samples) {
+                    console.log(sample.action === 'insert'
+                        ? `      + ${sample.key}`
+                        : `      ~ ${sample.key} (${sample.columns.join(', ')})`);
+                }
+            }
+            for (const table of report.unregistered) {
+                console.log(`⚠️  Table ${table} is not registered in SYNC_TABLES (src/services/DatabaseSync.js) and was not synced`);
+            }
+
+            const inserted = report.tables.reduce((sum, stats) => sum + stats.inserted, 0);
+            const updated = report.tables.reduce((sum, stats) => sum + stats.updated, 0);
+            console.log(options['dry-run']
+                ? `\n🔍 Dry run: ${inserted} rows would be inserted and ${updated} updated`
+                : `\n✅ Sync complete: ${inserted} rows inserted, ${updated} updated`);
+
+        } catch (error) {
+            console.error('❌ Sync failed:', error.message);
+            if (!options['dry-run']) {
+                console.log('   Run the same command again to resume');
+            }
+        } finally {
+            await source?.close();
+            await target?.close();
+        }
+    }
+
+    /**
+     * Show fetch health and circuit breaker state of every source
+     */
+    async showHealth() {
+        try {
+            console.log('🩺 Source Health');
+            console.log('='.repeat(50));
+
+            const records = await this.db.getSourceHealth();
+            if (records.length === 0) {
+                console.log('❌ No fetches recorded yet');
+                return;
+            }
+
+            const icons = { closed: '✅', 'half-open': '🟡', open: '🔴' };
+            records.forEach(record => {
+                const latency = record.avgLatencyMs === null ? 'N/A' : `${Math.round(record.avgLatencyMs)}ms`;
+                const items = record.avgItems === null ? 'N/A' : record.avgItems.toFixed(1);
+                console.log(`\n${icons[record.state] || '❔'} ${record.sourceName} (${record.state})`);
+                console.log(`   ✅ Last success: ${formatDisplayDate(record.lastSuccessAt)} | ⏱️  Avg latency: ${latency} | 📰 Avg items: ${items}`);
+                console.log(`   📊 ${record.totalFetches} fetches, ${record.totalFailures} failed, ${record.consecutiveFailures} consecutive failures`);
+                if (record.lastError) {
+                    console.log(`   ❌ Last error (${formatDisplayDate(record.lastFailureAt)}): ${record.lastError}`);
+                }
+                if (record.state === 'open') {
+                    console.log(`   🔌 Next probe: ${formatDisplayDate(record.nextAttemptAt)}`);
+                }
+            });
+
+            const open = records.filter(record => record.state !== 'closed').length;
+            console.log(`\n✅ ${records.length} sources tracked, ${open} with open circuits`);
+
+        } catch (error) {
+            console.error('❌ Error reading source health:', error.message);
+        }
+    }
+
+    /**
+     * List saved searches and their alert counts
+     */
+    async listAlerts() {
+        try {
+            console.log('🔔 Saved Searches');
+            console.log('='.repeat(50));
+
+            const searches = await this.db.getSavedSearches();
+            if (searches.length === 0) {
+                console.log('❌ No saved searches');
+                return;
+            }
+
+            for (const search of searches) {
+                const status = search.enabled ? '✅' : '⏸️ ';
+                const filters = [
+                    search.query && `query "${search.query}"`,
+                    search.source && `source ${search.source}`,
+                    search.category && `category ${search.category}`,
+                    search.language && `language ${search.language}`
+                ].filter(Boolean).join(', ');
+                const counts = await this.db.getAlertCounts(search.id);
+
+                console.log(`${status} ${search.name}: ${filters}`);
+                console.log(`   📤 ${search.channel} → ${search.target}`);
+                if (search.quietStart) {
+                    console.log(`   🌙 Quiet ${search.quietStart}-${search.quietEnd}`);
+                }
+                console.log(`   📊 ${counts.sent || 0} sent, ${counts.pending || 0} pending, ${counts.skipped || 0} skipped as same story | Last alert: ${formatDisplayDate(search.lastAlertAt)}`);
+            }
+
+            console.log(`\n✅ ${searches.length} saved searches`);
+
+        } catch (error) {
+            console.error('❌ Error listing saved searches:', error.message);
+        }
+    }
+
+    /**
+     * Save a search and where to send its alerts
+     */
+    async addAlert(name, channel, target, options = {}) {
+        try {
+            if (!ALERT_CHANNELS.includes(channel)) {
+                console.log(`❌ Unknown alert channel "${channel}". Available: ${ALERT_CHANNELS.join(', ')}`);
+                return;
+            }
+
+            const targetError = getAlertChannel(channel).validateTarget(target);
+            if (targetError) {
+                console.log(`❌ Invalid ${channel} target "${target}": ${targetError}`);
+                return;
+            }
+
+            if (!options.query && !options.source && !options.category && !options.language) {
+                console.log('❌ Give at least one of --query, --source, --category or --language');
+                return;
+            }
+
+            if (options.query) {
+                parseSearchQuery(options.query);
+            }
+
+            if (options.source && !(await this.db.getSource(options.source))) {
+                console.log(`❌ Source "${options.source}" not found`);
+                return;
+            }
+
+            if (options.category) {
+                const categories = await this.db.getCategories();
+                if (!categories.some(existing => existing.name === options.category)) {
+                    console.log(`❌ Unknown category "${options.category}". Available: ${categories.map(c => c.name).join(', ')}`);
+                    return;
+                }
+            }
+
+            const language = options.language ? normalizeLanguageCode(options.language) : null;
+            if (options.language && !language) {
+                console.log(`❌ Invalid language code "${options.language}"`);
+                return;
+            }
+
+            let quietStart = null;
+            let quietEnd = null;
+            if (options.quiet) {
+                [quietStart, quietEnd] = options.quiet.split('-');
+                if (toMinutes(quietStart) === null || toMinutes(quietEnd) === null) {
+                    console.log(`❌ Quiet hours must look like 22:00-07:00 (got "${options.quiet}")`);
+                    return;
+                }
+            }
+
+            if (await this.db.getSavedSearch(name)) {
+                console.log(`❌ Saved search "${name}" already exists`);
+                return;
+            }
+
+            await this.db.insertSavedSearch({
+                name,
+                query: options.query,
+                source: options.source,
+                category: options.category,
+                language,
+                channel,
+                target,
+                quietStart,
+                quietEnd
+            });
+            console.log(`✅ Saved search "${name}" alerts by ${channel} to ${target}`);
+
+        } catch (error) {
+            if (error instanceof SearchQueryError) {
+                console.log(`❌ Invalid query: ${error.message}`);
+            } else {
+                console.error('❌ Error saving search:', error.message);
+            }
+        }
+    }
+
+    /**
+     * Remove a saved search
+     */
+    async removeAlert(name) {
+        try {
+            const removed = await this.db.removeSavedSearch(name);
+            console.log(removed ? `✅ Removed saved search "${name}"` : `❌ Saved search "${name}" not found`);
+        } catch (error) {
+            console.error('❌ Error removing saved search:', error.message);
+        }
+    }
+
+    /**
+     * Enable or disable a saved search
+     */
+    async setAlertEnabled(name, enabled) {
+        try {
+            const updated = await this.db.setSavedSearchEnabled(name, enabled);
+            if (updated) {
+                console.log(`✅ Saved search "${name}" ${enabled ? 'enabled' : 'disabled'}`);
+            } else {
+                console.log(`❌ Saved search "${name}" not found`);
+            }
+        } catch (error) {
+            console.error('❌ Error updating saved search:', error.message);
+        }
+    }
+
+    /**
+     * Send a saved search's latest matching articles through its channel, ignoring
+     * quiet hours and without recording them
+     */
+    async testAlert(name) {
+        try {
+            const search = await this.db.getSavedSearch(name);
+            if (!search) {
+                console.log(`❌ Saved search "${name}" not found`);
+                return;
+            }
+
+            const recent = await this.db.getAllArticles(500, 0);
+            const matches = recent.filter(article => matchesSavedSearch(search, article)).slice(0, 3);
+            if (matches.length === 0) {
+                console.log(`❌ None of the latest ${recent.length} articles match "${name}"`);
+                return;
+            }
+
+            await new AlertService(this.db, continuousConfig.alerts).send(search, matches);
+            console.log(`✅ Sent a test alert with ${matches.length} article(s) by ${search.channel} to ${search.target}`);
+
+        } catch (error) {
+            console.error('❌ Error sending test alert:', error.message);
+        }
+    }
+
+    /**
+     * Show how an article's title, content and image changed over time
+     */
+    async showHistory(idOrUrl) {
+        try {
+            const article = await this.db.getArticle(idOrUrl);
+            if (!article) {
+                console.log(`❌ No article found for ${idOrUrl}`);
+                return;
+            }
+
+            console.log(`📜 Edit history of article #${article.id} (${article.source})`);
+            console.log(`🔗 ${article.url}`);
+            console.log('='.repeat(50));
+
+            const revisions = await this.db.getArticleRevisions(article.id);
+            if (revisions.length === 0) {
+                console.log(`\nℹ️  Never edited: ${article.title}`);
+                return;
+            }
+
+            // Each revision holds the version that was replaced at revisedAt
+            const versions = [
+                ...revisions.map((revision, index) => ({
+                    ...revision,
+                    since: index === 0 ? article.publishedDate : revisions[index - 1].revisedAt
+                })),
+                { ...article, since: revisions.at(-1).revisedAt, current: true }
+            ];
+
+            versions.forEach((version, index) => {
+                const label = version.current ? 'current' : `replaced ${formatDisplayDate(version.revisedAt)}`;
+                console.log(`\n${index + 1}. [${formatDisplayDate(version.since)} - ${label}] ${version.title}`);
+                if (index > 0) {
+                    console.log(`   ✏️  Changed: ${versions[index - 1].changedFields.join(', ')}`);
+                }
+                if (version.image) {
+                    console.log(`   🖼️  ${version.image}`);
+                }
+                if (version.content) {
+                    console.log(`   📝 ${version.content.substring(0, 150)}${version.content.length > 150 ? '...' : ''}`);
+                }
+            });
+
+            console.log(`\n✅ ${revisions.length} edit(s) recorded`);
+
+        } catch (error) {
+            console.error('❌ Error reading article history:', error.message);
+        }
+    }
+
+    /**
+     * Enrich pending articles from their pages now (regardless of age)
+     */
+    async enrich(limit = 20) {
+        try {
+            console.log(`📄 Enriching up to ${limit} articles from their pages...`);
+            const enricher = new ArticleEnricher(this.db, continuousConfig.enrichment);
+            const { enriched, failed } = await enricher.processBatch(limit);
+
+            if (enriched + failed === 0) {
+                console.log('ℹ️  No articles waiting for enrichment');
+                return;
+            }
+            console.log(`✅ Enriched ${enriched} articles${failed > 0 ? `, ${failed} failed` : ''}`);
+
+        } catch (error) {
+            console.error('❌ Error enriching articles:', error.message);
+        }
+    }
+
+    /**
+     * Search articles (ranked full-text search)
+     */
+    async search(searchTerm, limit = 10, language = null) {
+        try {
+            console.log(`🔍 Searching for: "${searchTerm}"${language ? ` in ${language}` : ''}`);
             console.log('='.repeat(50));
             
-            const articles = await this.db.searchArticles(searchTerm, limit);
+            const results = await this.db.searchArticlesRanked(searchTerm, limit, 0, language);
             
-            if (articles.length === 0) {
+            if (results.length === 0) {
                 console.log('❌ No articles found matching your search');
                 return;
             }
 
-            articles.forEach((article, index) => {
-                console.log(`\n${index + 1}. ${article.title}`);
-                console.log(`   📅 ${article.publishedDate || 'N/A'} | 🏷️  ${article.category} | 📰 ${article.source}`);
-                console.log(`   📝 ${article.content ? article.content.substring(0, 100) + '...' : 'No content'}`);
+            results.forEach(({ article, score, snippet }, index) => {
+                console.log(`\n${index + 1}. ${isolateText(article.title, article.language)}`);
+                console.log(`   📅 ${formatDisplayDate(article.publishedDate)} | 🏷️  ${article.category} | 📰 ${article.source} | ⭐ ${score.toFixed(2)}`);
+                console.log(`   📝 ${this.highlight(snippet) || 'No content'}`);
             });
 
-            console.log(`\n✅ Found ${articles.length} articles matching "${searchTerm}"`);
+            const total = await this.db.countSearchResults(searchTerm, language);
+            console.log(`\n✅ Showing ${results.length} of ${total} articles matching "${searchTerm}"`);
             
         } catch (error) {
             console.error('❌ Error searching articles:', error.message);
         }
     }
 
+    /**
+     * Show the latest articles in a language
+     */
+    async showByLanguage(language, limit = 10) {
+        try {
+            console.log(`🌐 Latest articles in "${language}":`);
+            console.log('='.repeat(50));
+
+            const articles = await this.db.getAllArticles(limit, 0, language);
+
+            if (articles.length === 0) {
+                console.log('❌ No articles found in this language');
+                return;
+            }
+
+            articles.forEach((article, index) => {
+                console.log(`\n${index + 1}. ${isolateText(article.title, article.language)}`);
+                console.log(`   📅 ${formatDisplayDate(article.publishedDate)} | 🏷️  ${article.category} | 📰 ${article.source}`);
+                console.log(`   🔗 ${article.url}`);
+            });
+
+            const total = await this.db.countArticles({ language });
+            console.log(`\n✅ Showing ${articles.length} of ${total} articles in ${language}`);
+
+        } catch (error) {
+            console.error('❌ Error getting articles by language:', error.message);
+        }
+    }
+
+    /**
+     * Show stories covered by the most outlets
+     */
+    async showTopStories(hours = 24, limit = 10) {
+        try {
+            console.log(`🧩 Top stories in the last ${hours} hours:`);
+            console.log('='.repeat(50));
+
+            const stories = await this.db.getTopStories({ hours, limit });
+
+            if (stories.length === 0) {
+                console.log('❌ No stories covered by more than one outlet');
+                return;
+            }
+
+            stories.forEach((story, index) => {
+                console.log(`\n${index + 1}. ${story.title}`);
+                console.log(`   📰 Covered by ${story.sourceCount} outlets: ${story.sources.join(', ')}`);
+                console.log(`   🕒 Updated ${formatDisplayDate(story.updatedAt)} | ${story.articleCount} articles`);
+                story.articles.forEach(article => {
+                    console.log(`      - [${article.source}] ${article.title}`);
+                });
+            });
+
+            console.log(`\n✅ Showing ${stories.length} stories`);
+
+        } catch (error) {
+            console.error('❌ Error fetching stories:', error.message);
+        }
+    }
+
+    /**
+     * Show people, places, organizations and keywords mentioned far more than usual
+     */
+    async showTrending(hours = 24, limit = 20, type = null) {
+        try {
+            console.log(`📈 Trending${type ? ` ${type}` : ''} in the last ${hours} hours (vs. the previous 7 days):`);
+            console.log('='.repeat(50));
+
+            const entities = await this.db.getTrendingEntities({ hours, limit, type });
+
+            if (entities.length === 0) {
+                console.log('❌ Nothing is mentioned well above its usual rate');
+                return;
+            }
+
+            const icons = { person: '👤', place: '📍', organization: '🏛️ ', keyword: '🔑' };
+            entities.forEach((entity, index) => {
+                const ratio = entity.baselineArticles === 0 ? 'new' : `${entity.ratio.toFixed(1)}x usual`;
+                console.log(`${index + 1}. ${icons[entity.type]} ${entity.name} (${entity.type})`);
+                console.log(`   📰 ${entity.recentArticles} articles, ${entity.baselineArticles} in the baseline | ${ratio}`);
+            });
+
+            console.log(`\n✅ Showing ${entities.length} trending entities`);
+
+        } catch (error) {
+            console.error('❌ Error fetching trending entities:', error.message);
+        }
+    }
+
+    /**
+     * Render <mark> highlights for the terminal
+     */
+    highlight(snippet) {
+        const [start, end] = process.stdout.isTTY ? ['\x1b[1;33m', '\x1b[0m'] : ['[', ']'];
+        return snippet
+            .replace(/<mark>/g, start)
+            .replace(/<\/mark>/g, end)
+            .replace(/&lt;/g, '<')
+            .replace(/&gt;/g, '>')
+            .replace(/&amp;/g, '&');
+    }
+
     /**
      * Show help
      */
@@ -139,23 +988,84 @@ class DatabaseCLI {
         console.log('📚 Database CLI Commands:');
         console.log('========================');
         console.log('  node src/database-cli.js init                    - Initialize database');
+        console.log('  node src/database-cli.js migrate [version]       - Apply pending migrations');
+        console.log('  node src/database-cli.js migrate:status          - Show applied and pending migrations');
+        console.log('  node src/database-cli.js rollback [steps]        - Roll back the latest migrations');
         console.log('  node src/database-cli.js stats                   - Show statistics');
         console.log('  node src/database-cli.js category <name> [limit] - Show articles by category');
         console.log('  node src/database-cli.js source <name> [limit]   - Show articles by source');
-        console.log('  node src/database-cli.js search <term> [limit]   - Search articles');
+        console.log('  node src/database-cli.js search <term> [limit] [language] - Search articles');
+        console.log('  node src/database-cli.js language <code> [limit] - Show latest articles in a language (en, ur, ...)');
+        console.log('  node src/database-cli.js stories [hours] [limit] - Top stories by number of covering outlets');
+        console.log('  node src/database-cli.js trending [hours] [limit] [type] - Entities mentioned far more than usual (person, place, organization, keyword)');
+        console.log('  node src/database-cli.js health                  - Show source health and circuit breaker state');
+        console.log('  node src/database-cli.js history <id|url>        - Show how an article was edited');
+        console.log('  node src/database-cli.js enrich [limit]          - Extract full text from article pages');
+        console.log('  node src/database-cli.js source list             - List registered sources');
+        console.log('  node src/database-cli.js source add <name> <url> <category> [type] - Register a source (rss, atom, json, sitemap)');
+        console.log('  node src/database-cli.js source remove <name>    - Remove a source');
+        console.log('  node src/database-cli.js source enable <name>    - Enable a source');
+        console.log('  node src/database-cli.js source disable <name>   - Disable a source');
+        console.log('  node src/database-cli.js rules list              - List category rules');
+        console.log('  node src/database-cli.js rules add <category> <keywords|regex> <pattern> [source] - Add a category rule');
+        console.log('  node src/database-cli.js rules remove <id>       - Remove a category rule');
+        console.log('  node src/database-cli.js rules enable <id>       - Enable a category rule');
+        console.log('  node src/database-cli.js rules disable <id>      - Disable a category rule');
+        console.log('  node src/database-cli.js recategorize            - Re-run category rules over stored articles');
+        console.log('  node src/database-cli.js alerts list             - List saved searches');
+        console.log('  node src/database-cli.js alerts add <name> <webhook|email|file> <target> [--query q] [--source s] [--category c] [--language l] [--quiet 22:00-07:00]');
+        console.log('  node src/database-cli.js alerts remove <name>    - Remove a saved search');
+        console.log('  node src/database-cli.js alerts enable <name>    - Enable a saved search');
+        console.log('  node src/database-cli.js alerts disable <name>   - Disable a saved search');
+        console.log('  node src/database-cli.js alerts test <name>      - Send the latest matches now, to check the channel');
+        console.log('  node src/database-cli.js export <file.jsonl|file.csv> [--from date] [--to date] [--source s] [--category c] [--language l] - Export articles');
+        console.log('  node src/database-cli.js import <file.jsonl|file.csv> - Import articles, skipping URLs already stored');
+        console.log('  node src/database-cli.js db:sync <sqlite|mysql> <sqlite|mysql> [--dry-run] [--tables a,b] [--restart] - Copy data between backends');
         console.log('');
         console.log('Examples:');
         console.log('  node src/database-cli.js category international 10');
         console.log('  node src/database-cli.js source "BBC News" 5');
         console.log('  node src/database-cli.js search "trump" 20');
+        console.log('  node src/database-cli.js search \'"prime minister" OR budget NOT cricket\' 10');
+        console.log('  node src/database-cli.js search "وزیراعظم" 10 ur');
+        console.log('  node src/database-cli.js source add "Reuters World" https://example.com/rss world');
+        console.log('  node src/database-cli.js source add "Dawn Sitemap" https://example.com/news-sitemap.xml pakistan sitemap');
+        console.log('  node src/database-cli.js rules add politics keywords "senate, by-election, no-confidence motion"');
+        console.log('  node src/database-cli.js rules add sports regex "\\b(T20|ODI)s?\\b" "Dawn News"');
+        console.log('  node src/database-cli.js alerts add imf webhook https://example.com/hook --query "IMF OR \\"State Bank\\"" --category business');
+        console.log('  node src/database-cli.js alerts add floods email desk@example.com --query flood* --language ur --quiet 23:00-07:00');
+        console.log('  node src/database-cli.js export backup/pakistan-2025.csv --category pakistan --from 2025-01-01 --to 2025-12-31');
+        console.log('  node src/database-cli.js import backup/archive.jsonl');
+        console.log('  node src/database-cli.js db:sync sqlite mysql --dry-run');
+        console.log('  node src/database-cli.js db:sync mysql sqlite --tables sources,category_rules');
     }
 }
 
+/**
+ * Split arguments into positional ones and --name value options (or --flag for the given flags)
+ */
+function parseOptions(argv, flags = []) {
+    const positional = [];
+    const options = {};
+    for (let i = 0; i < argv.length; i++) {
+        if (flags.includes(argv[i].slice(2))) {
+            options[argv[i].slice(2)] = true;
+        } else if (argv[i].startsWith('--')) {
+            options[argv[i].slice(2)] = argv[i + 1];
+            i++;
+        } else {
+            positional.push(argv[i]);
+        }
+    }
+    return { positional, options };
+}
+
 // Parse command line arguments
 const args = process.argv.slice(2);
 const command = args[0];
 const param1 = args[1];
 const param2 = args[2];
+const param3 = args[3];
 
 const cli = new DatabaseCLI();
 
@@ -165,6 +1075,18 @@ switch (command) {
         cli.init().then(() => process.exit(0));
         break;
         
+    case 'migrate':
+        cli.connect().then(() => cli.migrate(parseInt(param1) || Infinity)).then(() => process.exit(0));
+        break;
+
+    case 'migrate:status':
+        cli.connect().then(() => cli.migrationStatus()).then(() => process.exit(0));
+        break;
+
+    case 'rollback':
+        cli.connect().then(() => cli.rollback(parseInt(param1) || 1)).then(() => process.exit(0));
+        break;
+
     case 'stats':
         cli.init().then(() => cli.stats()).then(() => process.exit(0));
         break;
@@ -182,7 +1104,26 @@ switch (command) {
             console.log('❌ Please specify a source name');
             process.exit(1);
         }
-        cli.init().then(() => cli.showBySource(param1, parseInt(param2) || 10)).then(() => process.exit(0));
+        if (param1 === 'list') {
+            cli.init().then(() => cli.listSources()).then(() => process.exit(0));
+        } else if (param1 === 'add') {
+            if (!param2 || !param3 || !args[4]) {
+                console.log('❌ Usage: source add <name> <url> <category> [type]');
+                process.exit(1);
+            }
+            cli.init().then(() => cli.addSource(param2, param3, args[4], args[5])).then(() => process.exit(0));
+        } else if (['remove', 'enable', 'disable'].includes(param1)) {
+            if (!param2) {
+                console.log(`❌ Usage: source ${param1} <name>`);
+                process.exit(1);
+            }
+            const action = param1 === 'remove'
+                ? () => cli.removeSource(param2)
+                : () => cli.setSourceEnabled(param2, param1 === 'enable');
+            cli.init().then(action).then(() => process.exit(0));
+        } else {
+            cli.init().then(() => cli.showBySource(param1, parseInt(param2) || 10)).then(() => process.exit(0));
+        }
         break;
         
     case 'search':
@@ -190,9 +1131,131 @@ switch (command) {
             console.log('❌ Please specify a search term');
             process.exit(1);
         }
-        cli.init().then(() => cli.search(param1, parseInt(param2) || 10)).then(() => process.exit(0));
+        cli.init().then(() => cli.search(param1, parseInt(param2) || 10, normalizeLanguageCode(args[3]))).then(() => process.exit(0));
+        break;
+
+    case 'language':
+        if (!normalizeLanguageCode(param1)) {
+            console.log('❌ Please specify a language code, e.g. en or ur');
+            process.exit(1);
+        }
+        cli.init().then(() => cli.showByLanguage(normalizeLanguageCode(param1), parseInt(param2) || 10)).then(() => process.exit(0));
         break;
         
+    case 'enrich':
+        cli.init().then(() => cli.enrich(parseInt(param1) || 20)).then(() => process.exit(0));
+        break;
+
+    case 'health':
+        cli.init().then(() => cli.showHealth()).then(() => process.exit(0));
+        break;
+
+    case 'history':
+        if (!param1) {
+            console.log('❌ Please specify an article id or URL');
+            process.exit(1);
+        }
+        cli.init().then(() => cli.showHistory(param1)).then(() => process.exit(0));
+        break;
+
+    case 'rules':
+        if (!param1 || param1 === 'list') {
+            cli.init().then(() => cli.listRules()).then(() => process.exit(0));
+        } else if (param1 === 'add') {
+            if (!param2 || !param3 || !args[4]) {
+                console.log('❌ Usage: rules add <category> <keywords|regex> <pattern> [source]');
+                process.exit(1);
+            }
+            cli.init().then(() => cli.addRule(param2, param3, args[4], args[5])).then(() => process.exit(0));
+        } else if (['remove', 'enable', 'disable'].includes(param1)) {
+            if (!/^\d+$/.test(param2 || '')) {
+                console.log(`❌ Usage: rules ${param1} <id>`);
+                process.exit(1);
+            }
+            const id = parseInt(param2);
+            const action = param1 === 'remove'
+                ? () => cli.removeRule(id)
+                : () => cli.setRuleEnabled(id, param1 === 'enable');
+            cli.init().then(action).then(() => process.exit(0));
+        } else {
+            console.log(`❌ Unknown rules command "${param1}". Use list, add, remove, enable or disable`);
+            process.exit(1);
+        }
+        break;
+
+    case 'alerts': {
+        const { positional, options } = parseOptions(args.slice(1));
+        const [action = 'list', name, channel, target] = positional;
+
+        if (action === 'list') {
+            cli.init().then(() => cli.listAlerts()).then(() => process.exit(0));
+        } else if (action === 'add') {
+            if (!name || !channel || !target) {
+                console.log('❌ Usage: alerts add <name> <webhook|email|file> <target> [--query q] [--source s] [--category c] [--language l] [--quiet 22:00-07:00]');
+                process.exit(1);
+            }
+            cli.init().then(() => cli.addAlert(name, channel, target, options)).then(() => process.exit(0));
+        } else if (['remove', 'enable', 'disable', 'test'].includes(action)) {
+            if (!name) {
+                console.log(`❌ Usage: alerts ${action} <name>`);
+                process.exit(1);
+            }
+            const run = {
+                remove: () => cli.removeAlert(name),
+                enable: () => cli.setAlertEnabled(name, true),
+                disable: () => cli.setAlertEnabled(name, false),
+                test: () => cli.testAlert(name)
+            }[action];
+            cli.init().then(run).then(() => process.exit(0));
+        } else {
+            console.log(`❌ Unknown alerts command "${action}". Use list, add, remove, enable, disable or test`);
+            process.exit(1);
+        }
+        break;
+    }
+
+    case 'export':
+    case 'import': {
+        const { positional, options } = parseOptions(args.slice(1));
+        if (!positional[0]) {
+            console.log(`❌ Usage: ${command} <file.jsonl|file.csv> [--format jsonl|csv]`);
+            process.exit(1);
+        }
+        const run = command === 'export'
+            ? () => cli.exportArticles(positional[0], options)
+            : () => cli.importArticles(positional[0], options);
+        cli.init().then(run).then(() => process.exit(0));
+        break;
+    }
+
+    case 'db:sync': {
+        const { positional, options } = parseOptions(args.slice(1), ['dry-run', 'restart']);
+        const [from, to] = positional;
+        const backends = ['sqlite', 'mysql'];
+        if (!backends.includes(from) || !backends.includes(to) || from === to) {
+            console.log('❌ Usage: db:sync <sqlite|mysql> <sqlite|mysql> [--dry-run] [--tables a,b] [--restart] (from one backend to the other)');
+            process.exit(1);
+        }
+        cli.syncDatabases(from, to, options).then(() => process.exit(0));
+        break;
+    }
+
+    case 'recategorize':
+        cli.init().then(() => cli.recategorize()).then(() => process.exit(0));
+        break;
+
+    case 'stories':
+        cli.init().then(() => cli.showTopStories(parseInt(param1) || 24, parseInt(param2) || 10)).then(() => process.exit(0));
+        break;
+
+    case 'trending':
+        if (args[3] && !ENTITY_TYPES.includes(args[3])) {
+            console.log(`❌ Unknown entity type "${args[3]}". Available: ${ENTITY_TYPES.join(', ')}`);
+            process.exit(1);
+        }
+        cli.init().then(() => cli.showTrending(parseInt(param1) || 24, parseInt(param2) || 20, args[3] || null)).then(() => process.exit(0));
+        break;
+
     default:
         cli.showHelp();
         process.exit(0);
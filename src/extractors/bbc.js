@@ -0,0 +1,15 @@
+import { getElementsHtml, getParagraphs } from '../utils/html.js';
+
+/**
+ * BBC - article text is split into data-component="text-block" sections
+ */
+export const bbcExtractor = {
+    name: 'bbc',
+    sources: ['BBC News', 'BBC World', 'BBC Business', 'BBC Technology'],
+    hosts: ['bbc.co.uk', 'bbc.com'],
+
+    extractBody(html) {
+        const blocks = getElementsHtml(html, 'div', /data-component=["']text-block["']/);
+        return blocks.flatMap(getParagraphs).join('\n\n') || null;
+    }
+};
@@ -0,0 +1,20 @@
+import { getElementHtml, getParagraphs, htmlToText } from '../utils/html.js';
+
+/**
+ * Dawn - story text in div.story__content, byline in span.story__byline
+ */
+export const dawnExtractor = {
+    name: 'dawn',
+    sources: ['Dawn News'],
+    hosts: ['dawn.com'],
+
+    extractBody(html) {
+        const content = getElementHtml(html, 'div', /class=["'][^"']*\bstory__content\b/);
+        return content ? getParagraphs(content).join('\n\n') || null : null;
+    },
+
+    extractAuthor(html) {
+        const byline = getElementHtml(html, 'span', /class=["'][^"']*\bstory__byline\b/);
+        return byline ? htmlToText(byline) || null : null;
+    }
+};
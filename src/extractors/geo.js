@@ -0,0 +1,15 @@
+import { getElementHtml, getParagraphs } from '../utils/html.js';
+
+/**
+ * Geo News - story text in div.content-area
+ */
+export const geoExtractor = {
+    name: 'geo',
+    sources: ['Geo News', 'Geo Pakistan', 'Geo World', 'Geo Business', 'Geo Sports', 'Geo Technology'],
+    hosts: ['geo.tv'],
+
+    extractBody(html) {
+        const content = getElementHtml(html, 'div', /class=["'][^"']*\bcontent-area\b/);
+        return content ? getParagraphs(content).join('\n\n') || null : null;
+    }
+};
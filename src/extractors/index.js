@@ -0,0 +1,119 @@
+import { getMetaTags, getLinkHref, getJsonLd, getElementHtml, getParagraphs } from '../utils/html.js';
+import { bbcExtractor } from './bbc.js';
+import { dawnExtractor } from './dawn.js';
+import { geoExtractor } from './geo.js';
+
+/**
+ * Article page extractors - each is { name, sources, hosts, extractBody(html),
+ * extractAuthor?(html) } and only needs to handle what differs from the
+ * generic extraction. Add new ones here.
+ */
+export const extractors = [
+    bbcExtractor,
+    dawnExtractor,
+    geoExtractor
+];
+
+// Paragraphs shorter than this outside an <article> are usually navigation
+const MIN_LOOSE_PARAGRAPH_LENGTH = 60;
+
+/**
+ * Fallback used when no site extractor matches or it finds nothing
+ */
+export const genericExtractor = {
+    name: 'generic',
+    sources: [],
+    hosts: [],
+
+    extractBody(html) {
+        const article = getElementHtml(html, 'article');
+        const paragraphs = article
+            ? getParagraphs(article)
+            : getParagraphs(html).filter(text => text.length >= MIN_LOOSE_PARAGRAPH_LENGTH);
+        return paragraphs.join('\n\n') || null;
+    }
+};
+
+/**
+ * Pick the extractor for a source, by name first, then by page host
+ */
+export function getExtractor(sourceName, url) {
+    const byName = extractors.find(extractor => extractor.sources.includes(sourceName));
+    if (byName) {
+        return byName;
+    }
+
+    let hostname = '';
+    try {
+        hostname = new URL(url).hostname;
+    } catch {
+        return genericExtractor;
+    }
+    return extractors.find(extractor =>
+        extractor.hosts.some(host => hostname === host || hostname.endsWith(`.${host}`))
+    ) || genericExtractor;
+}
+
+/**
+ * Extract body, author, canonical URL, lead image and og: metadata from a page
+ */
+export function extractArticle(html, url, extractor = genericExtractor) {
+    const meta = getMetaTags(html);
+    const jsonLd = getJsonLd(html).find(item => /Article|Posting/.test([item['@type']].flat().join(' '))) || {};
+
+    const ogMetadata = Object.fromEntries(Object.entries(meta).filter(([key]) => key.startsWith('og:')));
+
+    return {
+        body: extractor.extractBody(html) || textValue(jsonLd.articleBody) || genericExtractor.extractBody(html),
+        author: extractor.extractAuthor?.(html) || jsonLdAuthor(jsonLd) || nonUrl(meta.author) || nonUrl(meta['article:author']) || null,
+        pageCanonicalUrl: resolveUrl(getLinkHref(html, 'canonical') || meta['og:url'], url),
+        leadImage: resolveUrl(meta['og:image'] || meta['twitter:image'] || jsonLdImage(jsonLd), url),
+        ogMetadata: Object.keys(ogMetadata).length > 0 ? ogMetadata : null
+    };
+}
+
+/**
+ * Author name(s) from a JSON-LD article
+ */
+function jsonLdAuthor(item) {
+    const names = [item.author].flat()
+        .map(author => (typeof author === 'string' ? author : author?.name))
+        .filter(name => typeof name === 'string' && name.trim().length > 0);
+    return names.length > 0 ? names.join(', ') : null;
+}
+
+/**
+ * Image URL from a JSON-LD article
+ */
+function jsonLdImage(item) {
+    const image = [item.image].flat()[0];
+    return typeof image === 'string' ? image : image?.url || null;
+}
+
+/**
+ * Keep a string value only
+ */
+function textValue(value) {
+    return typeof value === 'string' && value.trim().length > 0 ? value.trim() : null;
+}
+
+/**
+ * Authors given as profile URLs are not names
+ */
+function nonUrl(value) {
+    return value && !/^https?:\/\//.test(value) ? value : null;
+}
+
+/**
+ * Resolve a possibly relative URL against the page URL
+ */
+function resolveUrl(value, base) {
+    if (!value) {
+        return null;
+    }
+    try {
+        return new URL(value, base).toString();
+    } catch {
+        return null;
+    }
+}
@@ -0,0 +1,114 @@
+import Parser from 'rss-parser';
+import { NewsArticle } from '../models/NewsArticle.js';
+import { toISODate } from '../utils/dates.js';
+import { canonicalizeUrl } from '../utils/urlCanonicalizer.js';
+import { normalizeLanguageCode } from '../utils/language.js';
+import { htmlToText } from '../utils/html.js';
+
+const parser = new Parser({
+    customFields: {
+        item: [
+            ['link', 'links', { keepArray: true }],
+            ['author', 'authors', { keepArray: true }],
+            ['category', 'categories', { keepArray: true }],
+            ['media:content', 'mediaContents', { keepArray: true }],
+            'updated',
+            'media:thumbnail',
+            'media:group'
+        ]
+    }
+});
+
+/**
+ * Atom 1.0 feeds
+ */
+export const atomAdapter = {
+    type: 'atom',
+    accept: 'application/atom+xml, application/xml;q=0.9, text/xml;q=0.9, */*;q=0.8',
+
+    async parseFeed(body) {
+        const feed = await parser.parseString(body);
+        // rss-parser drops xml:lang, so read it from the <feed> tag
+        const feedLanguage = body.match(/<feed\b[^>]*\bxml:lang=["']([^"']+)["']/i)?.[1] || null;
+        return (feed?.items || []).map(item => ({ ...item, feedLanguage }));
+    },
+
+    toArticle(item, source) {
+        const link = item.link || getLink(item.links, 'alternate');
+        if (!item.title || !link) return null;
+
+        return new NewsArticle({
+            guid: item.id || null,
+            title: item.title.trim(),
+            content: item.contentSnippet || htmlToText(item.summary || ''),
+            summary: htmlToText(item.summary || ''),
+            image: extractImage(item),
+            url: link.trim(),
+            canonicalUrl: canonicalizeUrl(link, source.name),
+            // rss-parser prefers <published> and falls back to <updated>
+            publishedDate: toISODate(item.pubDate || item.updated),
+            updatedDate: toISODate(item.updated),
+            author: extractAuthors(item),
+            language: normalizeLanguageCode(item.feedLanguage),
+            tags: (item.categories || []).map(category => category?.$?.label || category?.$?.term),
+            media: extractMedia(item),
+            source: source.name,
+            category: source.category
+        });
+    }
+};
+
+/**
+ * Get the href of the first <link> with a rel (alternate is the default rel)
+ */
+function getLink(links = [], rel, type = null) {
+    const link = links.find(candidate => {
+        const attributes = candidate?.$ || {};
+        return (attributes.rel || 'alternate') === rel && (!type || (attributes.type || '').startsWith(type));
+    });
+    return link?.$?.href || null;
+}
+
+/**
+ * Image from media: elements or an image enclosure link
+ */
+function extractImage(item) {
+    const group = item['media:group'];
+    return item['media:thumbnail']?.$?.url ||
+           item.mediaContents?.[0]?.$?.url ||
+           group?.['media:thumbnail']?.[0]?.$?.url ||
+           group?.['media:content']?.[0]?.$?.url ||
+           getLink(item.links, 'enclosure', 'image/') ||
+           null;
+}
+
+/**
+ * Every <author><name>, joined
+ */
+function extractAuthors(item) {
+    const names = (item.authors || [])
+        .map(author => author?.name?.[0])
+        .filter(name => typeof name === 'string' && name.trim().length > 0)
+        .map(name => name.trim());
+    return names.length > 0 ? names.join(', ') : item.author || null;
+}
+
+/**
+ * Every media:content and enclosure link
+ */
+function extractMedia(item) {
+    const media = (item.mediaContents || []).map(content => ({
+        url: content?.$?.url,
+        medium: content?.$?.medium,
+        type: content?.$?.type,
+        width: content?.$?.width,
+        height: content?.$?.height
+    }));
+
+    for (const link of item.links || []) {
+        if (link?.$?.rel === 'enclosure' && link.$.href) {
+            media.push({ url: link.$.href, type: link.$.type, title: link.$.title });
+        }
+    }
+    return media;
+}
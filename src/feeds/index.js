@@ -0,0 +1,29 @@
+import { rssAdapter } from './rss.js';
+import { atomAdapter } from './atom.js';
+import { jsonFeedAdapter } from './jsonFeed.js';
+import { sitemapAdapter } from './sitemap.js';
+
+/**
+ * Feed adapters by source type - each is { type, accept, parseFeed(body),
+ * toArticle(item, source) } and turns one feed format into NewsArticle objects.
+ * Add new ones here.
+ */
+export const feedAdapters = {
+    [rssAdapter.type]: rssAdapter,
+    [atomAdapter.type]: atomAdapter,
+    [jsonFeedAdapter.type]: jsonFeedAdapter,
+    [sitemapAdapter.type]: sitemapAdapter
+};
+
+export const FEED_TYPES = Object.keys(feedAdapters);
+
+/**
+ * Get the adapter for a source type (sources without a type are RSS)
+ */
+export function getFeedAdapter(type = 'rss') {
+    const adapter = feedAdapters[type || 'rss'];
+    if (!adapter) {
+        throw new Error(`Unknown source type "${type}" (expected one of: ${FEED_TYPES.join(', ')})`);
+    }
+    return adapter;
+}
@@ -0,0 +1,78 @@
+import { NewsArticle } from '../models/NewsArticle.js';
+import { toISODate } from '../utils/dates.js';
+import { canonicalizeUrl } from '../utils/urlCanonicalizer.js';
+import { htmlToText } from '../utils/html.js';
+import { normalizeLanguageCode } from '../utils/language.js';
+
+/**
+ * JSON Feed 1.0 and 1.1 (https://jsonfeed.org/version/1.1)
+ */
+export const jsonFeedAdapter = {
+    type: 'json',
+    accept: 'application/feed+json, application/json;q=0.9, */*;q=0.8',
+
+    async parseFeed(body) {
+        const feed = JSON.parse(body);
+        if (!Array.isArray(feed?.items)) {
+            throw new Error('Not a JSON Feed (no items array)');
+        }
+        // 1.0 puts the author on the feed, 1.1 uses authors arrays
+        const feedAuthors = feed.authors || (feed.author ? [feed.author] : []);
+        return feed.items.map(item => ({ ...item, feedAuthors, feedLanguage: feed.language }));
+    },
+
+    toArticle(item, source) {
+        const url = item.url || item.external_url;
+        if (!item.title || !url) return null;
+
+        return new NewsArticle({
+            guid: item.id !== undefined ? String(item.id) : null,
+            title: String(item.title).trim(),
+            content: item.content_text || htmlToText(item.content_html || '') || item.summary || '',
+            summary: item.summary || '',
+            image: item.image || item.banner_image || extractImageAttachment(item),
+            url: url.trim(),
+            canonicalUrl: canonicalizeUrl(url, source.name),
+            publishedDate: toISODate(item.date_published || item.date_modified),
+            updatedDate: toISODate(item.date_modified),
+            author: extractAuthors(item),
+            // 1.1 allows a per-item language
+            language: normalizeLanguageCode(item.language || item.feedLanguage),
+            tags: Array.isArray(item.tags) ? item.tags : [],
+            media: extractMedia(item),
+            source: source.name,
+            category: source.category
+        });
+    }
+};
+
+/**
+ * First image attachment
+ */
+function extractImageAttachment(item) {
+    const attachment = (item.attachments || []).find(candidate => (candidate.mime_type || '').startsWith('image/'));
+    return attachment?.url || null;
+}
+
+/**
+ * The item's image and banner_image, then every attachment
+ */
+function extractMedia(item) {
+    const media = [item.image, item.banner_image]
+        .filter(Boolean)
+        .map(url => ({ url, medium: 'image' }));
+
+    for (const attachment of item.attachments || []) {
+        media.push({ url: attachment?.url, type: attachment?.mime_type, title: attachment?.title });
+    }
+    return media;
+}
+
+/**
+ * Item authors, falling back to the feed's
+ */
+function extractAuthors(item) {
+    const authors = item.authors || (item.author ? [item.author] : item.feedAuthors);
+    const names = (authors || []).map(author => author?.name).filter(Boolean);
+    return names.length > 0 ? names.join(', ') : null;
+}
@@ -0,0 +1,102 @@
+import Parser from 'rss-parser';
+import { NewsArticle } from '../models/NewsArticle.js';
+import { toISODate } from '../utils/dates.js';
+import { canonicalizeUrl } from '../utils/urlCanonicalizer.js';
+import { normalizeLanguageCode } from '../utils/language.js';
+
+const parser = new Parser({
+    customFields: {
+        feed: ['language'],
+        item: [
+            ['media:content', 'mediaContents', { keepArray: true }],
+            ['media:thumbnail', 'mediaThumbnails', { keepArray: true }],
+            'media:group',
+            'enclosure',
+            'itunes:duration',
+            'itunes:image',
+            'atom:updated',
+            'dc:language'
+        ]
+    }
+});
+
+/**
+ * RSS 2.0 feeds, including media:, dc:, content: and itunes: extensions
+ */
+export const rssAdapter = {
+    type: 'rss',
+    accept: 'application/rss+xml, application/xml;q=0.9, text/xml;q=0.9, */*;q=0.8',
+
+    async parseFeed(body) {
+        const feed = await parser.parseString(body);
+        return (feed?.items || []).map(item => ({ ...item, feedLanguage: feed.language }));
+    },
+
+    toArticle(item, source) {
+        if (!item.title || !item.link) return null;
+
+        return new NewsArticle({
+            guid: typeof item.guid === 'string' ? item.guid.trim() : null,
+            title: item.title.trim(),
+            content: extractContent(item),
+            summary: item.contentSnippet || '',
+            image: extractImage(item),
+            url: item.link.trim(),
+            canonicalUrl: canonicalizeUrl(item.link, source.name),
+            publishedDate: toISODate(item.isoDate || item.pubDate),
+            updatedDate: toISODate(item['atom:updated']),
+            duration: item['itunes:duration'] || null,
+            author: item.creator || item.author || null,
+            language: normalizeLanguageCode(item['dc:language'] || item.feedLanguage),
+            tags: (item.categories || []).map(category => typeof category === 'string' ? category : category?._),
+            media: extractMedia(item),
+            source: source.name,
+            category: source.category
+        });
+    }
+};
+
+/**
+ * Extract content from item - full content:encoded text when the feed has it
+ */
+function extractContent(item) {
+    return item['content:encodedSnippet'] ||
+           item.contentSnippet ||
+           item.description ||
+           item.content?.replace(/<[^>]*>/g, '').trim() ||
+           '';
+}
+
+/**
+ * Extract image URL from item
+ */
+function extractImage(item) {
+    return item.mediaContents?.[0]?.['$']?.url ||
+           item.mediaThumbnails?.[0]?.['$']?.url ||
+           item['itunes:image']?.['$']?.href ||
+           item.enclosure?.url ||
+           null;
+}
+
+/**
+ * Every media:content (also inside media:group), media:thumbnail and enclosure
+ */
+function extractMedia(item) {
+    const contents = [...(item.mediaContents || []), ...(item['media:group']?.['media:content'] || [])];
+    const media = contents.map(content => ({
+        url: content?.$?.url,
+        medium: content?.$?.medium,
+        type: content?.$?.type,
+        width: content?.$?.width,
+        height: content?.$?.height,
+        title: content?.['media:title']?.[0]?._ ?? content?.['media:title']?.[0]
+    }));
+
+    for (const thumbnail of item.mediaThumbnails || []) {
+        media.push({ url: thumbnail?.$?.url, medium: 'image', width: thumbnail?.$?.width, height: thumbnail?.$?.height });
+    }
+    if (item.enclosure?.url) {
+        media.push({ url: item.enclosure.url, type: item.enclosure.type });
+    }
+    return media;
+}
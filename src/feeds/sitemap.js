@@ -0,0 +1,69 @@
+import { NewsArticle } from '../models/NewsArticle.js';
+import { toISODate } from '../utils/dates.js';
+import { canonicalizeUrl } from '../utils/urlCanonicalizer.js';
+import { getElementsHtml, getElementHtml, decodeEntities } from '../utils/html.js';
+import { normalizeLanguageCode } from '../utils/language.js';
+
+/**
+ * Google News sitemaps - <url> entries with <news:news> metadata
+ * (https://developers.google.com/search/docs/crawling-indexing/sitemaps/news-sitemap)
+ */
+export const sitemapAdapter = {
+    type: 'sitemap',
+    accept: 'application/xml, text/xml;q=0.9, */*;q=0.8',
+
+    async parseFeed(body) {
+        if (!/<urlset\b/i.test(body)) {
+            throw new Error('Not a sitemap (no <urlset>)');
+        }
+        return getElementsHtml(body, 'url')
+            .filter(entry => /<news:news\b/i.test(entry))
+            .map(entry => {
+                const news = getElementHtml(entry, 'news:news');
+                return {
+                    loc: xmlText(entry, 'loc'),
+                    lastmod: xmlText(entry, 'lastmod'),
+                    title: xmlText(news, 'news:title'),
+                    publicationDate: xmlText(news, 'news:publication_date'),
+                    language: xmlText(getElementHtml(news, 'news:publication'), 'news:language'),
+                    keywords: xmlText(news, 'news:keywords'),
+                    images: getElementsHtml(entry, 'image:image').map(image => ({
+                        url: xmlText(image, 'image:loc'),
+                        title: xmlText(image, 'image:caption') || xmlText(image, 'image:title')
+                    }))
+                };
+            });
+    },
+
+    toArticle(item, source) {
+        if (!item.title || !item.loc) return null;
+
+        return new NewsArticle({
+            title: item.title,
+            // Sitemaps carry no summary; keywords are the closest thing
+            content: item.keywords || '',
+            image: item.images[0]?.url,
+            url: item.loc,
+            canonicalUrl: canonicalizeUrl(item.loc, source.name),
+            publishedDate: toISODate(item.publicationDate),
+            updatedDate: toISODate(item.lastmod),
+            language: normalizeLanguageCode(item.language),
+            tags: (item.keywords || '').split(','),
+            media: item.images.map(image => ({ ...image, medium: 'image' })),
+            source: source.name,
+            category: source.category
+        });
+    }
+};
+
+/**
+ * Text of the first child element, with CDATA unwrapped and entities decoded
+ */
+function xmlText(xml, tagName) {
+    const inner = xml ? getElementHtml(xml, tagName) : null;
+    if (inner === null) {
+        return null;
+    }
+    const text = inner.replace(/<!\[CDATA\[([\s\S]*?)\]\]>/g, '$1').trim();
+    return decodeEntities(text) || null;
+}
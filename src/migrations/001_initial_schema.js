@@ -0,0 +1,86 @@
+/**
+ * Initial schema - articles, categories and sources as first deployed.
+ * Uses IF NOT EXISTS so databases created before migrations existed are adopted as-is.
+ * Irreversible: the tables may hold data from before migrations, so rolling back
+ * would delete the whole archive
+ */
+export default {
+    version: 1,
+    name: 'initial_schema',
+    irreversible: true,
+
+    async up(db) {
+        if (db.dialect === 'mysql') {
+            await db.execute(`
+                CREATE TABLE IF NOT EXISTS articles (
+                    id INT AUTO_INCREMENT PRIMARY KEY,
+                    title VARCHAR(500) NOT NULL,
+                    content TEXT,
+                    image_url VARCHAR(500),
+                    article_url VARCHAR(500) NOT NULL,
+                    published_date VARCHAR(100),
+                    duration VARCHAR(50),
+                    source VARCHAR(100) NOT NULL,
+                    category VARCHAR(50) NOT NULL,
+                    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+                    UNIQUE KEY unique_url (article_url)
+                ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4
+            `);
+            await db.execute(`
+                CREATE TABLE IF NOT EXISTS categories (
+                    id INT AUTO_INCREMENT PRIMARY KEY,
+                    name VARCHAR(50) UNIQUE NOT NULL,
+                    description VARCHAR(200),
+                    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+                ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4
+            `);
+            await db.execute(`
+                CREATE TABLE IF NOT EXISTS sources (
+                    id INT AUTO_INCREMENT PRIMARY KEY,
+                    name VARCHAR(100) UNIQUE NOT NULL,
+                    url VARCHAR(500),
+                    category VARCHAR(50),
+                    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+                ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4
+            `);
+            return;
+        }
+
+        await db.execute(`
+            CREATE TABLE IF NOT EXISTS articles (
+                id INTEGER PRIMARY KEY AUTOINCREMENT,
+                title TEXT NOT NULL,
+                content TEXT,
+                image_url TEXT,
+                article_url TEXT NOT NULL,
+                published_date TEXT,
+                duration TEXT,
+                source TEXT NOT NULL,
+                category TEXT NOT NULL,
+                created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+                UNIQUE(article_url)
+            )
+        `);
+        await db.execute(`
+            CREATE TABLE IF NOT EXISTS categories (
+                id INTEGER PRIMARY KEY AUTOINCREMENT,
+                name TEXT UNIQUE NOT NULL,
+                description TEXT,
+                created_at DATETIME DEFAULT CURRENT_TIMESTAMP
+            )
+        `);
+        await db.execute(`
+            CREATE TABLE IF NOT EXISTS sources (
+                id INTEGER PRIMARY KEY AUTOINCREMENT,
+                name TEXT UNIQUE NOT NULL,
+                url TEXT,
+                category TEXT,
+                created_at DATETIME DEFAULT CURRENT_TIMESTAMP
+            )
+        `);
+    },
+
+    async down() {
+        throw new Error('The initial schema can not be rolled back, it would drop every stored article');
+    }
+};
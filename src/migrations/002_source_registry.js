@@ -0,0 +1,30 @@
+import { defaultSources } from '../../config/sources.config.js';
+
+/**
+ * Source registry - adds sources.enabled and registers every default feed,
+ * since older databases were only seeded with part of the list
+ */
+export default {
+    version: 2,
+    name: 'source_registry',
+
+    async up(db) {
+        // Databases upgraded before migrations existed may already have the column
+        if (await db.hasColumn('sources', 'enabled')) {
+            return;
+        }
+
+        const type = db.dialect === 'mysql' ? 'TINYINT(1)' : 'INTEGER';
+        await db.execute(`ALTER TABLE sources ADD COLUMN enabled ${type} NOT NULL DEFAULT 1`);
+
+        const insert = db.dialect === 'mysql' ? 'INSERT IGNORE' : 'INSERT OR IGNORE';
+        for (const source of defaultSources) {
+            await db.execute(`${insert} INTO sources (name, url, category) VALUES (?, ?, ?)`,
+                [source.name, source.url, source.category]);
+        }
+    },
+
+    async down(db) {
+        await db.execute('ALTER TABLE sources DROP COLUMN enabled');
+    }
+};
@@ -0,0 +1,122 @@
+import { toSqlDateTime } from '../utils/dates.js';
+
+/**
+ * Published dates - converts "Oct 20, 2025" strings to UTC datetimes in a
+ * DATETIME column, indexed for sorting and date-range queries
+ */
+export default {
+    version: 3,
+    name: 'published_date_datetime',
+
+    async up(db) {
+        const type = await columnType(db);
+        if (type === 'datetime') {
+            // Already converted before migrations existed
+            await createIndex(db);
+            return;
+        }
+
+        if (db.dialect === 'mysql') {
+            await db.execute('ALTER TABLE articles ADD COLUMN published_datetime DATETIME NULL');
+            await convertValues(db, 'published_datetime');
+            await db.execute('ALTER TABLE articles DROP COLUMN published_date');
+            await db.execute('ALTER TABLE articles CHANGE published_datetime published_date DATETIME NULL');
+        } else {
+            // SQLite can't change a column type in place, so rebuild the table
+            await rebuildSqliteArticles(db, 'DATETIME');
+            await convertValues(db, 'published_date');
+        }
+
+        await createIndex(db);
+    },
+
+    async down(db) {
+        // Values stay as UTC datetimes, only the column type is reverted
+        if (db.dialect === 'mysql') {
+            await db.execute('DROP INDEX idx_articles_published_date ON articles');
+            await db.execute('ALTER TABLE articles MODIFY published_date VARCHAR(100)');
+        } else {
+            await db.execute('DROP INDEX IF EXISTS idx_articles_published_date');
+            await rebuildSqliteArticles(db, 'TEXT');
+        }
+    }
+};
+
+/**
+ * Read the declared type of articles.published_date
+ */
+async function columnType(db) {
+    if (db.dialect === 'mysql') {
+        const rows = await db.query(`
+            SELECT DATA_TYPE as type FROM information_schema.COLUMNS
+            WHERE TABLE_SCHEMA = DATABASE() AND TABLE_NAME = 'articles' AND COLUMN_NAME = 'published_date'
+        `);
+        return rows[0].type.toLowerCase();
+    }
+
+    const columns = await db.query('PRAGMA table_info(articles)');
+    return columns.find(column => column.name === 'published_date').type.toLowerCase();
+}
+
+/**
+ * Convert every published_date value into the target column
+ */
+async function convertValues(db, targetColumn) {
+    const rows = await db.query('SELECT id, published_date FROM articles');
+    let unparseable = 0;
+
+    for (const row of rows) {
+        const publishedDate = toSqlDateTime(row.published_date);
+        if (publishedDate === null && row.published_date) {
+            unparseable++;
+        }
+        await db.execute(`UPDATE articles SET ${targetColumn} = ? WHERE id = ?`, [publishedDate, row.id]);
+    }
+
+    console.log(`   📅 Converted ${rows.length - unparseable} published dates (${unparseable} unparseable set to NULL)`);
+}
+
+/**
+ * Copy articles into a table whose published_date has the given type
+ */
+async function rebuildSqliteArticles(db, publishedDateType) {
+    await db.execute(`
+        CREATE TABLE articles_new (
+            id INTEGER PRIMARY KEY AUTOINCREMENT,
+            title TEXT NOT NULL,
+            content TEXT,
+            image_url TEXT,
+            article_url TEXT NOT NULL,
+            published_date ${publishedDateType},
+            duration TEXT,
+            source TEXT NOT NULL,
+            category TEXT NOT NULL,
+            created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+            UNIQUE(article_url)
+        )
+    `);
+    await db.execute(`
+        INSERT INTO articles_new (id, title, content, image_url, article_url, published_date, duration, source, category, created_at)
+        SELECT id, title, content, image_url, article_url, published_date, duration, source, category, created_at FROM articles
+    `);
+    await db.execute('DROP TABLE articles');
+    await db.execute('ALTER TABLE articles_new RENAME TO articles');
+}
+
+/**
+ * Index published_date for sorting and range queries
+ */
+async function createIndex(db) {
+    if (db.dialect === 'mysql') {
+        const indexes = await db.query(`
+            SELECT 1 FROM information_schema.STATISTICS
+            WHERE TABLE_SCHEMA = DATABASE() AND TABLE_NAME = 'articles' AND INDEX_NAME = 'idx_articles_published_date'
+        `);
+        if (indexes.length === 0) {
+            await db.execute('CREATE INDEX idx_articles_published_date ON articles (published_date)');
+        }
+        return;
+    }
+
+    await db.execute('CREATE INDEX IF NOT EXISTS idx_articles_published_date ON articles(published_date)');
+}
@@ -0,0 +1,54 @@
+/**
+ * Full-text search - FTS5 index kept in sync by triggers on SQLite,
+ * FULLTEXT index on MySQL
+ */
+export default {
+    version: 4,
+    name: 'full_text_search',
+
+    async up(db) {
+        if (db.dialect === 'mysql') {
+            await db.execute('ALTER TABLE articles ADD FULLTEXT INDEX ft_articles_title_content (title, content)');
+            return;
+        }
+
+        await db.execute(`
+            CREATE VIRTUAL TABLE articles_fts USING fts5(
+                title, content,
+                content = 'articles', content_rowid = 'id',
+                tokenize = 'unicode61 remove_diacritics 2'
+            )
+        `);
+        await db.execute(`
+            CREATE TRIGGER articles_fts_insert AFTER INSERT ON articles BEGIN
+                INSERT INTO articles_fts (rowid, title, content) VALUES (new.id, new.title, new.content);
+            END
+        `);
+        await db.execute(`
+            CREATE TRIGGER articles_fts_delete AFTER DELETE ON articles BEGIN
+                INSERT INTO articles_fts (articles_fts, rowid, title, content) VALUES ('delete', old.id, old.title, old.content);
+            END
+        `);
+        await db.execute(`
+            CREATE TRIGGER articles_fts_update AFTER UPDATE OF title, content ON articles BEGIN
+                INSERT INTO articles_fts (articles_fts, rowid, title, content) VALUES ('delete', old.id, old.title, old.content);
+                INSERT INTO articles_fts (rowid, title, content) VALUES (new.id, new.title, new.content);
+            END
+        `);
+
+        // Index existing articles
+        await db.execute("INSERT INTO articles_fts (articles_fts) VALUES ('rebuild')");
+    },
+
+    async down(db) {
+        if (db.dialect === 'mysql') {
+            await db.execute('ALTER TABLE articles DROP INDEX ft_articles_title_content');
+            return;
+        }
+
+        await db.execute('DROP TRIGGER IF EXISTS articles_fts_update');
+        await db.execute('DROP TRIGGER IF EXISTS articles_fts_delete');
+        await db.execute('DROP TRIGGER IF EXISTS articles_fts_insert');
+        await db.execute('DROP TABLE IF EXISTS articles_fts');
+    }
+};
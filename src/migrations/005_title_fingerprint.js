@@ -0,0 +1,31 @@
+import { titleFingerprint } from '../utils/fingerprints.js';
+
+/**
+ * Title fingerprints - indexed hash of the normalized title so duplicate
+ * checks can run as a single set lookup per scrape
+ */
+export default {
+    version: 5,
+    name: 'title_fingerprint',
+
+    async up(db) {
+        const type = db.dialect === 'mysql' ? 'CHAR(40)' : 'TEXT';
+        await db.execute(`ALTER TABLE articles ADD COLUMN title_fingerprint ${type} NULL`);
+
+        const rows = await db.query('SELECT id, title FROM articles');
+        for (const row of rows) {
+            await db.execute('UPDATE articles SET title_fingerprint = ? WHERE id = ?', [titleFingerprint(row.title), row.id]);
+        }
+
+        await db.execute('CREATE INDEX idx_articles_title_fingerprint ON articles (title_fingerprint, source)');
+    },
+
+    async down(db) {
+        if (db.dialect === 'mysql') {
+            await db.execute('DROP INDEX idx_articles_title_fingerprint ON articles');
+        } else {
+            await db.execute('DROP INDEX IF EXISTS idx_articles_title_fingerprint');
+        }
+        await db.execute('ALTER TABLE articles DROP COLUMN title_fingerprint');
+    }
+};
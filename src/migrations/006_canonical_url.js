@@ -0,0 +1,52 @@
+import { canonicalizeUrl } from '../utils/urlCanonicalizer.js';
+import { createMergedArticlesTable, mergeArticle, restoreMergedArticles } from './articleMerges.js';
+
+/**
+ * Canonical URLs - stores the canonicalized article URL under a unique index
+ * so tracking, http/https and AMP variants map to one row. Rows that collapse
+ * to the same canonical URL are merged, keeping the first one stored; the
+ * others are kept in merged_articles and put back on rollback.
+ */
+export default {
+    version: 6,
+    name: 'canonical_url',
+
+    async up(db) {
+        const type = db.dialect === 'mysql' ? 'VARCHAR(500)' : 'TEXT';
+        await db.execute(`ALTER TABLE articles ADD COLUMN canonical_url ${type} NULL`);
+        await createMergedArticlesTable(db);
+
+        const rows = await db.query('SELECT id, article_url, source FROM articles ORDER BY id');
+        const kept = new Map();
+        let merged = 0;
+
+        for (const row of rows) {
+            const canonicalUrl = canonicalizeUrl(row.article_url, row.source);
+            if (kept.has(canonicalUrl)) {
+                await mergeArticle(db, 6, row.id, kept.get(canonicalUrl), canonicalUrl);
+                merged++;
+                continue;
+            }
+            kept.set(canonicalUrl, row.id);
+            await db.execute('UPDATE articles SET canonical_url = ? WHERE id = ?', [canonicalUrl, row.id]);
+        }
+
+        if (merged > 0) {
+            console.log(`🔗 Merged ${merged} article(s) with duplicate canonical URLs`);
+        }
+
+        await db.execute('CREATE UNIQUE INDEX idx_articles_canonical_url ON articles (canonical_url)');
+    },
+
+    async down(db) {
+        if (db.dialect === 'mysql') {
+            await db.execute('DROP INDEX idx_articles_canonical_url ON articles');
+        } else {
+            await db.execute('DROP INDEX IF EXISTS idx_articles_canonical_url');
+        }
+        await db.execute('ALTER TABLE articles DROP COLUMN canonical_url');
+
+        await restoreMergedArticles(db, 6);
+        await db.execute('DROP TABLE IF EXISTS merged_articles');
+    }
+};
@@ -0,0 +1,45 @@
+/**
+ * Stories - groups articles from different outlets covering the same event
+ */
+export default {
+    version: 7,
+    name: 'stories',
+
+    async up(db) {
+        if (db.dialect === 'mysql') {
+            await db.execute(`
+                CREATE TABLE stories (
+                    id INT AUTO_INCREMENT PRIMARY KEY,
+                    title VARCHAR(500) NOT NULL,
+                    first_seen DATETIME NOT NULL,
+                    updated_at DATETIME NOT NULL,
+                    INDEX idx_stories_updated_at (updated_at)
+                ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4
+            `);
+            await db.execute('ALTER TABLE articles ADD COLUMN story_id INT NULL');
+        } else {
+            await db.execute(`
+                CREATE TABLE stories (
+                    id INTEGER PRIMARY KEY AUTOINCREMENT,
+                    title TEXT NOT NULL,
+                    first_seen DATETIME NOT NULL,
+                    updated_at DATETIME NOT NULL
+                )
+            `);
+            await db.execute('CREATE INDEX idx_stories_updated_at ON stories (updated_at)');
+            await db.execute('ALTER TABLE articles ADD COLUMN story_id INTEGER NULL');
+        }
+
+        await db.execute('CREATE INDEX idx_articles_story_id ON articles (story_id)');
+    },
+
+    async down(db) {
+        if (db.dialect === 'mysql') {
+            await db.execute('DROP INDEX idx_articles_story_id ON articles');
+        } else {
+            await db.execute('DROP INDEX IF EXISTS idx_articles_story_id');
+        }
+        await db.execute('ALTER TABLE articles DROP COLUMN story_id');
+        await db.execute('DROP TABLE stories');
+    }
+};
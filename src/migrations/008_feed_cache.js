@@ -0,0 +1,27 @@
+/**
+ * Feed cache - remembers each source's ETag, Last-Modified and body hash so
+ * unchanged feeds can be skipped with a conditional GET
+ */
+const columns = [
+    ['etag', 'VARCHAR(255)'],
+    ['last_modified', 'VARCHAR(100)'],
+    ['content_hash', 'CHAR(64)']
+];
+
+export default {
+    version: 8,
+    name: 'feed_cache',
+
+    async up(db) {
+        for (const [name, mysqlType] of columns) {
+            const type = db.dialect === 'mysql' ? mysqlType : 'TEXT';
+            await db.execute(`ALTER TABLE sources ADD COLUMN ${name} ${type} NULL`);
+        }
+    },
+
+    async down(db) {
+        for (const [name] of columns) {
+            await db.execute(`ALTER TABLE sources DROP COLUMN ${name}`);
+        }
+    }
+};
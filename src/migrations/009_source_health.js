@@ -0,0 +1,49 @@
+/**
+ * Source health - fetch outcomes per feed and circuit breaker state
+ */
+export default {
+    version: 9,
+    name: 'source_health',
+
+    async up(db) {
+        if (db.dialect === 'mysql') {
+            await db.execute(`
+                CREATE TABLE source_health (
+                    source_name VARCHAR(100) PRIMARY KEY,
+                    state VARCHAR(20) NOT NULL DEFAULT 'closed',
+                    consecutive_failures INT NOT NULL DEFAULT 0,
+                    total_fetches INT NOT NULL DEFAULT 0,
+                    total_failures INT NOT NULL DEFAULT 0,
+                    parsed_fetches INT NOT NULL DEFAULT 0,
+                    avg_latency_ms DOUBLE NULL,
+                    avg_items DOUBLE NULL,
+                    last_success_at DATETIME NULL,
+                    last_failure_at DATETIME NULL,
+                    last_error TEXT NULL,
+                    next_attempt_at DATETIME NULL
+                ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4
+            `);
+        } else {
+            await db.execute(`
+                CREATE TABLE source_health (
+                    source_name TEXT PRIMARY KEY,
+                    state TEXT NOT NULL DEFAULT 'closed',
+                    consecutive_failures INTEGER NOT NULL DEFAULT 0,
+                    total_fetches INTEGER NOT NULL DEFAULT 0,
+                    total_failures INTEGER NOT NULL DEFAULT 0,
+                    parsed_fetches INTEGER NOT NULL DEFAULT 0,
+                    avg_latency_ms REAL NULL,
+                    avg_items REAL NULL,
+                    last_success_at DATETIME NULL,
+                    last_failure_at DATETIME NULL,
+                    last_error TEXT NULL,
+                    next_attempt_at DATETIME NULL
+                )
+            `);
+        }
+    },
+
+    async down(db) {
+        await db.execute('DROP TABLE source_health');
+    }
+};
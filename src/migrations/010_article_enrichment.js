@@ -0,0 +1,37 @@
+/**
+ * Article enrichment - full text, author, canonical URL, lead image and og:
+ * metadata extracted from the article page
+ */
+const columns = [
+    ['body', 'MEDIUMTEXT'],
+    ['author', 'VARCHAR(255)'],
+    ['page_canonical_url', 'VARCHAR(500)'],
+    ['lead_image', 'VARCHAR(500)'],
+    ['og_metadata', 'TEXT'],
+    ['enriched_at', 'DATETIME'],
+    ['enrichment_error', 'VARCHAR(500)']
+];
+
+export default {
+    version: 10,
+    name: 'article_enrichment',
+
+    async up(db) {
+        for (const [name, mysqlType] of columns) {
+            const type = db.dialect === 'mysql' ? mysqlType : (mysqlType === 'DATETIME' ? 'DATETIME' : 'TEXT');
+            await db.execute(`ALTER TABLE articles ADD COLUMN ${name} ${type} NULL`);
+        }
+        await db.execute('CREATE INDEX idx_articles_enriched_at ON articles (enriched_at, created_at)');
+    },
+
+    async down(db) {
+        if (db.dialect === 'mysql') {
+            await db.execute('DROP INDEX idx_articles_enriched_at ON articles');
+        } else {
+            await db.execute('DROP INDEX IF EXISTS idx_articles_enriched_at');
+        }
+        for (const [name] of columns) {
+            await db.execute(`ALTER TABLE articles DROP COLUMN ${name}`);
+        }
+    }
+};
@@ -0,0 +1,16 @@
+/**
+ * Source types - which feed adapter reads a source (rss, atom, json, sitemap)
+ */
+export default {
+    version: 11,
+    name: 'source_type',
+
+    async up(db) {
+        const type = db.dialect === 'mysql' ? 'VARCHAR(20)' : 'TEXT';
+        await db.execute(`ALTER TABLE sources ADD COLUMN type ${type} NOT NULL DEFAULT 'rss'`);
+    },
+
+    async down(db) {
+        await db.execute('ALTER TABLE sources DROP COLUMN type');
+    }
+};
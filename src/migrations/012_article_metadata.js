@@ -0,0 +1,78 @@
+/**
+ * Article metadata - feed GUID, summary, updated date and language on articles,
+ * with tags and media items in their own tables
+ */
+const columns = [
+    ['guid', 'VARCHAR(500)'],
+    ['summary', 'TEXT'],
+    ['updated_date', 'DATETIME'],
+    ['language', 'VARCHAR(10)']
+];
+
+export default {
+    version: 12,
+    name: 'article_metadata',
+
+    async up(db) {
+        for (const [name, mysqlType] of columns) {
+            const type = db.dialect === 'mysql' ? mysqlType : (mysqlType === 'DATETIME' ? 'DATETIME' : 'TEXT');
+            await db.execute(`ALTER TABLE articles ADD COLUMN ${name} ${type} NULL`);
+        }
+
+        if (db.dialect === 'mysql') {
+            await db.execute(`
+                CREATE TABLE article_tags (
+                    article_id INT NOT NULL,
+                    tag VARCHAR(100) NOT NULL,
+                    PRIMARY KEY (article_id, tag),
+                    INDEX idx_article_tags_tag (tag)
+                ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4
+            `);
+            await db.execute(`
+                CREATE TABLE article_media (
+                    id INT AUTO_INCREMENT PRIMARY KEY,
+                    article_id INT NOT NULL,
+                    position INT NOT NULL DEFAULT 0,
+                    url VARCHAR(500) NOT NULL,
+                    medium VARCHAR(20) NULL,
+                    mime_type VARCHAR(100) NULL,
+                    width INT NULL,
+                    height INT NULL,
+                    title VARCHAR(500) NULL,
+                    INDEX idx_article_media_article_id (article_id)
+                ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4
+            `);
+        } else {
+            await db.execute(`
+                CREATE TABLE article_tags (
+                    article_id INTEGER NOT NULL,
+                    tag TEXT NOT NULL,
+                    PRIMARY KEY (article_id, tag)
+                )
+            `);
+            await db.execute('CREATE INDEX idx_article_tags_tag ON article_tags (tag)');
+            await db.execute(`
+                CREATE TABLE article_media (
+                    id INTEGER PRIMARY KEY AUTOINCREMENT,
+                    article_id INTEGER NOT NULL,
+                    position INTEGER NOT NULL DEFAULT 0,
+                    url TEXT NOT NULL,
+                    medium TEXT NULL,
+                    mime_type TEXT NULL,
+                    width INTEGER NULL,
+                    height INTEGER NULL,
+                    title TEXT NULL
+                )
+            `);
+            await db.execute('CREATE INDEX idx_article_media_article_id ON article_media (article_id)');
+        }
+    },
+
+    async down(db) {
+        await db.execute('DROP TABLE article_media');
+        await db.execute('DROP TABLE article_tags');
+        for (const [name] of columns) {
+            await db.execute(`ALTER TABLE articles DROP COLUMN ${name}`);
+        }
+    }
+};
@@ -0,0 +1,41 @@
+/**
+ * Article revisions - previous title, content and image of articles edited after publishing
+ */
+export default {
+    version: 13,
+    name: 'article_revisions',
+
+    async up(db) {
+        if (db.dialect === 'mysql') {
+            await db.execute(`
+                CREATE TABLE article_revisions (
+                    id INT AUTO_INCREMENT PRIMARY KEY,
+                    article_id INT NOT NULL,
+                    title VARCHAR(500) NOT NULL,
+                    content TEXT,
+                    image_url VARCHAR(500),
+                    changed_fields VARCHAR(100) NOT NULL,
+                    revised_at DATETIME NOT NULL,
+                    INDEX idx_article_revisions_article_id (article_id, revised_at)
+                ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4
+            `);
+        } else {
+            await db.execute(`
+                CREATE TABLE article_revisions (
+                    id INTEGER PRIMARY KEY AUTOINCREMENT,
+                    article_id INTEGER NOT NULL,
+                    title TEXT NOT NULL,
+                    content TEXT,
+                    image_url TEXT,
+                    changed_fields TEXT NOT NULL,
+                    revised_at DATETIME NOT NULL
+                )
+            `);
+            await db.execute('CREATE INDEX idx_article_revisions_article_id ON article_revisions (article_id, revised_at)');
+        }
+    },
+
+    async down(db) {
+        await db.execute('DROP TABLE article_revisions');
+    }
+};
@@ -0,0 +1,88 @@
+import fullTextSearch from './004_full_text_search.js';
+import { detectLanguage, normalizeSearchText } from '../utils/language.js';
+
+/**
+ * Language-aware search - detects the language of stored articles and moves
+ * the full-text index onto normalized copies of title and content, so
+ * Arabic-script spelling variants of Urdu words match each other
+ */
+export default {
+    version: 14,
+    name: 'language_search',
+
+    async up(db) {
+        await fullTextSearch.down(db);
+
+        const titleType = db.dialect === 'mysql' ? 'VARCHAR(500)' : 'TEXT';
+        await db.execute(`ALTER TABLE articles ADD COLUMN search_title ${titleType} NULL`);
+        await db.execute('ALTER TABLE articles ADD COLUMN search_content TEXT NULL');
+
+        const rows = await db.query('SELECT id, title, content, language FROM articles ORDER BY id');
+        let detected = 0;
+
+        for (const row of rows) {
+            const language = detectLanguage(`${row.title} ${row.content || ''}`) || row.language;
+            if (language && language !== row.language) detected++;
+            await db.execute(
+                'UPDATE articles SET search_title = ?, search_content = ?, language = ? WHERE id = ?',
+                [normalizeSearchText(row.title), normalizeSearchText(row.content), language, row.id]
+            );
+        }
+
+        if (detected > 0) {
+            console.log(`🌐 Detected the language of ${detected} article(s)`);
+        }
+
+        await db.execute('CREATE INDEX idx_articles_language ON articles (language)');
+
+        if (db.dialect === 'mysql') {
+            await db.execute('ALTER TABLE articles ADD FULLTEXT INDEX ft_articles_search (search_title, search_content)');
+            return;
+        }
+
+        await db.execute(`
+            CREATE VIRTUAL TABLE articles_fts USING fts5(
+                search_title, search_content,
+                content = 'articles', content_rowid = 'id',
+                tokenize = 'unicode61 remove_diacritics 2'
+            )
+        `);
+        await db.execute(`
+            CREATE TRIGGER articles_fts_insert AFTER INSERT ON articles BEGIN
+                INSERT INTO articles_fts (rowid, search_title, search_content) VALUES (new.id, new.search_title, new.search_content);
+            END
+        `);
+        await db.execute(`
+            CREATE TRIGGER articles_fts_delete AFTER DELETE ON articles BEGIN
+                INSERT INTO articles_fts (articles_fts, rowid, search_title, search_content)
+                VALUES ('delete', old.id, old.search_title, old.search_content);
+            END
+        `);
+        await db.execute(`
+            CREATE TRIGGER articles_fts_update AFTER UPDATE OF search_title, search_content ON articles BEGIN
+                INSERT INTO articles_fts (articles_fts, rowid, search_title, search_content)
+                VALUES ('delete', old.id, old.search_title, old.search_content);
+                INSERT INTO articles_fts (rowid, search_title, search_content) VALUES (new.id, new.search_title, new.search_content);
+            END
+        `);
+        await db.execute("INSERT INTO articles_fts (articles_fts) VALUES ('rebuild')");
+    },
+
+    async down(db) {
+        // Detected languages are kept
+        if (db.dialect === 'mysql') {
+            await db.execute('ALTER TABLE articles DROP INDEX ft_articles_search');
+            await db.execute('DROP INDEX idx_articles_language ON articles');
+        } else {
+            await db.execute('DROP TRIGGER IF EXISTS articles_fts_update');
+            await db.execute('DROP TRIGGER IF EXISTS articles_fts_delete');
+            await db.execute('DROP TRIGGER IF EXISTS articles_fts_insert');
+            await db.execute('DROP TABLE IF EXISTS articles_fts');
+            await db.execute('DROP INDEX IF EXISTS idx_articles_language');
+        }
+        await db.execute('ALTER TABLE articles DROP COLUMN search_content');
+        await db.execute('ALTER TABLE articles DROP COLUMN search_title');
+
+        await fullTextSearch.up(db);
+    }
+};
@@ -0,0 +1,64 @@
+/**
+ * Category rules - keyword and regex rules that assign one or more categories
+ * to each article, with the assignments in article_categories
+ */
+export default {
+    version: 15,
+    name: 'category_rules',
+
+    async up(db) {
+        if (db.dialect === 'mysql') {
+            await db.execute(`
+                CREATE TABLE category_rules (
+                    id INT AUTO_INCREMENT PRIMARY KEY,
+                    category VARCHAR(50) NOT NULL,
+                    match_type VARCHAR(20) NOT NULL,
+                    pattern TEXT NOT NULL,
+                    source VARCHAR(100) NULL,
+                    min_matches INT NOT NULL DEFAULT 1,
+                    priority INT NOT NULL DEFAULT 0,
+                    enabled TINYINT(1) NOT NULL DEFAULT 1,
+                    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+                ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4
+            `);
+            await db.execute(`
+                CREATE TABLE article_categories (
+                    article_id INT NOT NULL,
+                    category VARCHAR(50) NOT NULL,
+                    PRIMARY KEY (article_id, category),
+                    INDEX idx_article_categories_category (category)
+                ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4
+            `);
+        } else {
+            await db.execute(`
+                CREATE TABLE category_rules (
+                    id INTEGER PRIMARY KEY AUTOINCREMENT,
+                    category TEXT NOT NULL,
+                    match_type TEXT NOT NULL,
+                    pattern TEXT NOT NULL,
+                    source TEXT NULL,
+                    min_matches INTEGER NOT NULL DEFAULT 1,
+                    priority INTEGER NOT NULL DEFAULT 0,
+                    enabled INTEGER NOT NULL DEFAULT 1,
+                    created_at DATETIME DEFAULT CURRENT_TIMESTAMP
+                )
+            `);
+            await db.execute(`
+                CREATE TABLE article_categories (
+                    article_id INTEGER NOT NULL,
+                    category TEXT NOT NULL,
+                    PRIMARY KEY (article_id, category)
+                )
+            `);
+            await db.execute('CREATE INDEX idx_article_categories_category ON article_categories (category)');
+        }
+
+        // Existing articles keep their source's category until recategorized
+        await db.execute('INSERT INTO article_categories (article_id, category) SELECT id, category FROM articles');
+    },
+
+    async down(db) {
+        await db.execute('DROP TABLE article_categories');
+        await db.execute('DROP TABLE category_rules');
+    }
+};
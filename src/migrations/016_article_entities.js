@@ -0,0 +1,62 @@
+import { extractEntities } from '../utils/entities.js';
+
+/**
+ * Article entities - people, places, organizations and keywords extracted from
+ * each article, dated so trending topics can be found
+ */
+export default {
+    version: 16,
+    name: 'article_entities',
+
+    async up(db) {
+        if (db.dialect === 'mysql') {
+            await db.execute(`
+                CREATE TABLE article_entities (
+                    article_id INT NOT NULL,
+                    entity_type VARCHAR(20) NOT NULL,
+                    name VARCHAR(100) NOT NULL,
+                    mentions INT NOT NULL DEFAULT 1,
+                    seen_at DATETIME NOT NULL,
+                    PRIMARY KEY (article_id, entity_type, name),
+                    INDEX idx_article_entities_seen (seen_at)
+                ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4
+            `);
+        } else {
+            await db.execute(`
+                CREATE TABLE article_entities (
+                    article_id INTEGER NOT NULL,
+                    entity_type TEXT NOT NULL,
+                    name TEXT NOT NULL,
+                    mentions INTEGER NOT NULL DEFAULT 1,
+                    seen_at DATETIME NOT NULL,
+                    PRIMARY KEY (article_id, entity_type, name)
+                )
+            `);
+            await db.execute('CREATE INDEX idx_article_entities_seen ON article_entities (seen_at)');
+        }
+
+        const rows = await db.query(
+            'SELECT id, title, content, language, COALESCE(published_date, created_at) AS seen_at FROM articles ORDER BY id'
+        );
+        const insert = db.dialect === 'mysql' ? 'INSERT IGNORE' : 'INSERT OR IGNORE';
+        let extracted = 0;
+
+        for (const row of rows) {
+            for (const entity of extractEntities(row)) {
+                await db.execute(
+                    `${insert} INTO article_entities (article_id, entity_type, name, mentions, seen_at) VALUES (?, ?, ?, ?, ?)`,
+                    [row.id, entity.type, entity.name, entity.mentions, row.seen_at]
+                );
+                extracted++;
+            }
+        }
+
+        if (extracted > 0) {
+            console.log(`🔎 Extracted ${extracted} entities from ${rows.length} article(s)`);
+        }
+    },
+
+    async down(db) {
+        await db.execute('DROP TABLE article_entities');
+    }
+};
@@ -0,0 +1,76 @@
+/**
+ * Saved searches - queries users subscribe to, and the articles each one
+ * matched, so every article (and every story) is alerted at most once
+ */
+export default {
+    version: 17,
+    name: 'saved_searches',
+
+    async up(db) {
+        if (db.dialect === 'mysql') {
+            await db.execute(`
+                CREATE TABLE saved_searches (
+                    id INT AUTO_INCREMENT PRIMARY KEY,
+                    name VARCHAR(100) UNIQUE NOT NULL,
+                    query TEXT NULL,
+                    source VARCHAR(100) NULL,
+                    category VARCHAR(50) NULL,
+                    language VARCHAR(10) NULL,
+                    channel VARCHAR(20) NOT NULL,
+                    target TEXT NOT NULL,
+                    quiet_start VARCHAR(5) NULL,
+                    quiet_end VARCHAR(5) NULL,
+                    enabled TINYINT(1) NOT NULL DEFAULT 1,
+                    last_alert_at DATETIME NULL,
+                    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+                ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4
+            `);
+            await db.execute(`
+                CREATE TABLE alert_deliveries (
+                    saved_search_id INT NOT NULL,
+                    article_id INT NOT NULL,
+                    status VARCHAR(20) NOT NULL DEFAULT 'pending',
+                    matched_at DATETIME NOT NULL,
+                    delivered_at DATETIME NULL,
+                    PRIMARY KEY (saved_search_id, article_id),
+                    INDEX idx_alert_deliveries_status (saved_search_id, status)
+                ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4
+            `);
+            return;
+        }
+
+        await db.execute(`
+            CREATE TABLE saved_searches (
+                id INTEGER PRIMARY KEY AUTOINCREMENT,
+                name TEXT UNIQUE NOT NULL,
+                query TEXT NULL,
+                source TEXT NULL,
+                category TEXT NULL,
+                language TEXT NULL,
+                channel TEXT NOT NULL,
+                target TEXT NOT NULL,
+                quiet_start TEXT NULL,
+                quiet_end TEXT NULL,
+                enabled INTEGER NOT NULL DEFAULT 1,
+                last_alert_at DATETIME NULL,
+                created_at DATETIME DEFAULT CURRENT_TIMESTAMP
+            )
+        `);
+        await db.execute(`
+            CREATE TABLE alert_deliveries (
+                saved_search_id INTEGER NOT NULL,
+                article_id INTEGER NOT NULL,
+                status TEXT NOT NULL DEFAULT 'pending',
+                matched_at DATETIME NOT NULL,
+                delivered_at DATETIME NULL,
+                PRIMARY KEY (saved_search_id, article_id)
+            )
+        `);
+        await db.execute('CREATE INDEX idx_alert_deliveries_status ON alert_deliveries (saved_search_id, status)');
+    },
+
+    async down(db) {
+        await db.execute('DROP TABLE alert_deliveries');
+        await db.execute('DROP TABLE saved_searches');
+    }
+};
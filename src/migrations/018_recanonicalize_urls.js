@@ -0,0 +1,50 @@
+import { canonicalizeUrl } from '../utils/urlCanonicalizer.js';
+import { createMergedArticlesTable, mergeArticle, restoreMergedArticles } from './articleMerges.js';
+
+/**
+ * Recanonicalize URLs - recomputes every stored canonical URL under the
+ * current rules (Al Jazeera's traffic_source parameter is now stripped).
+ * Rows that now collapse to the same canonical URL are merged into the first
+ * one stored, as in migration 6.
+ */
+export default {
+    version: 18,
+    name: 'recanonicalize_urls',
+
+    async up(db) {
+        await createMergedArticlesTable(db);
+
+        const rows = await db.query('SELECT id, article_url, canonical_url, source FROM articles ORDER BY id');
+        const kept = new Map();
+        const changed = [];
+        let merged = 0;
+
+        // Merge first, so no update collides with a duplicate still holding the URL
+        for (const row of rows) {
+            const canonicalUrl = canonicalizeUrl(row.article_url, row.source);
+            if (kept.has(canonicalUrl)) {
+                await mergeArticle(db, 18, row.id, kept.get(canonicalUrl), canonicalUrl);
+                merged++;
+                continue;
+            }
+            kept.set(canonicalUrl, row.id);
+            if (canonicalUrl !== row.canonical_url) {
+                changed.push([canonicalUrl, row.id]);
+            }
+        }
+
+        for (const params of changed) {
+            await db.execute('UPDATE articles SET canonical_url = ? WHERE id = ?', params);
+        }
+
+        console.log(`🔗 Recanonicalized ${changed.length} article URL(s)`);
+        if (merged > 0) {
+            console.log(`🔗 Merged ${merged} article(s) with duplicate canonical URLs`);
+        }
+    },
+
+    async down(db) {
+        // Canonical URLs stay as recomputed, merged articles come back with their old ones
+        await restoreMergedArticles(db, 18);
+    }
+};
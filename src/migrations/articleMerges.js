@@ -0,0 +1,104 @@
+import { toSqlDateTime } from '../utils/dates.js';
+
+// Tables whose rows belong to an article, moved to the kept article on a merge
+const ARTICLE_CHILD_TABLES = [
+    'article_categories',
+    'article_tags',
+    'article_media',
+    'article_entities',
+    'article_revisions',
+    'alert_deliveries'
+];
+
+/**
+ * Create the merged_articles table, which keeps each article row a migration
+ * merged into another so the migration's rollback can put it back
+ */
+export async function createMergedArticlesTable(db) {
+    if (db.dialect === 'mysql') {
+        await db.execute(`
+            CREATE TABLE IF NOT EXISTS merged_articles (
+                id INT AUTO_INCREMENT PRIMARY KEY,
+                migration INT NOT NULL,
+                article_id INT NOT NULL,
+                kept_id INT NOT NULL,
+                article_url TEXT NULL,
+                canonical_url VARCHAR(500) NULL,
+                row_data LONGTEXT NOT NULL,
+                merged_at DATETIME NOT NULL
+            ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4
+        `);
+    } else {
+        await db.execute(`
+            CREATE TABLE IF NOT EXISTS merged_articles (
+                id INTEGER PRIMARY KEY AUTOINCREMENT,
+                migration INTEGER NOT NULL,
+                article_id INTEGER NOT NULL,
+                kept_id INTEGER NOT NULL,
+                article_url TEXT NULL,
+                canonical_url TEXT NULL,
+                row_data TEXT NOT NULL,
+                merged_at DATETIME NOT NULL
+            )
+        `);
+    }
+}
+
+/**
+ * Merge a duplicate article into the one kept: record its row in
+ * merged_articles first, then move its categories, tags, media, entities,
+ * revisions and alert deliveries to the kept article, then delete it
+ */
+export async function mergeArticle(db, migration, duplicateId, keptId, canonicalUrl) {
+    const [row] = await db.query('SELECT * FROM articles WHERE id = ?', [duplicateId]);
+    if (!row) {
+        return;
+    }
+
+    const data = Object.fromEntries(Object.entries(row).map(([column, value]) =>
+        [column, value instanceof Date ? toSqlDateTime(value) : value]));
+    await db.execute(`
+        INSERT INTO merged_articles (migration, article_id, kept_id, article_url, canonical_url, row_data, merged_at)
+        VALUES (?, ?, ?, ?, ?, ?, ?)
+    `, [migration, duplicateId, keptId, row.article_url, canonicalUrl, JSON.stringify(data), toSqlDateTime(new Date())]);
+
+    // Rows the kept article already has (same category, tag, entity ...) are dropped
+    const tables = await db.getTableNames();
+    const update = db.dialect === 'mysql' ? 'UPDATE IGNORE' : 'UPDATE OR IGNORE';
+    for (const table of ARTICLE_CHILD_TABLES.filter(name => tables.includes(name))) {
+        await db.execute(`${update} ${table} SET article_id = ? WHERE article_id = ?`, [keptId, duplicateId]);
+        await db.execute(`DELETE FROM ${table} WHERE article_id = ?`, [duplicateId]);
+    }
+
+    await db.execute('DELETE FROM articles WHERE id = ?', [duplicateId]);
+    console.log(`   🔗 Merged article ${duplicateId} (${row.article_url}) into ${keptId}`);
+}
+
+/**
+ * Put back the article rows a migration merged, with their original ids, and
+ * forget them. Their child rows stay with the article they were merged into.
+ * Returns how many were restored
+ */
+export async function restoreMergedArticles(db, migration) {
+    const tables = await db.getTableNames();
+    if (!tables.includes('merged_articles')) {
+        return 0;
+    }
+
+    const columns = await db.getTableColumns('articles');
+    const merged = await db.query('SELECT id, row_data FROM merged_articles WHERE migration = ? ORDER BY id', [migration]);
+    for (const record of merged) {
+        const data = JSON.parse(record.row_data);
+        const names = Object.keys(data).filter(column => columns.includes(column));
+        await db.execute(
+            `INSERT INTO articles (${names.join(', ')}) VALUES (${names.map(() => '?').join(', ')})`,
+            names.map(column => data[column])
+        );
+    }
+
+    await db.execute('DELETE FROM merged_articles WHERE migration = ?', [migration]);
+    if (merged.length > 0) {
+        console.log(`🔗 Restored ${merged.length} merged article(s)`);
+    }
+    return merged.length;
+}
@@ -0,0 +1,44 @@
+import initialSchema from './001_initial_schema.js';
+import sourceRegistry from './002_source_registry.js';
+import publishedDateDatetime from './003_published_date_datetime.js';
+import fullTextSearch from './004_full_text_search.js';
+import titleFingerprint from './005_title_fingerprint.js';
+import canonicalUrl from './006_canonical_url.js';
+import stories from './007_stories.js';
+import feedCache from './008_feed_cache.js';
+import sourceHealth from './009_source_health.js';
+import articleEnrichment from './010_article_enrichment.js';
+import sourceType from './011_source_type.js';
+import articleMetadata from './012_article_metadata.js';
+import articleRevisions from './013_article_revisions.js';
+import languageSearch from './014_language_search.js';
+import categoryRules from './015_category_rules.js';
+import articleEntities from './016_article_entities.js';
+import savedSearches from './017_saved_searches.js';
+import recanonicalizeUrls from './018_recanonicalize_urls.js';
+
+/**
+ * Schema migrations in the order they are applied
+ * Add new migrations as NNN_description.js and register them here; new tables
+ * also go in SYNC_TABLES (src/services/DatabaseSync.js) so db:sync copies them
+ */
+export const migrations = [
+    initialSchema,
+    sourceRegistry,
+    publishedDateDatetime,
+    fullTextSearch,
+    titleFingerprint,
+    canonicalUrl,
+    stories,
+    feedCache,
+    sourceHealth,
+    articleEnrichment,
+    sourceType,
+    articleMetadata,
+    articleRevisions,
+    languageSearch,
+    categoryRules,
+    articleEntities,
+    savedSearches,
+    recanonicalizeUrls
+];
@@ -3,14 +3,32 @@
  */
 export class NewsArticle {
     constructor(data = {}) {
+        this.id = data.id || null;
+        this.guid = data.guid || null;
         this.title = data.title || '';
         this.content = data.content || '';
+        this.summary = data.summary || '';
         this.image = data.image || '';
         this.url = data.url || '';
+        this.canonicalUrl = data.canonicalUrl || '';
         this.publishedDate = data.publishedDate || null;
+        this.updatedDate = data.updatedDate || null;
         this.duration = data.duration || '';
         this.source = data.source || 'Unknown';
         this.category = data.category || 'general';
+        this.categories = normalizeCategories(data.categories, this.category);
+        this.storyId = data.storyId || null;
+        this.author = data.author || null;
+        this.language = data.language || null;
+        this.tags = normalizeTags(data.tags);
+        this.media = normalizeMedia(data.media);
+
+        // Filled in by article page enrichment
+        this.body = data.body || null;
+        this.pageCanonicalUrl = data.pageCanonicalUrl || null;
+        this.leadImage = data.leadImage || null;
+        this.ogMetadata = data.ogMetadata || null;
+        this.enrichedAt = data.enrichedAt || null;
     }
 
     // Check if article has valid title
@@ -21,19 +39,100 @@ export class NewsArticle {
     // Convert to JSON object
     toJSON() {
         return {
+            id: this.id,
+            guid: this.guid,
             title: this.title,
             content: this.content,
+            summary: this.summary,
             image: this.image,
             url: this.url,
+            canonicalUrl: this.canonicalUrl,
             publishedDate: this.publishedDate,
+            updatedDate: this.updatedDate,
             duration: this.duration,
             source: this.source,
-            category: this.category
+            category: this.category,
+            categories: [...this.categories],
+            storyId: this.storyId,
+            author: this.author,
+            language: this.language,
+            tags: [...this.tags],
+            media: this.media.map(item => ({ ...item })),
+            body: this.body,
+            pageCanonicalUrl: this.pageCanonicalUrl,
+            leadImage: this.leadImage,
+            ogMetadata: this.ogMetadata,
+            enrichedAt: this.enrichedAt
         };
     }
 
-    // Create from JSON data
+    // Create from JSON data (an object or a JSON string)
     static fromJSON(jsonData) {
-        return new NewsArticle(jsonData);
+        return new NewsArticle(typeof jsonData === 'string' ? JSON.parse(jsonData) : jsonData);
+    }
+}
+
+/**
+ * Trim tags and drop empty and case-insensitive duplicates, keeping the first spelling
+ */
+function normalizeTags(tags) {
+    const seen = new Set();
+    const normalized = [];
+
+    for (const tag of Array.isArray(tags) ? tags : []) {
+        const text = String(tag ?? '').replace(/\s+/g, ' ').trim().slice(0, 100);
+        if (text.length > 0 && !seen.has(text.toLowerCase())) {
+            seen.add(text.toLowerCase());
+            normalized.push(text);
+        }
     }
+    return normalized;
+}
+
+/**
+ * Category names with the primary category first, once each
+ */
+function normalizeCategories(categories, primary) {
+    const names = (Array.isArray(categories) ? categories : []).map(name => String(name ?? '').trim());
+    return [...new Set([primary, ...names])].filter(name => name.length > 0);
+}
+
+/**
+ * Keep media items with a URL, once per URL, as { url, medium, type, width, height, title }
+ */
+function normalizeMedia(media) {
+    const seen = new Set();
+    const normalized = [];
+
+    for (const item of Array.isArray(media) ? media : []) {
+        if (!item?.url || seen.has(item.url)) {
+            continue;
+        }
+        seen.add(item.url);
+        normalized.push({
+            url: item.url,
+            medium: item.medium || mediumFromType(item.type),
+            type: item.type || null,
+            width: toDimension(item.width),
+            height: toDimension(item.height),
+            title: item.title || null
+        });
+    }
+    return normalized;
+}
+
+/**
+ * image/video/audio from a MIME type
+ */
+function mediumFromType(type) {
+    const medium = String(type || '').split('/')[0];
+    return ['image', 'video', 'audio'].includes(medium) ? medium : null;
+}
+
+/**
+ * Positive integer pixel size, or null
+ */
+function toDimension(value) {
+    const number = parseInt(value, 10);
+    return Number.isFinite(number) && number > 0 ? number : null;
 }
@@ -0,0 +1,53 @@
+import { escapeXml, articleLink, articleGuid, articleImages, articleDates, articleSummary } from './common.js';
+import { renderMediaContent } from './rss.js';
+
+/**
+ * Atom 1.0 with media:content images
+ */
+export const atomWriter = {
+    format: 'atom',
+    extension: 'atom',
+    contentType: 'application/atom+xml; charset=utf-8',
+
+    render(feed) {
+        const entries = feed.articles.map(article => renderEntry(article, feed)).join('');
+        return `<?xml version="1.0" encoding="UTF-8"?>
+<feed xmlns="http://www.w3.org/2005/Atom" xmlns:media="http://search.yahoo.com/mrss/">
+<id>${escapeXml(feed.id)}</id>
+<title>${escapeXml(feed.title)}</title>
+<subtitle>${escapeXml(feed.description)}</subtitle>
+<link rel="alternate" type="text/html" href="${escapeXml(feed.homeUrl)}"/>
+<link rel="self" type="application/atom+xml" href="${escapeXml(feed.selfUrl)}"/>
+<updated>${feed.updated}</updated>
+<generator>news-fetcher</generator>
+${entries}</feed>
+`;
+    }
+};
+
+function renderEntry(article, feed) {
+    const { published, updated } = articleDates(article);
+    const sourceFeed = feed.sourceFeeds?.get(article.source);
+    const lines = [
+        `<id>${escapeXml(articleGuid(article))}</id>`,
+        `<title>${escapeXml(article.title)}</title>`,
+        `<link rel="alternate" type="text/html" href="${escapeXml(articleLink(article))}"/>`,
+        // Atom requires an updated date, entries without any use the feed's
+        `<updated>${updated || feed.updated}</updated>`,
+        `<author><name>${escapeXml(article.author || article.source)}</name></author>`,
+        `<summary type="text">${escapeXml(articleSummary(article))}</summary>`,
+        sourceFeed
+            ? `<source><title>${escapeXml(article.source)}</title><link rel="self" href="${escapeXml(sourceFeed)}"/></source>`
+            : `<source><title>${escapeXml(article.source)}</title></source>`
+    ];
+    if (published) {
+        lines.push(`<published>${published}</published>`);
+    }
+    for (const category of article.categories) {
+        lines.push(`<category term="${escapeXml(category)}"/>`);
+    }
+    for (const image of articleImages(article)) {
+        lines.push(renderMediaContent(image));
+    }
+    return `<entry>\n${lines.join('\n')}\n</entry>\n`;
+}
@@ -0,0 +1,65 @@
+import { toISODate } from '../utils/dates.js';
+
+/**
+ * Helpers shared by the feed writers. A feed is
+ * { id, title, description, homeUrl, selfUrl, links: { format: url }, updated, articles }
+ */
+
+/**
+ * Escape text for XML element content and attribute values
+ */
+export function escapeXml(value) {
+    return String(value ?? '')
+        // Control characters aren't allowed in XML 1.0
+        .replace(/[\u0000-\u0008\u000b\u000c\u000e-\u001f]/g, '')
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;');
+}
+
+/**
+ * The article's link, its canonical URL when known
+ */
+export function articleLink(article) {
+    return article.canonicalUrl || article.url;
+}
+
+/**
+ * A stable, globally unique id for an article: the outlet's GUID when it is a
+ * URI, otherwise the article's link
+ */
+export function articleGuid(article) {
+    return article.guid && /^[a-z][a-z0-9+.-]*:\S+$/i.test(article.guid)
+        ? article.guid
+        : articleLink(article);
+}
+
+/**
+ * Images for media:content and attachments - the feed's media items plus
+ * the lead image, once per URL
+ */
+export function articleImages(article) {
+    const images = article.media.filter(item => item.medium === 'image');
+    for (const url of [article.image, article.leadImage]) {
+        if (url && !images.some(image => image.url === url)) {
+            images.push({ url, medium: 'image', type: null, width: null, height: null, title: null });
+        }
+    }
+    return images;
+}
+
+/**
+ * Published and updated dates as ISO 8601 strings (updated falls back to published)
+ */
+export function articleDates(article) {
+    const published = toISODate(article.publishedDate);
+    return { published, updated: toISODate(article.updatedDate) || published };
+}
+
+/**
+ * Summary text for an article
+ */
+export function articleSummary(article) {
+    return article.summary || article.content;
+}
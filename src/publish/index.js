@@ -0,0 +1,24 @@
+import { rssWriter } from './rss.js';
+import { atomWriter } from './atom.js';
+import { jsonFeedWriter } from './jsonFeed.js';
+
+/**
+ * Feed writers by output format - each is { format, extension, contentType,
+ * render(feed) } and turns a feed of stored articles into a document that
+ * readers can subscribe to. feed.sourceFeeds maps source names to their own
+ * feed URLs. Add new ones here.
+ */
+export const feedWriters = {
+    [rssWriter.format]: rssWriter,
+    [atomWriter.format]: atomWriter,
+    [jsonFeedWriter.format]: jsonFeedWriter
+};
+
+export const OUTPUT_FORMATS = Object.keys(feedWriters);
+
+/**
+ * Get the writer for a format, or null when there is none
+ */
+export function getFeedWriter(format) {
+    return feedWriters[format] || null;
+}
@@ -0,0 +1,52 @@
+import { articleLink, articleGuid, articleImages, articleDates, articleSummary } from './common.js';
+
+/**
+ * JSON Feed 1.1
+ */
+export const jsonFeedWriter = {
+    format: 'json',
+    extension: 'json',
+    contentType: 'application/feed+json; charset=utf-8',
+
+    render(feed) {
+        return JSON.stringify({
+            version: 'https://jsonfeed.org/version/1.1',
+            title: feed.title,
+            description: feed.description,
+            home_page_url: feed.homeUrl,
+            feed_url: feed.selfUrl,
+            items: feed.articles.map(article => renderItem(article, feed))
+        }, null, 2);
+    }
+};
+
+function renderItem(article, feed) {
+    const { published, updated } = articleDates(article);
+    const images = articleImages(article);
+    const item = {
+        id: articleGuid(article),
+        url: articleLink(article),
+        title: article.title,
+        content_text: article.body || article.content,
+        summary: articleSummary(article),
+        date_published: published || undefined,
+        date_modified: updated || undefined,
+        authors: [{ name: article.author || article.source }],
+        tags: article.categories,
+        language: article.language || undefined,
+        _source: { name: article.source, feed_url: feed.sourceFeeds?.get(article.source) }
+    };
+    if (images.length > 0) {
+        item.image = images[0].url;
+        item.attachments = images.map(image => ({ url: image.url, mime_type: image.type || guessImageType(image.url) }));
+    }
+    return item;
+}
+
+/**
+ * JSON Feed attachments need a MIME type; guess one from the file extension
+ */
+function guessImageType(url) {
+    const extension = (String(url).split(/[?#]/)[0].match(/\.([a-z0-9]+)$/i) || [])[1]?.toLowerCase();
+    return { png: 'image/png', gif: 'image/gif', webp: 'image/webp', svg: 'image/svg+xml', avif: 'image/avif' }[extension] || 'image/jpeg';
+}
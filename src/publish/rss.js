@@ -0,0 +1,74 @@
+import { escapeXml, articleLink, articleGuid, articleImages, articleDates, articleSummary } from './common.js';
+
+/**
+ * RSS 2.0 with media:content images, dc:creator and ISO dc:date alongside pubDate
+ */
+export const rssWriter = {
+    format: 'rss',
+    extension: 'rss',
+    contentType: 'application/rss+xml; charset=utf-8',
+
+    render(feed) {
+        const items = feed.articles.map(article => renderItem(article, feed)).join('');
+        return `<?xml version="1.0" encoding="UTF-8"?>
+<rss version="2.0" xmlns:atom="http://www.w3.org/2005/Atom" xmlns:media="http://search.yahoo.com/mrss/" xmlns:dc="http://purl.org/dc/elements/1.1/">
+<channel>
+<title>${escapeXml(feed.title)}</title>
+<link>${escapeXml(feed.homeUrl)}</link>
+<description>${escapeXml(feed.description)}</description>
+<atom:link href="${escapeXml(feed.selfUrl)}" rel="self" type="application/rss+xml"/>
+<lastBuildDate>${rfc822(feed.updated)}</lastBuildDate>
+<dc:date>${feed.updated}</dc:date>
+<generator>news-fetcher</generator>
+${items}</channel>
+</rss>
+`;
+    }
+};
+
+function renderItem(article, feed) {
+    const guid = articleGuid(article);
+    const sourceFeed = feed.sourceFeeds?.get(article.source);
+    const { published } = articleDates(article);
+    const lines = [
+        `<title>${escapeXml(article.title)}</title>`,
+        `<link>${escapeXml(articleLink(article))}</link>`,
+        `<guid isPermaLink="${guid === articleLink(article)}">${escapeXml(guid)}</guid>`,
+        `<description>${escapeXml(articleSummary(article))}</description>`,
+        // RSS <source> names the channel the item came from and needs that channel's feed URL
+        sourceFeed
+            ? `<source url="${escapeXml(sourceFeed)}">${escapeXml(article.source)}</source>`
+            : `<dc:publisher>${escapeXml(article.source)}</dc:publisher>`
+    ];
+    if (published) {
+        lines.push(`<pubDate>${rfc822(published)}</pubDate>`, `<dc:date>${published}</dc:date>`);
+    }
+    if (article.author) {
+        lines.push(`<dc:creator>${escapeXml(article.author)}</dc:creator>`);
+    }
+    for (const category of article.categories) {
+        lines.push(`<category>${escapeXml(category)}</category>`);
+    }
+    for (const image of articleImages(article)) {
+        lines.push(renderMediaContent(image));
+    }
+    return `<item>\n${lines.join('\n')}\n</item>\n`;
+}
+
+/**
+ * A Media RSS media:content element (also used by the Atom writer)
+ */
+export function renderMediaContent(image) {
+    const attributes = [`url="${escapeXml(image.url)}"`, 'medium="image"'];
+    if (image.type) attributes.push(`type="${escapeXml(image.type)}"`);
+    if (image.width) attributes.push(`width="${image.width}"`);
+    if (image.height) attributes.push(`height="${image.height}"`);
+    return `<media:content ${attributes.join(' ')}/>`;
+}
+
+/**
+ * RSS requires RFC 822 dates
+ */
+function rfc822(isoDate) {
+    return new Date(isoDate).toUTCString();
+}
@@ -0,0 +1,145 @@
+import { logger } from '../utils/Logger.js';
+import { normalizeSearchText } from '../utils/language.js';
+import { parseSearchQuery, matchesSearchQuery } from '../utils/searchQuery.js';
+import { getAlertChannel } from '../alerts/index.js';
+
+/**
+ * Alert Service - Matches newly stored articles against saved searches and
+ * sends the matches through each search's channel. Matches are queued in the
+ * database, so an article is alerted once per search, articles on a story that
+ * was already alerted are skipped, and alerts held during quiet hours (or
+ * after a failed delivery) go out on a later cycle.
+ */
+export class AlertService {
+    constructor(db, options = {}) {
+        this.db = db;
+        this.options = options;
+        this.maxArticlesPerAlert = options.maxArticlesPerAlert || 20;
+        this.stats = { matched: 0, sent: 0, failed: 0 };
+    }
+
+    /**
+     * Queue new articles (with ids) that match saved searches, then deliver
+     * everything pending outside quiet hours
+     */
+    async run(articles = []) {
+        let searches;
+        try {
+            searches = await this.db.getSavedSearches({ enabledOnly: true });
+        } catch (error) {
+            logger.warn('⚠️  Could not load saved searches:', error.message);
+            return;
+        }
+
+        for (const search of searches) {
+            try {
+                const matches = articles.filter(article => article.id && matchesSavedSearch(search, article));
+                if (matches.length > 0) {
+                    this.stats.matched += await this.db.recordAlertMatches(search.id, matches.map(article => article.id));
+                }
+                await this.deliverPending(search);
+            } catch (error) {
+                logger.warn(`⚠️  Alert "${search.name}" failed:`, error.message);
+            }
+        }
+    }
+
+    /**
+     * Send a saved search's queued articles as one alert, unless it is in quiet hours
+     */
+    async deliverPending(search, now = new Date()) {
+        if (isQuietTime(search, now)) {
+            return false;
+        }
+
+        const pending = await this.db.getPendingAlerts(search.id, this.maxArticlesPerAlert);
+        if (pending.length === 0) {
+            return false;
+        }
+
+        // One article per story, and none for stories this search already alerted
+        const storyIds = [...new Set(pending.map(article => article.storyId).filter(Boolean))];
+        const alertedStories = await this.db.getAlertedStoryIds(search.id, storyIds);
+        const articles = [];
+        const skipped = [];
+        for (const article of pending) {
+            if (article.storyId && alertedStories.has(article.storyId)) {
+                skipped.push(article.id);
+            } else {
+                articles.push(article);
+                if (article.storyId) alertedStories.add(article.storyId);
+            }
+        }
+        await this.db.markAlerts(search.id, skipped, 'skipped');
+
+        if (articles.length === 0) {
+            return false;
+        }
+
+        try {
+            await this.send(search, articles);
+            await this.db.markAlerts(search.id, articles.map(article => article.id), 'sent');
+            this.stats.sent++;
+            logger.info(`🔔 Alert "${search.name}": ${articles.length} article(s) sent by ${search.channel}`);
+            return true;
+        } catch (error) {
+            // Left pending, so the next cycle retries
+            this.stats.failed++;
+            logger.warn(`⚠️  Alert "${search.name}" could not be sent by ${search.channel}: ${error.message}`);
+            return false;
+        }
+    }
+
+    /**
+     * Send an alert through a saved search's channel
+     */
+    async send(search, articles) {
+        const alert = { search, articles, firedAt: new Date().toISOString() };
+        await getAlertChannel(search.channel).send(alert, search.target, this.options);
+    }
+}
+
+/**
+ * Whether an article matches a saved search's query, source, category and language
+ */
+export function matchesSavedSearch(search, article) {
+    if (search.source && article.source !== search.source) {
+        return false;
+    }
+    if (search.category && !(article.categories || [article.category]).includes(search.category)) {
+        return false;
+    }
+    if (search.language && article.language !== search.language) {
+        return false;
+    }
+    if (!search.query) {
+        return true;
+    }
+
+    const parsed = parseSearchQuery(normalizeSearchText(search.query));
+    return matchesSearchQuery(parsed, normalizeSearchText(`${article.title}\n${article.content}`));
+}
+
+/**
+ * Whether the local time falls in a saved search's quiet hours ("22:00" to "07:00" wraps midnight)
+ */
+export function isQuietTime(search, now = new Date()) {
+    if (!search.quietStart || !search.quietEnd) {
+        return false;
+    }
+
+    const minutes = now.getHours() * 60 + now.getMinutes();
+    const start = toMinutes(search.quietStart);
+    const end = toMinutes(search.quietEnd);
+    return start <= end
+        ? minutes >= start && minutes < end
+        : minutes >= start || minutes < end;
+}
+
+/**
+ * Parse "HH:MM" into minutes after midnight, or null
+ */
+export function toMinutes(time) {
+    const match = String(time || '').match(/^([01]?\d|2[0-3]):([0-5]\d)$/);
+    return match ? parseInt(match[1], 10) * 60 + parseInt(match[2], 10) : null;
+}
@@ -0,0 +1,410 @@
+import http from 'http';
+import { parseDate } from '../utils/dates.js';
+import { SearchQueryError } from '../utils/searchQuery.js';
+import { normalizeLanguageCode } from '../utils/language.js';
+import { ENTITY_TYPES } from '../utils/entities.js';
+import { FeedPublisher, FEED_KINDS } from './FeedPublisher.js';
+import { feedWriters } from '../publish/index.js';
+
+/**
+ * API Server - Exposes stored articles over a read-only HTTP JSON API
+ */
+export class ApiServer {
+    constructor(db, options = {}) {
+        this.db = db;
+        this.port = options.port || 3000;
+        this.host = options.host || '0.0.0.0';
+        this.defaultLimit = options.defaultLimit || 20;
+        this.maxLimit = options.maxLimit || 100;
+        this.publicUrl = options.publicUrl ? options.publicUrl.replace(/\/+$/, '') : null;
+        this.feeds = new FeedPublisher(db, { limit: options.feedLimit, title: options.feedTitle });
+        this.server = null;
+
+        this.routes = {
+            '/articles': (query) => this.listArticles(query),
+            '/search': (query) => this.search(query),
+            '/stories': (query) => this.topStories(query),
+            '/trending': (query) => this.trending(query),
+            '/stats': () => this.stats(),
+            '/feeds': (query, url) => this.listFeeds(url)
+        };
+    }
+
+    /**
+     * Start listening for HTTP requests
+     */
+    async start() {
+        this.server = http.createServer((req, res) => this.handleRequest(req, res));
+
+        return new Promise((resolve, reject) => {
+            this.server.once('error', reject);
+            this.server.listen(this.port, this.host, () => {
+                console.log(`🌍 API server listening on http://${this.host}:${this.port}`);
+                resolve();
+            });
+        });
+    }
+
+    /**
+     * Stop the HTTP server
+     */
+    async stop() {
+        if (!this.server) {
+            return;
+        }
+
+        return new Promise((resolve) => {
+            this.server.close(() => {
+                console.log('✅ API server stopped');
+                this.server = null;
+                resolve();
+            });
+        });
+    }
+
+    /**
+     * Route an incoming request to its handler
+     */
+    async handleRequest(req, res) {
+        const url = new URL(req.url, `http://${req.headers.host || 'localhost'}`);
+
+        if (req.method === 'OPTIONS') {
+            this.send(res, 204, null);
+            return;
+        }
+
+        if (req.method !== 'GET') {
+            this.send(res, 405, { error: `Method ${req.method} not allowed` });
+            return;
+        }
+
+        const path = url.pathname.replace(/\/+$/, '') || '/';
+        const handler = this.routes[path] || (path.startsWith('/feeds/') ? (query) => this.feed(path, query, url) : null);
+        if (!handler) {
+            this.send(res, 404, { error: `Route ${url.pathname} not found` });
+            return;
+        }
+
+        try {
+            const body = await handler(url.searchParams, url);
+            if (body instanceof FeedDocument) {
+                this.sendDocument(res, body);
+            } else {
+                this.send(res, 200, body);
+            }
+        } catch (error) {
+            if (error instanceof SearchQueryError) {
+                this.send(res, 400, { error: error.message });
+            } else if (error.statusCode) {
+                this.send(res, error.statusCode, { error: error.message });
+            } else {
+                console.error('❌ API request failed:', error.message);
+                this.send(res, 500, { error: 'Internal server error' });
+            }
+        }
+    }
+
+    /**
+     * GET /articles[?category=|source=|language=|from=&to=]
+     */
+    async listArticles(query) {
+        const { limit, offset } = this.parsePagination(query);
+        const category = query.get('category');
+        const source = query.get('source');
+        const language = this.parseLanguageParam(query);
+        const from = this.parseDateParam(query, 'from');
+        const to = this.parseDateParam(query, 'to');
+
+        if ([category, source, language, from || to].filter(Boolean).length > 1) {
+            throw this.badRequest('Use only one of category, source, language or a from/to date range');
+        }
+
+        let articles;
+        if (language) {
+            articles = await this.db.getAllArticles(limit, offset, language);
+        } else if (category) {
+            articles = await this.db.getArticlesByCategory(category, limit, offset);
+        } else if (source) {
+            articles = await this.db.getArticlesBySource(source, limit, offset);
+        } else if (from || to) {
+            articles = await this.db.getArticlesByDateRange(from, to, limit, offset);
+        } else {
+            articles = await this.db.getAllArticles(limit, offset);
+        }
+
+        const total = await this.db.countArticles({ category, source, language, from, to });
+        return this.paginate(articles, total, limit, offset);
+    }
+
+    /**
+     * GET /search?q=[&language=] - ranked full-text search with highlighted snippets
+     */
+    async search(query) {
+        const term = (query.get('q') || '').trim();
+        if (term.length === 0) {
+            throw this.badRequest('Query parameter "q" is required');
+        }
+
+        const { limit, offset } = this.parsePagination(query);
+        const language = this.parseLanguageParam(query);
+        const results = await this.db.searchArticlesRanked(term, limit, offset, language);
+        const total = await this.db.countSearchResults(term, language);
+        const page = this.paginate(results.map(result => result.article), total, limit, offset);
+
+        page.data = page.data.map((article, index) => ({
+            ...article,
+            score: results[index].score,
+            snippet: results[index].snippet
+        }));
+        return { query: term, language, ...page };
+    }
+
+    /**
+     * GET /stories[?hours=&minSources=&limit=] - stories covered by the most sources
+     */
+    async topStories(query) {
+        const { limit } = this.parsePagination(query);
+        const hours = this.parseInteger(query.get('hours'), 24, 'hours');
+        const minSources = this.parseInteger(query.get('minSources'), 2, 'minSources');
+        if (hours < 1) {
+            throw this.badRequest('"hours" must be 1 or greater');
+        }
+        if (minSources < 1) {
+            throw this.badRequest('"minSources" must be 1 or greater');
+        }
+
+        const stories = await this.db.getTopStories({ hours, limit, minSources });
+        return {
+            hours,
+            minSources,
+            data: stories.map(story => ({
+                ...story,
+                articles: story.articles.map(article => article.toJSON())
+            }))
+        };
+    }
+
+    /**
+     * GET /trending[?hours=&type=&minMentions=&limit=] - entities mentioned far more than over the previous week
+     */
+    async trending(query) {
+        const { limit } = this.parsePagination(query);
+        const hours = this.parseInteger(query.get('hours'), 24, 'hours');
+        const minMentions = this.parseInteger(query.get('minMentions'), 3, 'minMentions');
+        const type = query.get('type') || null;
+        if (hours < 1) {
+            throw this.badRequest('"hours" must be 1 or greater');
+        }
+        if (minMentions < 1) {
+            throw this.badRequest('"minMentions" must be 1 or greater');
+        }
+        if (type && !ENTITY_TYPES.includes(type)) {
+            throw this.badRequest(`"type" must be one of: ${ENTITY_TYPES.join(', ')}`);
+        }
+
+        const entities = await this.db.getTrendingEntities({ hours, limit, type, minMentions });
+        return { hours, type, minMentions, data: entities };
+    }
+
+    /**
+     * GET /feeds - every aggregated feed with its RSS, Atom and JSON Feed URLs
+     */
+    async listFeeds(url) {
+        return { data: await this.feeds.listFeeds(this.baseUrl(url)) };
+    }
+
+    /**
+     * GET /feeds/all.<ext>, /feeds/<category|source|search>/<name>.<ext>[?limit=]
+     */
+    async feed(path, query, url) {
+        const match = path.match(/^\/feeds\/(?:(all)|([a-z]+)\/([^/]+))\.([a-z]+)$/);
+        const writer = match && Object.values(feedWriters).find(candidate => candidate.extension === match[4]);
+        if (!match || !writer || (match[2] && !FEED_KINDS.includes(match[2]))) {
+            throw this.notFound(`Feed ${path} not found (see /feeds for the available feeds)`);
+        }
+
+        const limit = this.parseInteger(query.get('limit'), this.feeds.limit, 'limit');
+        if (limit < 1 || limit > this.maxLimit) {
+            throw this.badRequest(`"limit" must be between 1 and ${this.maxLimit}`);
+        }
+
+        const kind = match[1] || match[2];
+        let name = null;
+        if (match[3]) {
+            try {
+                name = decodeURIComponent(match[3]);
+            } catch {
+                throw this.badRequest(`Feed name "${match[3]}" is not validly URL-encoded`);
+            }
+        }
+        const document = await this.feeds.render(kind, name, writer.format, { baseUrl: this.baseUrl(url), limit });
+        if (!document) {
+            throw this.notFound(`No ${kind === 'search' ? 'saved search' : kind} named "${name}"`);
+        }
+        return new FeedDocument(document.contentType, document.content);
+    }
+
+    /**
+     * GET /stats
+     */
+    async stats() {
+        const rows = await this.db.getStatistics();
+        const statistics = rows.map(row => ({
+            category: row.category,
+            source: row.source,
+            count: Number(row.count),
+            latestArticle: row.latest_article
+        }));
+
+        return {
+            totalArticles: statistics.reduce((sum, stat) => sum + stat.count, 0),
+            statistics
+        };
+    }
+
+    /**
+     * Read limit/offset (or page) from query string
+     */
+    parsePagination(query) {
+        const limit = this.parseInteger(query.get('limit'), this.defaultLimit, 'limit');
+        if (limit < 1 || limit > this.maxLimit) {
+            throw this.badRequest(`"limit" must be between 1 and ${this.maxLimit}`);
+        }
+
+        let offset = this.parseInteger(query.get('offset'), 0, 'offset');
+        if (query.has('page')) {
+            const page = this.parseInteger(query.get('page'), 1, 'page');
+            if (page < 1) {
+                throw this.badRequest('"page" must be 1 or greater');
+            }
+            offset = (page - 1) * limit;
+        }
+        if (offset < 0) {
+            throw this.badRequest('"offset" must be 0 or greater');
+        }
+
+        return { limit, offset };
+    }
+
+    /**
+     * Parse a date query parameter into an ISO string
+     */
+    parseDateParam(query, name) {
+        const value = query.get(name);
+        if (value === null || value === '') {
+            return null;
+        }
+
+        const date = parseDate(value);
+        if (!date) {
+            throw this.badRequest(`"${name}" must be an ISO 8601 date`);
+        }
+        return date.toISOString();
+    }
+
+    /**
+     * Parse the language query parameter into an ISO 639-1 code
+     */
+    parseLanguageParam(query) {
+        const value = query.get('language');
+        if (value === null || value === '') {
+            return null;
+        }
+
+        const language = normalizeLanguageCode(value);
+        if (!language) {
+            throw this.badRequest('"language" must be a language code such as en or ur');
+        }
+        return language;
+    }
+
+    /**
+     * Parse an integer query parameter
+     */
+    parseInteger(value, fallback, name) {
+        if (value === null || value === '') {
+            return fallback;
+        }
+        if (!/^-?\d+$/.test(value)) {
+            throw this.badRequest(`"${name}" must be an integer`);
+        }
+        return parseInt(value, 10);
+    }
+
+    /**
+     * Wrap articles with pagination metadata
+     */
+    paginate(articles, total, limit, offset) {
+        return {
+            data: articles.map(article => article.toJSON()),
+            pagination: {
+                total,
+                limit,
+                offset,
+                page: Math.floor(offset / limit) + 1,
+                totalPages: Math.ceil(total / limit),
+                hasMore: offset + articles.length < total
+            }
+        };
+    }
+
+    /**
+     * Public URL feeds link to, the configured one or the one the request came in on
+     */
+    baseUrl(url) {
+        return this.publicUrl || url.origin;
+    }
+
+    /**
+     * Create a 404 error
+     */
+    notFound(message) {
+        const error = new Error(message);
+        error.statusCode = 404;
+        return error;
+    }
+
+    /**
+     * Create a 400 error
+     */
+    badRequest(message) {
+        const error = new Error(message);
+        error.statusCode = 400;
+        return error;
+    }
+
+    /**
+     * Write a JSON response
+     */
+    send(res, statusCode, body) {
+        res.writeHead(statusCode, {
+            'Content-Type': 'application/json; charset=utf-8',
+            'Access-Control-Allow-Origin': '*',
+            'Access-Control-Allow-Methods': 'GET, OPTIONS'
+        });
+        res.end(body === null ? undefined : JSON.stringify(body));
+    }
+
+    /**
+     * Write a rendered feed
+     */
+    sendDocument(res, document) {
+        res.writeHead(200, {
+            'Content-Type': document.contentType,
+            'Access-Control-Allow-Origin': '*',
+            'Access-Control-Allow-Methods': 'GET, OPTIONS',
+            'Cache-Control': 'public, max-age=60'
+        });
+        res.end(document.content);
+    }
+}
+
+/**
+ * A non-JSON response body, such as an RSS feed
+ */
+class FeedDocument {
+    constructor(contentType, content) {
+        this.contentType = contentType;
+        this.content = content;
+    }
+}
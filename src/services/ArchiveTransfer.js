@@ -0,0 +1,267 @@
+import { createReadStream, createWriteStream } from 'fs';
+import { mkdir } from 'fs/promises';
+import { once } from 'events';
+import { finished } from 'stream/promises';
+import path from 'path';
+import readline from 'readline';
+import { NewsArticle } from '../models/NewsArticle.js';
+import { toCsvRow, parseCsv } from '../utils/csv.js';
+import { toISODate } from '../utils/dates.js';
+import { detectLanguage } from '../utils/language.js';
+import { canonicalizeUrl } from '../utils/urlCanonicalizer.js';
+
+export const ARCHIVE_FORMATS = ['jsonl', 'csv'];
+
+// CSV columns, in order; list and object fields hold JSON
+const CSV_COLUMNS = [
+    'id', 'guid', 'title', 'content', 'summary', 'image', 'url', 'canonicalUrl', 'publishedDate', 'updatedDate',
+    'duration', 'source', 'category', 'categories', 'author', 'language', 'tags', 'media', 'body',
+    'pageCanonicalUrl', 'leadImage', 'ogMetadata', 'enrichedAt'
+];
+const JSON_COLUMNS = new Set(['categories', 'tags', 'media', 'ogMetadata']);
+
+// Invalid records reported individually before the rest are only counted
+const MAX_WARNINGS = 10;
+
+/**
+ * Archive Transfer - Streams stored articles to and from JSON Lines and CSV
+ * files, for moving an archive between databases or seeding a new one.
+ * Imports skip articles whose URL is already stored
+ */
+export class ArchiveTransfer {
+    constructor(db, options = {}) {
+        this.db = db;
+        this.batchSize = options.batchSize || 500;
+    }
+
+    /**
+     * Walk the stored articles matching countArticles filters in batches, in id order
+     */
+    async *readArticles(filters = {}) {
+        let afterId = 0;
+        while (true) {
+            const batch = await this.db.getArticlesAfter(afterId, this.batchSize, filters);
+            if (batch.length === 0) {
+                return;
+            }
+            yield batch;
+            afterId = batch[batch.length - 1].id;
+        }
+    }
+
+    /**
+     * Write the stored articles matching filters to a file, returns { exported, total }
+     */
+    async exportToFile(file, { format = formatFromPath(file), filters = {}, onProgress } = {}) {
+        assertFormat(format);
+        const total = await this.db.countArticles(filters);
+        await mkdir(path.dirname(path.resolve(file)), { recursive: true });
+
+        const output = createWriteStream(file, 'utf8');
+        let exported = 0;
+        try {
+            if (format === 'csv') {
+                await write(output, `${toCsvRow(CSV_COLUMNS)}\r\n`);
+            }
+            for await (const batch of this.readArticles(filters)) {
+                const text = batch.map(article => format === 'csv'
+                    ? `${toCsvRow(CSV_COLUMNS.map(column => toCsvValue(article, column)))}\r\n`
+                    : `${JSON.stringify(articleToRecord(article))}\n`
+                ).join('');
+                await write(output, text);
+                exported += batch.length;
+                onProgress?.({ exported, total });
+            }
+        } finally {
+            output.end();
+            await finished(output);
+        }
+
+        return { exported, total };
+    }
+
+    /**
+     * Store the articles in a file, skipping ones whose URL is already stored,
+     * returns { read, imported, duplicates, invalid, failed }
+     */
+    async importFromFile(file, { format = formatFromPath(file), onProgress } = {}) {
+        assertFormat(format);
+        const stats = { read: 0, imported: 0, duplicates: 0, invalid: 0, failed: 0 };
+        const lines = readline.createInterface({ input: createReadStream(file, 'utf8'), crlfDelay: Infinity });
+        let batch = [];
+
+        try {
+            for await (const { record, line, error } of readRecords(lines, format)) {
+                stats.read++;
+                const article = error ? null : recordToArticle(record);
+                if (!article) {
+                    stats.invalid++;
+                    if (stats.invalid <= MAX_WARNINGS) {
+                        console.warn(`⚠️  Skipping line ${line}: ${error || 'an article needs a title and url'}`);
+                    }
+                    continue;
+                }
+
+                batch.push(article);
+                if (batch.length >= this.batchSize) {
+                    await this.importBatch(batch, stats);
+                    onProgress?.({ ...stats });
+                    batch = [];
+                }
+            }
+        } finally {
+            lines.close();
+        }
+
+        if (batch.length > 0) {
+            await this.importBatch(batch, stats);
+            onProgress?.({ ...stats });
+        }
+        return stats;
+    }
+
+    /**
+     * Store a batch of articles, deduplicated by canonical URL within the batch
+     * and by canonical or original URL against what is stored
+     */
+    async importBatch(articles, stats) {
+        const byUrl = new Map();
+        for (const article of articles) {
+            const key = article.canonicalUrl || canonicalizeUrl(article.url, article.source);
+            if (byUrl.has(key)) {
+                stats.duplicates++;
+            } else {
+                byUrl.set(key, article);
+            }
+        }
+
+        const existing = await this.db.findExistingUrls([...byUrl.keys()]);
+        const created = [];
+        for (const [key, article] of byUrl) {
+            if (existing.has(key)) {
+                stats.duplicates++;
+                continue;
+            }
+
+            try {
+                // Insert-only: an article stored under its original URL is skipped, never revised
+                const { id, created: isNew } = await this.db.insertNewArticle(article);
+                if (!isNew) {
+                    stats.duplicates++;
+                    continue;
+                }
+                if (article.enrichedAt) {
+                    await this.db.saveEnrichment(id, article);
+                }
+                created.push({ article, id });
+                stats.imported++;
+            } catch (error) {
+                console.warn(`⚠️  Could not import ${article.url}:`, error.message);
+                stats.failed++;
+            }
+        }
+
+        await this.db.clusterStories(created);
+    }
+}
+
+/**
+ * Guess a format from a file extension (.jsonl, .ndjson or .csv), or null
+ */
+export function formatFromPath(file) {
+    const extension = path.extname(String(file || '')).toLowerCase();
+    return { '.jsonl': 'jsonl', '.ndjson': 'jsonl', '.csv': 'csv' }[extension] || null;
+}
+
+function assertFormat(format) {
+    if (!ARCHIVE_FORMATS.includes(format)) {
+        throw new Error(`Unknown archive format "${format}" (expected one of: ${ARCHIVE_FORMATS.join(', ')})`);
+    }
+}
+
+/**
+ * Write to a stream, waiting for it to drain when its buffer is full
+ */
+async function write(stream, text) {
+    if (!stream.write(text)) {
+        await once(stream, 'drain');
+    }
+}
+
+/**
+ * An article as an archive record - everything but the database-specific story id
+ */
+function articleToRecord(article) {
+    const { storyId, ...record } = article.toJSON();
+    return record;
+}
+
+function toCsvValue(article, column) {
+    const value = article[column];
+    return JSON_COLUMNS.has(column) && value !== null ? JSON.stringify(value) : value;
+}
+
+/**
+ * Parse records from lines, yielding { record, line } or { line, error }
+ */
+async function* readRecords(lines, format) {
+    if (format === 'jsonl') {
+        let lineNumber = 0;
+        for await (const text of lines) {
+            lineNumber++;
+            if (text.trim() === '') {
+                continue;
+            }
+            try {
+                yield { record: JSON.parse(text), line: lineNumber };
+            } catch (error) {
+                yield { line: lineNumber, error: `invalid JSON (${error.message})` };
+            }
+        }
+        return;
+    }
+
+    let header = null;
+    for await (const { fields, line } of parseCsv(lines)) {
+        if (!header) {
+            header = fields.map(name => name.trim());
+            if (!header.includes('title') || !header.includes('url')) {
+                throw new Error('CSV header must include title and url columns');
+            }
+            continue;
+        }
+
+        try {
+            const record = {};
+            header.forEach((column, index) => {
+                const value = fields[index] ?? '';
+                record[column] = value === '' ? null : JSON_COLUMNS.has(column) ? JSON.parse(value) : value;
+            });
+            yield { record, line };
+        } catch (error) {
+            yield { line, error: `invalid JSON in a list column (${error.message})` };
+        }
+    }
+}
+
+/**
+ * Turn an archive record into a NewsArticle to store, or null when it has no title or url.
+ * Ids and stories are assigned by the receiving database
+ */
+function recordToArticle(record) {
+    if (!record || typeof record !== 'object' || !record.title || !record.url) {
+        return null;
+    }
+
+    const article = new NewsArticle({
+        ...record,
+        id: null,
+        storyId: null,
+        publishedDate: toISODate(record.publishedDate),
+        updatedDate: toISODate(record.updatedDate)
+    });
+    if (!article.language) {
+        article.language = detectLanguage(`${article.title}\n${article.content}`);
+    }
+    return article;
+}
@@ -0,0 +1,205 @@
+import { ConcurrencyLimiter } from '../utils/ConcurrencyLimiter.js';
+import { logger } from '../utils/Logger.js';
+import { extractArticle, getExtractor } from '../extractors/index.js';
+
+/**
+ * Article Enricher - Downloads stored articles' pages and extracts full text,
+ * author, canonical URL, lead image and og: metadata. Runs on its own timer,
+ * queue and rate limit, separate from the RSS cycle.
+ */
+export class ArticleEnricher {
+    constructor(db, options = {}) {
+        this.db = db;
+        this.concurrency = options.concurrency || 2;
+        this.requestsPerMinute = options.requestsPerMinute || 30;
+        this.requestTimeoutSeconds = options.requestTimeoutSeconds || 15;
+        this.pollSeconds = options.pollSeconds || 30;
+        this.batchSize = options.batchSize || 20;
+        this.maxArticleAgeHours = options.maxArticleAgeHours || 24;
+        this.maxBodyLength = options.maxBodyLength || 100000;
+        this.maxPageBytes = options.maxPageBytes || 2000000;
+
+        // One page per host at a time, requests spaced to the rate limit
+        this.limiter = new ConcurrencyLimiter(this.concurrency, 1);
+        this.nextRequestAt = 0;
+
+        this.timer = null;
+        this.isRunning = false;
+        this.isProcessing = false;
+        this.stats = { enriched: 0, failed: 0 };
+    }
+
+    /**
+     * Start enriching recent articles in the background
+     */
+    start() {
+        this.isRunning = true;
+        logger.info(`📄 Article enrichment running (${this.requestsPerMinute} pages/minute)`);
+        this.poll();
+    }
+
+    /**
+     * Stop after the pages already being downloaded
+     */
+    stop() {
+        this.isRunning = false;
+        if (this.timer) {
+            clearTimeout(this.timer);
+            this.timer = null;
+        }
+    }
+
+    /**
+     * Process a batch, then schedule the next poll
+     */
+    async poll() {
+        const since = new Date(Date.now() - this.maxArticleAgeHours * 60 * 60 * 1000);
+        try {
+            await this.processBatch(this.batchSize, since);
+        } catch (error) {
+            logger.warn('⚠️  Article enrichment batch failed:', error.message);
+        }
+
+        if (this.isRunning) {
+            this.timer = setTimeout(() => this.poll(), this.pollSeconds * 1000);
+        }
+    }
+
+    /**
+     * Enrich up to `limit` pending articles (optionally only those stored since a date)
+     * Returns { enriched, failed } for this batch
+     */
+    async processBatch(limit = this.batchSize, since = null) {
+        const batch = { enriched: 0, failed: 0 };
+        if (this.isProcessing) {
+            return batch;
+        }
+        this.isProcessing = true;
+
+        try {
+            const pending = await this.db.getArticlesPendingEnrichment(limit, since);
+            if (pending.length > 0) {
+                logger.debug(`📄 Enriching ${pending.length} article pages...`);
+            }
+
+            await Promise.all(pending.map(article =>
+                this.limiter.run(this.getHost(article.url), async () => {
+                    const success = await this.enrichArticle(article);
+                    batch[success ? 'enriched' : 'failed']++;
+                })
+            ));
+        } finally {
+            this.isProcessing = false;
+        }
+
+        this.stats.enriched += batch.enriched;
+        this.stats.failed += batch.failed;
+        return batch;
+    }
+
+    /**
+     * Download and extract one article page, storing the result or the error
+     */
+    async enrichArticle(article) {
+        try {
+            await this.waitForRateLimit();
+            const html = await this.fetchPage(article.url);
+            const extractor = getExtractor(article.source, article.url);
+            const enrichment = extractArticle(html, article.url, extractor);
+
+            if (enrichment.body && enrichment.body.length > this.maxBodyLength) {
+                enrichment.body = enrichment.body.slice(0, this.maxBodyLength);
+            }
+
+            await this.db.saveEnrichment(article.id, enrichment);
+            logger.debug(`   📄 Enriched ${article.url} (${extractor.name}, ${enrichment.body?.length || 0} chars)`);
+            return true;
+        } catch (error) {
+            logger.debug(`   ⚠️  Could not enrich ${article.url}: ${error.message}`);
+            try {
+                // Recorded as attempted, so a broken page isn't downloaded every poll
+                await this.db.saveEnrichment(article.id, { error: error.message.slice(0, 500) });
+            } catch (saveError) {
+                logger.warn('⚠️  Could not record enrichment failure:', saveError.message);
+            }
+            return false;
+        }
+    }
+
+    /**
+     * Download an article page as HTML, at most maxPageBytes of it. Pages that
+     * declare a larger size are refused; others stop downloading at the cap
+     */
+    async fetchPage(url) {
+        const response = await fetch(url, {
+            headers: { 'User-Agent': 'Mozilla/5.0 (compatible; news-fetcher)', 'Accept': 'text/html,application/xhtml+xml' },
+            signal: AbortSignal.timeout(this.requestTimeoutSeconds * 1000)
+        });
+
+        if (!response.ok) {
+            throw new Error(`Status code ${response.status}`);
+        }
+        const contentType = response.headers.get('content-type') || '';
+        if (!/html/i.test(contentType)) {
+            throw new Error(`Not an HTML page (${contentType || 'no content type'})`);
+        }
+        const contentLength = Number(response.headers.get('content-length'));
+        if (contentLength > this.maxPageBytes) {
+            await response.body?.cancel();
+            throw new Error(`Page too large (${contentLength} bytes, limit ${this.maxPageBytes})`);
+        }
+        return this.readText(response.body);
+    }
+
+    /**
+     * Read a response body as UTF-8 text, stopping after maxPageBytes
+     */
+    async readText(body) {
+        if (!body) {
+            return '';
+        }
+
+        const chunks = [];
+        let size = 0;
+        const reader = body.getReader();
+        try {
+            while (size < this.maxPageBytes) {
+                const { done, value } = await reader.read();
+                if (done) {
+                    break;
+                }
+                chunks.push(value);
+                size += value.byteLength;
+            }
+        } finally {
+            // Drops the rest of an oversized page instead of downloading it
+            await reader.cancel().catch(() => {});
+        }
+
+        return new TextDecoder().decode(Buffer.concat(chunks).subarray(0, this.maxPageBytes));
+    }
+
+    /**
+     * Space request starts evenly to stay within requestsPerMinute
+     */
+    async waitForRateLimit() {
+        const now = Date.now();
+        const startAt = Math.max(now, this.nextRequestAt);
+        this.nextRequestAt = startAt + 60000 / this.requestsPerMinute;
+
+        if (startAt > now) {
+            await new Promise(resolve => setTimeout(resolve, startAt - now));
+        }
+    }
+
+    /**
+     * Host of a page URL, used for per-host concurrency
+     */
+    getHost(url) {
+        try {
+            return new URL(url).host;
+        } catch {
+            return url;
+        }
+    }
+}
@@ -0,0 +1,105 @@
+export const RULE_TYPES = ['keywords', 'regex'];
+
+/**
+ * Categorizer - Assigns categories to articles from the rules stored in the
+ * database, falling back to the source's category when no rule matches
+ */
+export class Categorizer {
+    constructor(db) {
+        this.db = db;
+        this.rules = [];
+    }
+
+    /**
+     * Load the enabled rules, skipping (with a warning) any that don't compile
+     */
+    async loadRules() {
+        const rules = await this.db.getCategoryRules({ enabledOnly: true });
+        this.rules = [];
+
+        for (const rule of rules) {
+            try {
+                this.rules.push({ ...rule, matches: compileRule(rule) });
+            } catch (error) {
+                console.warn(`⚠️  Skipping category rule #${rule.id}: ${error.message}`);
+            }
+        }
+        return this.rules;
+    }
+
+    /**
+     * Categories whose rules match an article, highest priority first, or [fallback] when none do
+     */
+    categorize(article, fallback = article.category) {
+        const text = `${article.title || ''}\n${article.content || ''}`;
+        const categories = new Set();
+
+        for (const rule of this.rules) {
+            if (rule.source && rule.source !== article.source) {
+                continue;
+            }
+            if (rule.matches(text)) {
+                categories.add(rule.category);
+            }
+        }
+        return categories.size > 0 ? [...categories] : [fallback];
+    }
+
+    /**
+     * Set an article's categories, the first one becomes its primary category
+     */
+    apply(article) {
+        article.categories = this.categorize(article);
+        article.category = article.categories[0];
+        return article;
+    }
+}
+
+/**
+ * Compile a rule into a text matcher, throws for rules that can't be used
+ */
+export function compileRule(rule) {
+    if (rule.type === 'regex') {
+        const pattern = new RegExp(rule.pattern, 'iu');
+        return text => pattern.test(text);
+    }
+
+    if (rule.type !== 'keywords') {
+        throw new Error(`unknown rule type "${rule.type}"`);
+    }
+
+    const keywords = parseKeywords(rule.pattern);
+    if (keywords.length === 0) {
+        throw new Error('no keywords');
+    }
+
+    // Whole words only, and phrases match across any run of whitespace
+    const alternatives = keywords.map(keyword => keyword.split(/\s+/).map(escapeRegExp).join('\\s+'));
+    const pattern = new RegExp(`(?<![\\p{L}\\p{N}])(?:${alternatives.join('|')})(?![\\p{L}\\p{N}])`, 'giu');
+    const minMatches = Math.min(rule.minMatches || 1, keywords.length);
+
+    return text => {
+        const found = new Set();
+        for (const [match] of text.matchAll(pattern)) {
+            found.add(match.toLowerCase().replace(/\s+/g, ' '));
+            if (found.size >= minMatches) {
+                return true;
+            }
+        }
+        return false;
+    };
+}
+
+/**
+ * Split a comma-separated keyword list
+ */
+export function parseKeywords(pattern) {
+    return String(pattern || '').split(',').map(keyword => keyword.trim()).filter(keyword => keyword.length > 0);
+}
+
+/**
+ * Escape special characters for use in a regular expression
+ */
+function escapeRegExp(text) {
+    return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
@@ -1,25 +1,44 @@
 import { NewsFetcher } from './NewsFetcher.js';
 import { DatabaseFactory } from './DatabaseFactory.js';
+import { ApiServer } from './ApiServer.js';
+import { ArticleEnricher } from './ArticleEnricher.js';
+import { AlertService } from './AlertService.js';
 import { continuousConfig } from '../../config/continuous.config.js';
+import { validateContinuousConfig } from '../utils/configValidator.js';
+import { logger } from '../utils/Logger.js';
+import { formatDisplayDate } from '../utils/dates.js';
+import { normalizeTitle, titleFingerprint } from '../utils/fingerprints.js';
+import { canonicalizeUrl } from '../utils/urlCanonicalizer.js';
+import { jaccardSimilarity } from '../utils/similarity.js';
 
 /**
  * Continuous News Scraper - Runs every 5 minutes and adds only new articles
  */
 export class ContinuousScraper {
     constructor() {
-        this.fetcher = new NewsFetcher();
         this.db = DatabaseFactory.create();
+        this.fetcher = new NewsFetcher(this.db);
         this.isRunning = false;
         this.intervalId = null;
         this.scrapeInterval = continuousConfig.scrapeIntervalMinutes * 60 * 1000; // Convert to milliseconds
         this.lastScrapeTime = null;
         this.totalArticlesAdded = 0;
+        this.totalArticlesRevised = 0;
         this.totalScrapes = 0;
         this.consecutiveErrors = 0;
         this.config = continuousConfig;
         this.startTime = new Date();
         this.lastSuccessfulScrape = null;
         this.statusInterval = null;
+        this.apiServer = null;
+        this.enricher = null;
+        this.alerts = null;
+        this.isScraping = false;
+        this.retryTimeout = null;
+        this.restartTimes = [];
+        this.processHandlersRegistered = false;
+        this.lastDedupStats = null;
+        this.dedupTotals = {};
     }
 
     /**
@@ -27,16 +46,43 @@ export class ContinuousScraper {
      */
     async start() {
         try {
-            console.log('🚀 Starting Continuous News Scraper');
-            console.log('==================================');
-            console.log(`⏰ Scraping every ${this.config.scrapeIntervalMinutes} minutes`);
-            console.log('🔄 Press Ctrl+C to stop');
-            console.log('');
+            // Fail fast on unknown keys or bad values
+            validateContinuousConfig(this.config);
+            logger.setLevel(this.config.logging.level);
+            this.scrapeInterval = this.config.scrapeIntervalMinutes * 60 * 1000;
+            this.consecutiveErrors = 0;
+
+            logger.info('🚀 Starting Continuous News Scraper');
+            logger.info('==================================');
+            logger.info(`⏰ Scraping every ${this.config.scrapeIntervalMinutes} minutes`);
+            logger.info('🔄 Press Ctrl+C to stop');
+            logger.info('');
 
             // Initialize database
             await this.db.initialize();
             this.isRunning = true;
 
+            // Serve stored articles over HTTP if enabled
+            if (this.config.api.enabled) {
+                this.apiServer = new ApiServer(this.db, {
+                    ...this.config.api,
+                    port: parseInt(process.env.PORT) || this.config.api.port
+                });
+                await this.apiServer.start();
+            }
+
+            // Enrich stored articles from their pages on a separate queue
+            if (this.config.enrichment.enabled) {
+                this.enricher = new ArticleEnricher(this.db, this.config.enrichment);
+                this.enricher.start();
+            }
+
+            // Send saved search alerts for new articles
+            if (this.config.alerts.enabled) {
+                this.alerts = new AlertService(this.db, this.config.alerts);
+                logger.info('🔔 Saved search alerts enabled');
+            }
+
             // Run first scrape immediately
             await this.performScrape();
 
@@ -48,46 +94,58 @@ export class ContinuousScraper {
             }, this.scrapeInterval);
 
             // Show status every 5 minutes for real-time monitoring
-            this.startStatusUpdates();
-
-            // Handle process exit gracefully
-            process.on('SIGINT', async () => {
-                console.log('\n🛑 Received SIGINT, stopping scraper gracefully...');
-                await this.stop();
-                process.exit(0);
-            });
+            if (this.config.logging.showStatusUpdates) {
+                this.startStatusUpdates();
+            }
 
-            process.on('SIGTERM', async () => {
-                console.log('\n🛑 Received SIGTERM, stopping scraper gracefully...');
-                await this.stop();
-                process.exit(0);
-            });
-
-            // Handle uncaught exceptions
-            process.on('uncaughtException', async (error) => {
-                console.error('❌ Uncaught Exception:', error.message);
-                console.error('🔄 Attempting to restart scraper...');
-                await this.restart();
-            });
-
-            // Handle unhandled promise rejections
-            process.on('unhandledRejection', async (reason, promise) => {
-                console.error('❌ Unhandled Rejection at:', promise, 'reason:', reason);
-                console.error('🔄 Attempting to restart scraper...');
-                await this.restart();
-            });
+            this.registerProcessHandlers();
 
         } catch (error) {
-            console.error('❌ Failed to start continuous scraper:', error.message);
+            logger.error('❌ Failed to start continuous scraper:', error.message);
             process.exit(1);
         }
     }
 
+    /**
+     * Register signal and crash handlers once, so restarts don't stack them
+     */
+    registerProcessHandlers() {
+        if (this.processHandlersRegistered) {
+            return;
+        }
+        this.processHandlersRegistered = true;
+
+        // Handle process exit gracefully
+        process.on('SIGINT', async () => {
+            logger.info('\n🛑 Received SIGINT, stopping scraper gracefully...');
+            await this.stop();
+            process.exit(0);
+        });
+
+        process.on('SIGTERM', async () => {
+            logger.info('\n🛑 Received SIGTERM, stopping scraper gracefully...');
+            await this.stop();
+            process.exit(0);
+        });
+
+        // Handle uncaught exceptions
+        process.on('uncaughtException', async (error) => {
+            logger.error('❌ Uncaught Exception:', error.message);
+            await this.recover();
+        });
+
+        // Handle unhandled promise rejections
+        process.on('unhandledRejection', async (reason, promise) => {
+            logger.error('❌ Unhandled Rejection at:', promise, 'reason:', reason);
+            await this.recover();
+        });
+    }
+
     /**
      * Stop continuous scraping
      */
     async stop() {
-        console.log('\n🛑 Stopping continuous scraper...');
+        logger.info('\n🛑 Stopping continuous scraper...');
         this.isRunning = false;
         
         if (this.intervalId) {
@@ -97,46 +155,94 @@ export class ContinuousScraper {
         if (this.statusInterval) {
             clearInterval(this.statusInterval);
         }
+
+        if (this.retryTimeout) {
+            clearTimeout(this.retryTimeout);
+            this.retryTimeout = null;
+        }
+
+        if (this.apiServer) {
+            await this.apiServer.stop();
+            this.apiServer = null;
+        }
+
+        if (this.enricher) {
+            this.enricher.stop();
+            this.enricher = null;
+        }
         
         await this.db.close();
-        console.log('✅ Continuous scraper stopped');
-        console.log(`📊 Total articles added: ${this.totalArticlesAdded}`);
-        console.log(`📊 Total scrapes performed: ${this.totalScrapes}`);
+        logger.info('✅ Continuous scraper stopped');
+        logger.info(`📊 Total articles added: ${this.totalArticlesAdded}`);
+        logger.info(`📊 Total scrapes performed: ${this.totalScrapes}`);
     }
 
     /**
      * Perform a single scrape operation
      */
     async performScrape() {
+        if (this.isScraping) {
+            logger.warn('⏭️  Previous scrape still running, skipping this one');
+            return;
+        }
+        this.isScraping = true;
+
         try {
             this.totalScrapes++;
             const startTime = new Date();
             this.lastScrapeTime = startTime;
 
-            console.log(`\n🔄 Scrape #${this.totalScrapes} - ${startTime.toLocaleTimeString()}`);
-            console.log('─'.repeat(50));
+            logger.info(`\n🔄 Scrape #${this.totalScrapes} - ${startTime.toLocaleTimeString()}`);
+            logger.info('─'.repeat(50));
+
+            // Reload sources so registry changes apply without a restart
+            await this.fetcher.loadSources();
 
             // Fetch all news
             const articles = await this.fetcher.fetchAllNews();
-            console.log(`📡 Fetched ${articles.length} articles from RSS feeds`);
+            logger.info(`📡 Fetched ${articles.length} articles from RSS feeds`);
+
+            // Record edits to articles we already have before they're dropped as duplicates
+            if (this.config.database.trackRevisions) {
+                await this.trackRevisions(articles);
+            }
 
             // Filter out duplicates and get only new articles
-            const newArticles = await this.filterNewArticles(articles);
+            const candidates = await this.filterNewArticles(articles);
+            const newArticles = this.limitArticles(candidates);
             
+            let stored = [];
+            let failed = 0;
             if (newArticles.length > 0) {
                 // Store new articles
-                await this.db.insertArticles(newArticles);
-                this.totalArticlesAdded += newArticles.length;
+                ({ stored, failed } = await this.db.insertArticles(newArticles));
+                this.totalArticlesAdded += stored.length;
                 
-                console.log(`✅ Added ${newArticles.length} new articles to database`);
-                this.showNewArticles(newArticles);
+                logger.info(`✅ Added ${stored.length} new articles to database`);
+                if (this.config.logging.showNewArticles && stored.length > 0) {
+                    this.showNewArticles(stored);
+                }
             } else {
-                console.log('ℹ️  No new articles found');
+                logger.info('ℹ️  No new articles found');
+            }
+
+            // Runs every scrape so alerts held for quiet hours or failed deliveries go out
+            if (this.alerts) {
+                await this.alerts.run(stored);
+            }
+
+            // Remember feed validators only once nothing is left for a later scrape,
+            // otherwise unchanged feeds would be skipped with articles still pending
+            // or with articles that failed to store
+            if (failed > 0) {
+                logger.warn(`⚠️  ${failed} articles failed to store, feeds will be fully fetched again next scrape`);
+            } else if (newArticles.length === candidates.length) {
+                await this.fetcher.saveFeedValidators();
             }
 
             const endTime = new Date();
             const duration = Math.round((endTime - startTime) / 1000);
-            console.log(`⏱️  Scrape completed in ${duration} seconds`);
+            logger.info(`⏱️  Scrape completed in ${duration} seconds`);
 
             // Reset error counter on successful scrape
             this.consecutiveErrors = 0;
@@ -144,90 +250,197 @@ export class ContinuousScraper {
 
         } catch (error) {
             this.consecutiveErrors++;
-            console.error('❌ Error during scrape:', error.message);
-            
-            // Check if we should stop due to too many consecutive errors
-            if (this.consecutiveErrors >= this.config.errorHandling.maxConsecutiveErrors) {
-                console.error(`❌ Too many consecutive errors (${this.consecutiveErrors}). Stopping scraper.`);
-                await this.stop();
-                process.exit(1);
+            logger.error('❌ Error during scrape:', error.message);
+        } finally {
+            this.isScraping = false;
+        }
+
+        if (this.consecutiveErrors > 0) {
+            await this.handleScrapeFailure();
+        }
+    }
+
+    /**
+     * Restart or stop after too many consecutive errors, otherwise schedule a retry
+     */
+    async handleScrapeFailure() {
+        if (this.consecutiveErrors >= this.config.errorHandling.maxConsecutiveErrors) {
+            logger.error(`❌ Too many consecutive errors (${this.consecutiveErrors}).`);
+            await this.recover();
+            return;
+        }
+
+        this.scheduleRetry();
+    }
+
+    /**
+     * Retry a failed scrape after retryDelayMinutes if that comes before the next regular scrape
+     */
+    scheduleRetry() {
+        const retryDelay = this.config.errorHandling.retryDelayMinutes * 60 * 1000;
+        if (!this.isRunning || retryDelay >= this.scrapeInterval || this.retryTimeout) {
+            return;
+        }
+
+        logger.info(`🔁 Retrying in ${this.config.errorHandling.retryDelayMinutes} minute(s)...`);
+        this.retryTimeout = setTimeout(async () => {
+            this.retryTimeout = null;
+            if (this.isRunning) {
+                await this.performScrape();
+            }
+        }, retryDelay);
+    }
+
+    /**
+     * Apply maxArticlesPerScrape (0 = no limit), keeping the newest articles
+     */
+    limitArticles(articles) {
+        const max = this.config.maxArticlesPerScrape;
+        if (max === 0 || articles.length <= max) {
+            return articles;
+        }
+
+        logger.info(`✂️  Limiting to ${max} newest articles (${articles.length - max} deferred to later scrapes)`);
+        return articles.slice(0, max);
+    }
+
+    /**
+     * Compare fetched articles with their stored versions and save edits as revisions
+     * (a failure here never blocks storing new articles)
+     */
+    async trackRevisions(articles) {
+        try {
+            const revised = await this.db.reviseArticles(this.dropBatchDuplicates(articles));
+            this.totalArticlesRevised += revised;
+            if (revised > 0) {
+                logger.info(`✏️  ${revised} stored articles were edited since last fetch`);
             }
+        } catch (error) {
+            logger.warn('⚠️  Revision tracking failed:', error.message);
         }
     }
 
     /**
      * Filter out duplicate articles and return only new ones
+     * Each strategy runs as one set-based lookup over the whole batch
      */
     async filterNewArticles(articles) {
-        const newArticles = [];
-        let duplicateCount = 0;
+        const startTime = Date.now();
+        const queriesBefore = this.db.queryCount;
+        const stats = { checked: articles.length, inBatch: 0, byUrl: 0, byTitle: 0, bySimilarity: 0 };
+
+        logger.info(`🔍 Checking ${articles.length} articles for duplicates...`);
+
+        let remaining = this.dropBatchDuplicates(articles);
+        stats.inBatch = articles.length - remaining.length;
 
-        console.log(`🔍 Checking ${articles.length} articles for duplicates...`);
+        for (const { key, run } of this.getDuplicateStrategies()) {
+            if (remaining.length === 0) break;
 
-        for (const article of articles) {
             try {
-                // Check if article already exists in database using multiple methods
-                const exists = await this.checkArticleExists(article);
-                
-                if (!exists) {
-                    newArticles.push(article);
-                } else {
-                    duplicateCount++;
-                }
+                const unique = await run(remaining);
+                stats[key] += remaining.length - unique.length;
+                remaining = unique;
             } catch (error) {
-                console.warn(`⚠️  Error checking article "${article.title}":`, error.message);
-                // If we can't check, include it to be safe
-                newArticles.push(article);
+                // If we can't check, keep the articles to be safe
+                logger.warn(`⚠️  Duplicate check "${key}" failed:`, error.message);
             }
         }
 
-        console.log(`📊 Duplicate check: ${newArticles.length} new, ${duplicateCount} duplicates`);
-        return newArticles;
+        stats.new = remaining.length;
+        stats.queries = this.db.queryCount - queriesBefore;
+        stats.durationMs = Date.now() - startTime;
+        this.recordDedupStats(stats);
+
+        const duplicates = stats.checked - stats.new;
+        logger.info(`📊 Duplicate check: ${stats.new} new, ${duplicates} duplicates ` +
+            `(batch ${stats.inBatch}, URL ${stats.byUrl}, title ${stats.byTitle}, similar ${stats.bySimilarity}) ` +
+            `in ${stats.queries} queries, ${stats.durationMs}ms`);
+        return remaining;
     }
 
     /**
-     * Check if article already exists in database using multiple strategies
+     * Enabled duplicate strategies in order, limited by maxDuplicateChecks
      */
-    async checkArticleExists(article) {
-        try {
-            // Strategy 1: Check by URL (most reliable)
-            if (article.url) {
-                const existingByUrl = await this.db.searchArticles(article.url, 1);
-                if (existingByUrl.length > 0) {
-                    return true;
-                }
-            }
+    getDuplicateStrategies() {
+        const strategies = [];
+        if (this.config.database.checkByUrl) {
+            strategies.push({ key: 'byUrl', label: 'URL', run: articles => this.dropExistingUrls(articles) });
+        }
+        if (this.config.database.checkByTitle) {
+            strategies.push({ key: 'byTitle', label: 'Title', run: articles => this.dropExistingTitles(articles) });
+        }
+        strategies.push({ key: 'bySimilarity', label: 'Similarity', run: articles => this.dropSimilarTitles(articles) });
 
-            // Strategy 2: Check by title and source (backup check)
-            if (article.title) {
-                const existingByTitle = await this.db.searchArticles(article.title, 10);
-                const duplicate = existingByTitle.find(existing => 
-                    existing.title.toLowerCase() === article.title.toLowerCase() &&
-                    existing.source === article.source
-                );
-                if (duplicate) {
-                    return true;
-                }
-            }
+        return strategies.slice(0, this.config.database.maxDuplicateChecks);
+    }
 
-            // Strategy 3: Check by content similarity (for articles with similar content)
-            if (article.content && article.content.length > 50) {
-                const contentWords = article.content.toLowerCase().split(/\s+/).slice(0, 20);
-                const existingByContent = await this.db.searchArticles(contentWords.join(' '), 20);
-                const contentDuplicate = existingByContent.find(existing => 
-                    existing.source === article.source &&
-                    this.calculateSimilarity(existing.title.toLowerCase(), article.title.toLowerCase()) > 0.8
-                );
-                if (contentDuplicate) {
-                    return true;
-                }
-            }
+    /**
+     * Drop repeats of the same canonical URL within the fetched batch (feeds overlap)
+     */
+    dropBatchDuplicates(articles) {
+        const seen = new Set();
+        return articles.filter(article => {
+            const key = this.canonicalUrl(article);
+            if (seen.has(key)) return false;
+            seen.add(key);
+            return true;
+        });
+    }
 
-            return false;
+    /**
+     * Strategy 1: Drop articles whose canonical URL is already stored (most reliable)
+     */
+    async dropExistingUrls(articles) {
+        const existing = await this.db.findExistingUrls(articles.map(article => this.canonicalUrl(article)));
+        return articles.filter(article => !existing.has(this.canonicalUrl(article)));
+    }
 
-        } catch (error) {
-            console.warn(`⚠️  Error checking article existence:`, error.message);
-            return false; // If we can't check, assume it's new
+    /**
+     * Canonical URL of an article, computed when the fetcher didn't set one
+     */
+    canonicalUrl(article) {
+        return article.canonicalUrl || canonicalizeUrl(article.url, article.source);
+    }
+
+    /**
+     * Strategy 2: Drop articles whose title fingerprint is already stored for the same source
+     */
+    async dropExistingTitles(articles) {
+        const fingerprints = new Map(articles.map(article => [article, titleFingerprint(article.title)]));
+        const existing = await this.db.findExistingTitleFingerprints([...fingerprints.values()]);
+        return articles.filter(article => !existing.has(`${article.source}|${fingerprints.get(article)}`));
+    }
+
+    /**
+     * Strategy 3: Drop articles with a near-identical title from the same source in the recent window
+     */
+    async dropSimilarTitles(articles) {
+        const { similarityWindowHours, similarityThreshold } = this.config.database;
+        const since = new Date(Date.now() - similarityWindowHours * 60 * 60 * 1000);
+        const sources = [...new Set(articles.map(article => article.source))];
+        const recent = await this.db.getRecentTitles(sources, since);
+
+        const titlesBySource = new Map();
+        recent.forEach(row => {
+            if (!titlesBySource.has(row.source)) titlesBySource.set(row.source, []);
+            titlesBySource.get(row.source).push(normalizeTitle(row.title));
+        });
+
+        return articles.filter(article => {
+            const title = normalizeTitle(article.title);
+            const candidates = titlesBySource.get(article.source) || [];
+            return !candidates.some(existing => this.calculateSimilarity(existing, title) > similarityThreshold);
+        });
+    }
+
+    /**
+     * Keep the last cycle's dedup stats and running totals
+     */
+    recordDedupStats(stats) {
+        this.lastDedupStats = stats;
+        for (const key of ['checked', 'new', 'inBatch', 'byUrl', 'byTitle', 'bySimilarity', 'queries']) {
+            this.dedupTotals[key] = (this.dedupTotals[key] || 0) + stats[key];
         }
     }
 
@@ -235,19 +448,15 @@ export class ContinuousScraper {
      * Calculate similarity between two strings (simple Jaccard similarity)
      */
     calculateSimilarity(str1, str2) {
-        const words1 = new Set(str1.split(/\s+/));
-        const words2 = new Set(str2.split(/\s+/));
-        const intersection = new Set([...words1].filter(x => words2.has(x)));
-        const union = new Set([...words1, ...words2]);
-        return intersection.size / union.size;
+        return jaccardSimilarity(str1.split(/\s+/), str2.split(/\s+/));
     }
 
     /**
      * Show new articles that were added
      */
     showNewArticles(articles) {
-        console.log('\n📰 NEW ARTICLES ADDED:');
-        console.log('─'.repeat(30));
+        logger.info('\n📰 NEW ARTICLES ADDED:');
+        logger.info('─'.repeat(30));
         
         // Group by source
         const groupedBySource = {};
@@ -260,15 +469,15 @@ export class ContinuousScraper {
 
         Object.keys(groupedBySource).forEach(source => {
             const sourceArticles = groupedBySource[source];
-            console.log(`\n📂 ${source} (${sourceArticles.length} new articles):`);
+            logger.info(`\n📂 ${source} (${sourceArticles.length} new articles):`);
             
             sourceArticles.slice(0, 3).forEach((article, index) => {
-                console.log(`   ${index + 1}. ${article.title}`);
-                console.log(`      📅 ${article.publishedDate || 'N/A'} | 🏷️  ${article.category}`);
+                logger.info(`   ${index + 1}. ${article.title}`);
+                logger.info(`      📅 ${formatDisplayDate(article.publishedDate)} | 🏷️  ${article.categories.join(', ')}`);
             });
             
             if (sourceArticles.length > 3) {
-                console.log(`   ... and ${sourceArticles.length - 3} more articles`);
+                logger.info(`   ... and ${sourceArticles.length - 3} more articles`);
             }
         });
     }
@@ -297,33 +506,117 @@ export class ContinuousScraper {
             ? Math.round((now - this.lastSuccessfulScrape) / 60000)
             : 'N/A';
 
-        console.log('\n' + '='.repeat(70));
-        console.log('📊 REAL-TIME NEWS SCRAPER STATUS REPORT');
-        console.log('='.repeat(70));
-        console.log(`🕐 Current Time: ${now.toLocaleString()}`);
-        console.log(`⏱️  Uptime: ${uptime} minutes`);
-        console.log(`🔄 Total Scrapes: ${this.totalScrapes}`);
-        console.log(`📰 Total Articles Added: ${this.totalArticlesAdded}`);
-        console.log(`⏰ Last Scrape: ${timeSinceLastScrape} minutes ago`);
-        console.log(`✅ Last Success: ${timeSinceLastSuccess} minutes ago`);
-        console.log(`❌ Consecutive Errors: ${this.consecutiveErrors}`);
-        console.log(`🔄 Scrape Interval: ${this.scrapeInterval / 60000} minute(s)`);
-        console.log(`⏱️  Time Filter: Only articles < 5 minutes old`);
-        console.log(`🔍 Duplicate Check: Enhanced (URL + Title + Content)`);
-        console.log('='.repeat(70));
+        logger.info('\n' + '='.repeat(70));
+        logger.info('📊 REAL-TIME NEWS SCRAPER STATUS REPORT');
+        logger.info('='.repeat(70));
+        logger.info(`🕐 Current Time: ${now.toLocaleString()}`);
+        logger.info(`⏱️  Uptime: ${uptime} minutes`);
+        logger.info(`🔄 Total Scrapes: ${this.totalScrapes}`);
+        logger.info(`📰 Total Articles Added: ${this.totalArticlesAdded}`);
+        logger.info(`✏️  Total Articles Revised: ${this.totalArticlesRevised}`);
+        logger.info(`⏰ Last Scrape: ${timeSinceLastScrape} minutes ago`);
+        logger.info(`✅ Last Success: ${timeSinceLastSuccess} minutes ago`);
+        logger.info(`❌ Consecutive Errors: ${this.consecutiveErrors}`);
+        logger.info(`🔄 Scrape Interval: ${this.scrapeInterval / 60000} minute(s)`);
+        logger.info(`⏱️  Time Filter: ${this.describeTimeFilter()}`);
+        logger.info(`🔍 Duplicate Check: ${this.describeDuplicateCheck()}`);
+        if (this.lastDedupStats) {
+            const last = this.lastDedupStats;
+            logger.info(`🧮 Last Dedup: ${last.checked} checked, ${last.new} new in ${last.queries} queries (${last.durationMs}ms)`);
+            logger.info(`🧮 Total Duplicates: ${this.dedupTotals.checked - this.dedupTotals.new} of ${this.dedupTotals.checked} checked`);
+        }
+        if (this.fetcher.lastFetchStats) {
+            logger.info(`📡 Last Fetch: ${(this.fetcher.lastFetchStats.durationMs / 1000).toFixed(1)}s`);
+            this.fetcher.lastFetchStats.sources.forEach(source => {
+                const icon = source.status === 'ok' ? '✅' : '⚠️ ';
+                logger.info(`   ${icon} ${source.name}: ${source.durationMs}ms, ${source.articles} articles${source.status === 'ok' ? '' : ` (${source.status})`}`);
+            });
+        }
+        if (this.alerts) {
+            logger.info(`🔔 Alerts: ${this.alerts.stats.matched} articles matched, ${this.alerts.stats.sent} sent, ${this.alerts.stats.failed} failed`);
+        }
+        if (this.enricher) {
+            logger.info(`📄 Enrichment: ${this.enricher.stats.enriched} pages enriched, ${this.enricher.stats.failed} failed`);
+        }
+        if (this.db.connectionStats) {
+            const { healthy, retries, failedHealthChecks } = this.db.connectionStats;
+            logger.info(`🗄️  Database: ${healthy ? 'reachable' : 'unreachable'}, ${retries} statements retried, ${failedHealthChecks} failed health checks`);
+        }
+        const openCircuits = this.fetcher.health.getOpenCircuits();
+        if (openCircuits.length > 0) {
+            logger.info(`🔌 Open Circuits: ${openCircuits.map(record =>
+                `${record.sourceName} (next probe ${formatDisplayDate(record.nextAttemptAt)})`).join(', ')}`);
+        }
+        const cacheStats = this.fetcher.getCacheStats();
+        if (cacheStats.length > 0) {
+            const requests = cacheStats.reduce((sum, source) => sum + source.requests, 0);
+            const hits = cacheStats.reduce((sum, source) => sum + source.hits, 0);
+            logger.info(`💾 Feed Cache: ${this.formatPercent(hits / requests)} hit rate (${hits} of ${requests} fetches unchanged)`);
+            cacheStats.forEach(source => {
+                logger.info(`   ${source.name}: ${this.formatPercent(source.hitRate)} (${source.hits}/${source.requests})`);
+            });
+        }
+        logger.info('='.repeat(70));
+    }
+
+    /**
+     * Describe the active time filter for status output
+     */
+    describeTimeFilter() {
+        const { enabled, maxArticleAgeMinutes } = this.config.timeFiltering;
+        return enabled ? `Only articles < ${maxArticleAgeMinutes} minutes old` : 'Disabled';
+    }
+
+    /**
+     * Describe the active duplicate check strategies for status output
+     */
+    describeDuplicateCheck() {
+        return this.getDuplicateStrategies().map(strategy => strategy.label).join(' + ');
+    }
+
+    /**
+     * Restart if autoRestart allows it, otherwise stop and exit
+     */
+    async recover() {
+        if (this.canRestart()) {
+            logger.error('🔄 Attempting to restart scraper...');
+            await this.restart();
+            return;
+        }
+
+        const reason = this.config.errorHandling.autoRestart
+            ? `restart limit of ${this.config.errorHandling.maxRestartsPerHour} per hour reached`
+            : 'autoRestart is disabled';
+        logger.error(`❌ Stopping scraper (${reason}).`);
+        await this.stop();
+        process.exit(1);
+    }
+
+    /**
+     * Check autoRestart and the maxRestartsPerHour budget
+     */
+    canRestart() {
+        if (!this.config.errorHandling.autoRestart) {
+            return false;
+        }
+
+        const oneHourAgo = Date.now() - 60 * 60 * 1000;
+        this.restartTimes = this.restartTimes.filter(time => time > oneHourAgo);
+        return this.restartTimes.length < this.config.errorHandling.maxRestartsPerHour;
     }
 
     /**
      * Restart the scraper (for error recovery)
      */
     async restart() {
-        console.log('🔄 Restarting scraper...');
+        this.restartTimes.push(Date.now());
+        logger.info('🔄 Restarting scraper...');
         try {
             await this.stop();
             await new Promise(resolve => setTimeout(resolve, 5000)); // Wait 5 seconds
             await this.start();
         } catch (error) {
-            console.error('❌ Failed to restart scraper:', error.message);
+            logger.error('❌ Failed to restart scraper:', error.message);
             process.exit(1);
         }
     }
@@ -336,8 +629,21 @@ export class ContinuousScraper {
             isRunning: this.isRunning,
             totalScrapes: this.totalScrapes,
             totalArticlesAdded: this.totalArticlesAdded,
+            totalArticlesRevised: this.totalArticlesRevised,
             lastScrapeTime: this.lastScrapeTime,
-            scrapeInterval: this.scrapeInterval
+            scrapeInterval: this.scrapeInterval,
+            lastDedupStats: this.lastDedupStats,
+            dedupTotals: this.dedupTotals,
+            lastFetchStats: this.fetcher.lastFetchStats,
+            feedCache: this.fetcher.getCacheStats(),
+            alerts: this.alerts ? { ...this.alerts.stats } : null
         };
     }
+
+    /**
+     * Format a 0-1 ratio as a whole percentage
+     */
+    formatPercent(ratio) {
+        return `${Math.round(ratio * 100)}%`;
+    }
 }
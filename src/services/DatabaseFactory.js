@@ -1,23 +1,26 @@
 import { DatabaseService } from './DatabaseService.js';
 import { MySQLDatabaseService } from './MySQLDatabaseService.js';
-import { getDatabaseConfig } from '../../config/database.config.js';
+import { loadDatabaseConfig, describeDatabaseConfig } from '../utils/databaseConfig.js';
+import { validateDatabaseConfig } from '../utils/configValidator.js';
 
 /**
  * Database Factory - Creates appropriate database service
  */
 export class DatabaseFactory {
     /**
-     * Create database service based on configuration
+     * Create the database service for the configured profile. Overrides take
+     * precedence over the environment, e.g. { type: 'sqlite', path: ':memory:' }
+     * in tests or { profile: 'production' } for one command
      */
-    static create() {
-        const dbConfig = getDatabaseConfig();
-        
+    static create(overrides = {}) {
+        const dbConfig = validateDatabaseConfig(loadDatabaseConfig(overrides));
+
         if (dbConfig.type === 'mysql') {
-            console.log('🔧 Using MySQL database (XAMPP)');
-            return new MySQLDatabaseService();
+            console.log(`🔧 Using MySQL database (${describeDatabaseConfig(dbConfig)}, ${dbConfig.profile} profile)`);
+            return new MySQLDatabaseService(dbConfig.config);
         } else {
-            console.log('🔧 Using SQLite database (local file)');
-            return new DatabaseService();
+            console.log(`🔧 Using SQLite database (${describeDatabaseConfig(dbConfig)}, ${dbConfig.profile} profile)`);
+            return new DatabaseService(dbConfig.config.path);
         }
     }
 }
@@ -1,5 +1,17 @@
 import sqlite3 from 'sqlite3';
 import { NewsArticle } from '../models/NewsArticle.js';
+import { defaultCategories, defaultSources } from '../../config/sources.config.js';
+import { defaultCategoryRules } from '../../config/category-rules.config.js';
+import { toISODate, toSqlDateTime } from '../utils/dates.js';
+import { MigrationRunner } from './MigrationRunner.js';
+import { StoryClusterer } from './StoryClusterer.js';
+import { continuousConfig } from '../../config/continuous.config.js';
+import { titleFingerprint } from '../utils/fingerprints.js';
+import { canonicalizeUrl } from '../utils/urlCanonicalizer.js';
+import { getChangedFields } from '../utils/revisions.js';
+import { normalizeSearchText } from '../utils/language.js';
+import { extractEntities, rankTrending } from '../utils/entities.js';
+import { parseSearchQuery, toFts5Query, formatSnippet, SNIPPET_MARKERS } from '../utils/searchQuery.js';
 
 /**
  * Database Service - Handles SQLite database operations
@@ -8,13 +20,17 @@ export class DatabaseService {
     constructor(dbPath = 'news.db') {
         this.dbPath = dbPath;
         this.db = null;
+        this.dialect = 'sqlite';
+        this.queryCount = 0;
+        this.storyClusterer = new StoryClusterer(this, continuousConfig.stories);
     }
 
     /**
-     * Initialize database connection and create tables
+     * Initialize database connection and migrate the schema
+     * Pass { migrate: false } to connect without touching the schema
      */
-    async initialize() {
-        return new Promise((resolve, reject) => {
+    async initialize(options = {}) {
+        await new Promise((resolve, reject) => {
             this.db = new sqlite3.Database(this.dbPath, (err) => {
                 if (err) {
                     console.error('❌ Database connection failed:', err.message);
@@ -22,187 +38,304 @@ export class DatabaseService {
                     return;
                 }
                 console.log('✅ Connected to SQLite database');
-                this.createTables().then(resolve).catch(reject);
+                resolve();
             });
         });
+
+        // REPLACE must fire delete triggers so the search index stays in sync
+        await this.execute('PRAGMA recursive_triggers = ON');
+
+        if (options.migrate !== false) {
+            await this.createTables();
+        }
     }
 
     /**
-     * Create database tables
+     * Bring the schema up to date and insert default data
      */
     async createTables() {
-        return new Promise((resolve, reject) => {
-            const createArticlesTable = `
-                CREATE TABLE IF NOT EXISTS articles (
-                    id INTEGER PRIMARY KEY AUTOINCREMENT,
-                    title TEXT NOT NULL,
-                    content TEXT,
-                    image_url TEXT,
-                    article_url TEXT NOT NULL,
-                    published_date TEXT,
-                    duration TEXT,
-                    source TEXT NOT NULL,
-                    category TEXT NOT NULL,
-                    created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
-                    UNIQUE(article_url)
-                )
-            `;
-
-            const createCategoriesTable = `
-                CREATE TABLE IF NOT EXISTS categories (
-                    id INTEGER PRIMARY KEY AUTOINCREMENT,
-                    name TEXT UNIQUE NOT NULL,
-                    description TEXT,
-                    created_at DATETIME DEFAULT CURRENT_TIMESTAMP
-                )
-            `;
-
-            const createSourcesTable = `
-                CREATE TABLE IF NOT EXISTS sources (
-                    id INTEGER PRIMARY KEY AUTOINCREMENT,
-                    name TEXT UNIQUE NOT NULL,
-                    url TEXT,
-                    category TEXT,
-                    created_at DATETIME DEFAULT CURRENT_TIMESTAMP
-                )
-            `;
-
-            this.db.exec(createArticlesTable, (err) => {
-                if (err) {
-                    reject(err);
-                    return;
-                }
-                console.log('✅ Articles table created');
-
-                this.db.exec(createCategoriesTable, (err) => {
-                    if (err) {
-                        reject(err);
-                        return;
-                    }
-                    console.log('✅ Categories table created');
-
-                    this.db.exec(createSourcesTable, (err) => {
-                        if (err) {
-                            reject(err);
-                            return;
-                        }
-                        console.log('✅ Sources table created');
-                        this.insertDefaultData().then(resolve).catch(reject);
-                    });
-                });
-            });
-        });
+        await new MigrationRunner(this).migrate();
+        console.log('✅ Database schema up to date');
+        await this.insertDefaultData();
     }
 
     /**
-     * Insert default categories and sources
+     * Insert default categories, and default sources and category rules when
+     * their tables are empty
      */
     async insertDefaultData() {
-        const categories = [
-            { name: 'international', description: 'International news' },
-            { name: 'world', description: 'World news' },
-            { name: 'business', description: 'Business and finance' },
-            { name: 'technology', description: 'Technology news' },
-            { name: 'pakistan', description: 'Pakistan news' },
-            { name: 'sports', description: 'Sports news' },
-            { name: 'politics', description: 'Political news' }
-        ];
-
-        const sources = [
-            { name: 'Al Jazeera', url: 'https://www.aljazeera.com/xml/rss/all.xml', category: 'international' },
-            { name: 'BBC News', url: 'http://feeds.bbci.co.uk/news/rss.xml', category: 'international' },
-            { name: 'BBC World', url: 'http://feeds.bbci.co.uk/news/world/rss.xml', category: 'world' },
-            { name: 'BBC Business', url: 'http://feeds.bbci.co.uk/news/business/rss.xml', category: 'business' },
-            { name: 'BBC Technology', url: 'http://feeds.bbci.co.uk/news/technology/rss.xml', category: 'technology' },
-            { name: 'Dawn News', url: 'https://www.dawn.com/feeds/', category: 'pakistan' },
-            { name: 'CNN Top Stories', url: 'http://rss.cnn.com/rss/edition.rss', category: 'international' },
-            { name: 'The Guardian', url: 'https://www.theguardian.com/world/rss', category: 'international' }
-        ];
-
         // Insert categories
-        for (const category of categories) {
+        for (const category of defaultCategories) {
             await this.insertCategory(category);
         }
 
-        // Insert sources
-        for (const source of sources) {
-            await this.insertSource(source);
+        // Seed sources only once so removed sources stay removed
+        const [{ total }] = await this.query('SELECT COUNT(*) as total FROM sources');
+        if (total === 0) {
+            for (const source of defaultSources) {
+                await this.insertSource(source);
+            }
+        }
+
+        const [{ rules }] = await this.query('SELECT COUNT(*) as rules FROM category_rules');
+        if (rules === 0) {
+            for (const rule of defaultCategoryRules) {
+                await this.insertCategoryRule(rule);
+            }
         }
 
         console.log('✅ Default data inserted');
     }
 
     /**
-     * Insert a news article
+     * Insert a news article, or update the stored one with the same URL
      */
     async insertArticle(article) {
-        return new Promise((resolve, reject) => {
-            const sql = `
-                INSERT OR REPLACE INTO articles 
-                (title, content, image_url, article_url, published_date, duration, source, category)
-                VALUES (?, ?, ?, ?, ?, ?, ?, ?)
-            `;
-
-            this.db.run(sql, [
-                article.title,
-                article.content,
-                article.image,
-                article.url,
-                article.publishedDate,
-                article.duration,
-                article.source,
-                article.category
-            ], function(err) {
-                if (err) {
-                    console.warn('⚠️  Error inserting article:', err.message);
-                    reject(err);
-                } else {
-                    resolve(this.lastID);
-                }
-            });
-        });
+        try {
+            const { id } = await this.upsertArticle(article);
+            return id;
+        } catch (error) {
+            console.warn('⚠️  Error inserting article:', error.message);
+            throw error;
+        }
     }
 
     /**
-     * Insert multiple articles
+     * Insert multiple articles, returns { stored, failed } - the newly stored
+     * articles with their ids set, and how many could not be stored
      */
     async insertArticles(articles) {
         console.log(`💾 Storing ${articles.length} articles in database...`);
-        let successCount = 0;
+        const created = [];
+        let revisedCount = 0;
         let errorCount = 0;
 
         for (const article of articles) {
             try {
-                await this.insertArticle(article);
-                successCount++;
+                const { id, created: isNew, changes } = await this.upsertArticle(article);
+                if (isNew) created.push({ article, id });
+                if (changes.length > 0) revisedCount++;
             } catch (error) {
+                console.warn('⚠️  Error inserting article:', error.message);
                 errorCount++;
             }
         }
 
-        console.log(`✅ Successfully stored ${successCount} articles`);
+        console.log(`✅ Successfully stored ${created.length} new articles`);
+        if (revisedCount > 0) {
+            console.log(`✏️  ${revisedCount} stored articles were edited since last fetch`);
+        }
         if (errorCount > 0) {
             console.log(`⚠️  ${errorCount} articles failed to store`);
         }
+
+        await this.clusterStories(created);
+        const stored = created.map(({ article, id }) => {
+            article.id = id;
+            return article;
+        });
+        return { stored, failed: errorCount };
+    }
+
+    /**
+     * Insert an article, or update the stored row with the same URL, returns { id, created, changes }.
+     * Edits to the title, content or image keep the row id and save the previous version as a revision
+     */
+    async upsertArticle(article) {
+        const canonicalUrl = article.canonicalUrl || canonicalizeUrl(article.url, article.source);
+        const existing = await this.findStoredArticle(canonicalUrl, article.url);
+
+        if (existing) {
+            const changes = await this.reviseArticle(existing, article);
+            return { id: existing.id, created: false, changes };
+        }
+
+        const id = await this.createArticle(article, canonicalUrl);
+        return { id, created: true, changes: [] };
+    }
+
+    /**
+     * Insert an article unless one with the same canonical or original URL is
+     * stored, returns { id, created }. A stored article is left untouched
+     */
+    async insertNewArticle(article) {
+        const canonicalUrl = article.canonicalUrl || canonicalizeUrl(article.url, article.source);
+        const existing = await this.findStoredArticle(canonicalUrl, article.url);
+        if (existing) {
+            return { id: existing.id, created: false };
+        }
+        return { id: await this.createArticle(article, canonicalUrl), created: true };
+    }
+
+    /**
+     * The stored row ({ id, title, content, image_url }) with either URL, or undefined
+     */
+    async findStoredArticle(canonicalUrl, url) {
+        const [existing] = await this.query(
+            'SELECT id, title, content, image_url FROM articles WHERE canonical_url = ? OR article_url = ? LIMIT 1',
+            [canonicalUrl, url]
+        );
+        return existing;
+    }
+
+    /**
+     * Insert a new article row with its categories, tags, media and entities, returns its id
+     */
+    async createArticle(article, canonicalUrl) {
+        const { insertId } = await this.execute(`
+            INSERT INTO articles
+            (guid, title, content, summary, image_url, article_url, canonical_url, published_date, updated_date, duration,
+             author, language, source, category, title_fingerprint, search_title, search_content)
+            VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+        `, [
+            article.guid,
+            article.title,
+            article.content,
+            article.summary,
+            article.image,
+            article.url,
+            canonicalUrl,
+            toSqlDateTime(article.publishedDate),
+            toSqlDateTime(article.updatedDate),
+            article.duration,
+            article.author,
+            article.language,
+            article.source,
+            article.category,
+            titleFingerprint(article.title),
+            normalizeSearchText(article.title),
+            normalizeSearchText(article.content)
+        ]);
+
+        await this.saveArticleDetails(insertId, article);
+        return insertId;
+    }
+
+    /**
+     * Apply a refetched article to its stored row ({ id, title, content, image_url }).
+     * Nothing is written unless a tracked field changed; returns the changed fields
+     */
+    async reviseArticle(existing, article) {
+        const changes = getChangedFields(existing, article);
+        if (changes.length === 0) {
+            return changes;
+        }
+
+        await this.execute(`
+            INSERT INTO article_revisions (article_id, title, content, image_url, changed_fields, revised_at)
+            VALUES (?, ?, ?, ?, ?, ?)
+        `, [existing.id, existing.title, existing.content, existing.image_url, changes.join(','), toSqlDateTime(new Date())]);
+
+        await this.execute(`
+            UPDATE articles SET guid = COALESCE(?, guid), title = ?, title_fingerprint = ?, content = ?, summary = ?,
+                image_url = ?, published_date = COALESCE(?, published_date), updated_date = ?, duration = ?,
+                author = COALESCE(?, author), language = COALESCE(?, language), category = ?, search_title = ?, search_content = ?
+            WHERE id = ?
+        `, [
+            article.guid,
+            article.title,
+            titleFingerprint(article.title),
+            article.content,
+            article.summary,
+            article.image,
+            toSqlDateTime(article.publishedDate),
+            toSqlDateTime(article.updatedDate),
+            article.duration,
+            article.author,
+            article.language,
+            article.category,
+            normalizeSearchText(article.title),
+            normalizeSearchText(article.content),
+            existing.id
+        ]);
+
+        await this.saveArticleDetails(existing.id, article);
+        return changes;
+    }
+
+    /**
+     * Record edits to articles that are already stored (unknown URLs are ignored),
+     * returns how many were revised
+     */
+    async reviseArticles(articles) {
+        const byUrl = new Map(articles.map(article => [article.canonicalUrl || canonicalizeUrl(article.url, article.source), article]));
+        let revised = 0;
+
+        for (const chunk of this.chunk([...byUrl.keys()])) {
+            const placeholders = chunk.map(() => '?').join(', ');
+            const rows = await this.query(
+                `SELECT id, canonical_url, title, content, image_url FROM articles WHERE canonical_url IN (${placeholders})`,
+                chunk
+            );
+            for (const row of rows) {
+                const changes = await this.reviseArticle(row, byUrl.get(row.canonical_url));
+                if (changes.length > 0) revised++;
+            }
+        }
+
+        return revised;
     }
 
     /**
-     * Get articles by category
+     * Get an article's previous versions, oldest first
      */
-    async getArticlesByCategory(category, limit = 50) {
+    async getArticleRevisions(articleId) {
+        const rows = await this.query(
+            'SELECT * FROM article_revisions WHERE article_id = ? ORDER BY revised_at, id',
+            [articleId]
+        );
+        return rows.map(row => ({
+            id: row.id,
+            title: row.title,
+            content: row.content,
+            image: row.image_url,
+            changedFields: row.changed_fields.split(','),
+            revisedAt: toISODate(row.revised_at)
+        }));
+    }
+
+    /**
+     * Get an article by id or by URL (matched on its canonical form), or null
+     */
+    async getArticle(idOrUrl) {
+        const rows = /^\d+$/.test(String(idOrUrl))
+            ? await this.query('SELECT * FROM articles WHERE id = ?', [Number(idOrUrl)])
+            : await this.query('SELECT * FROM articles WHERE canonical_url = ?', [canonicalizeUrl(idOrUrl)]);
+        const [article] = await this.rowsToArticles(rows);
+        return article || null;
+    }
+
+    /**
+     * Group stored articles into cross-source stories (failures don't affect storing)
+     */
+    async clusterStories(stored) {
+        try {
+            const grouped = await this.storyClusterer.assignStories(stored);
+            if (grouped > 0) {
+                console.log(`🧩 Grouped ${grouped} articles into stories`);
+            }
+        } catch (error) {
+            console.warn('⚠️  Story clustering failed:', error.message);
+        }
+    }
+
+    /**
+     * Get articles assigned to a category
+     */
+    async getArticlesByCategory(category, limit = 50, offset = 0) {
         return new Promise((resolve, reject) => {
             const sql = `
                 SELECT * FROM articles 
-                WHERE category = ? 
+                WHERE id IN (SELECT article_id FROM article_categories WHERE category = ?) 
                 ORDER BY published_date DESC, created_at DESC 
-                LIMIT ?
+                LIMIT ? OFFSET ?
             `;
 
-            this.db.all(sql, [category, limit], (err, rows) => {
+            this.db.all(sql, [category, limit, offset], (err, rows) => {
                 if (err) {
                     reject(err);
                 } else {
-                    resolve(rows.map(row => this.rowToArticle(row)));
+                    resolve(this.rowsToArticles(rows));
                 }
             });
         });
@@ -211,46 +344,144 @@ export class DatabaseService {
     /**
      * Get articles by source
      */
-    async getArticlesBySource(source, limit = 50) {
+    async getArticlesBySource(source, limit = 50, offset = 0) {
         return new Promise((resolve, reject) => {
             const sql = `
                 SELECT * FROM articles 
                 WHERE source = ? 
                 ORDER BY published_date DESC, created_at DESC 
-                LIMIT ?
+                LIMIT ? OFFSET ?
             `;
 
-            this.db.all(sql, [source, limit], (err, rows) => {
+            this.db.all(sql, [source, limit, offset], (err, rows) => {
                 if (err) {
                     reject(err);
                 } else {
-                    resolve(rows.map(row => this.rowToArticle(row)));
+                    resolve(this.rowsToArticles(rows));
                 }
             });
         });
     }
 
     /**
-     * Get all articles with pagination
+     * Get all articles with pagination, optionally in one language
      */
-    async getAllArticles(limit = 100, offset = 0) {
+    async getAllArticles(limit = 100, offset = 0, language = null) {
         return new Promise((resolve, reject) => {
             const sql = `
                 SELECT * FROM articles 
+                ${language ? 'WHERE language = ?' : ''}
                 ORDER BY published_date DESC, created_at DESC 
                 LIMIT ? OFFSET ?
             `;
 
-            this.db.all(sql, [limit, offset], (err, rows) => {
+            this.db.all(sql, [...(language ? [language] : []), limit, offset], (err, rows) => {
                 if (err) {
                     reject(err);
                 } else {
-                    resolve(rows.map(row => this.rowToArticle(row)));
+                    resolve(this.rowsToArticles(rows));
                 }
             });
         });
     }
 
+    /**
+     * Get articles published within a date range (either bound may be null)
+     */
+    async getArticlesByDateRange(from, to, limit = 50, offset = 0) {
+        const { where, params } = this.dateRangeCondition(from, to);
+        const rows = await this.query(`
+            SELECT * FROM articles 
+            ${where}
+            ORDER BY published_date DESC, created_at DESC 
+            LIMIT ? OFFSET ?
+        `, [...params, limit, offset]);
+        return this.rowsToArticles(rows);
+    }
+
+    /**
+     * Build a WHERE clause for a published date range
+     */
+    dateRangeCondition(from, to) {
+        const conditions = [];
+        const params = [];
+
+        if (from) {
+            conditions.push('published_date >= ?');
+            params.push(toSqlDateTime(from));
+        }
+        if (to) {
+            conditions.push('published_date <= ?');
+            params.push(toSqlDateTime(to));
+        }
+
+        return {
+            where: conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : '',
+            params
+        };
+    }
+
+    /**
+     * Find which canonical URLs are already stored, returns a Set of them.
+     * Callers canonicalize with the article's source, so per-source URL rules apply
+     */
+    async findExistingUrls(canonicalUrls) {
+        const candidates = [...new Set(canonicalUrls)];
+        const existing = new Set();
+
+        for (const chunk of this.chunk(candidates)) {
+            const placeholders = chunk.map(() => '?').join(', ');
+            const rows = await this.query(`SELECT canonical_url FROM articles WHERE canonical_url IN (${placeholders})`, chunk);
+            rows.forEach(row => existing.add(row.canonical_url));
+        }
+
+        return existing;
+    }
+
+    /**
+     * Find which title fingerprints are already stored, returns a Set of "source|fingerprint" keys
+     */
+    async findExistingTitleFingerprints(fingerprints) {
+        const existing = new Set();
+
+        for (const chunk of this.chunk([...new Set(fingerprints)])) {
+            const placeholders = chunk.map(() => '?').join(', ');
+            const rows = await this.query(
+                `SELECT source, title_fingerprint FROM articles WHERE title_fingerprint IN (${placeholders})`,
+                chunk
+            );
+            rows.forEach(row => existing.add(`${row.source}|${row.title_fingerprint}`));
+        }
+
+        return existing;
+    }
+
+    /**
+     * Get titles stored for the given sources since a date
+     */
+    async getRecentTitles(sources, since) {
+        if (sources.length === 0) {
+            return [];
+        }
+
+        const placeholders = sources.map(() => '?').join(', ');
+        return this.query(
+            `SELECT source, title FROM articles WHERE source IN (${placeholders}) AND created_at >= ?`,
+            [...sources, toSqlDateTime(since)]
+        );
+    }
+
+    /**
+     * Split values into chunks that fit in one IN (...) clause
+     */
+    chunk(values, size = 500) {
+        const chunks = [];
+        for (let i = 0; i < values.length; i += size) {
+            chunks.push(values.slice(i, i + size));
+        }
+        return chunks;
+    }
+
     /**
      * Get article statistics
      */
@@ -271,35 +502,130 @@ export class DatabaseService {
                 if (err) {
                     reject(err);
                 } else {
-                    resolve(rows);
+                    resolve(rows.map(row => ({ ...row, latest_article: toISODate(row.latest_article) })));
                 }
             });
         });
     }
 
     /**
-     * Search articles by title or content
+     * Count articles per detected language (null when unknown)
      */
-    async searchArticles(searchTerm, limit = 50) {
-        return new Promise((resolve, reject) => {
-            const sql = `
-                SELECT * FROM articles 
-                WHERE title LIKE ? OR content LIKE ?
-                ORDER BY published_date DESC, created_at DESC 
-                LIMIT ?
-            `;
+    async getLanguageStats() {
+        const rows = await this.query(`
+            SELECT language, COUNT(*) as count
+            FROM articles
+            GROUP BY language
+            ORDER BY count DESC
+        `);
+        return rows.map(row => ({ language: row.language, count: Number(row.count) }));
+    }
+
+    /**
+     * Full-text search, returns NewsArticles ordered by relevance
+     */
+    async searchArticles(searchTerm, limit = 50, offset = 0, language = null) {
+        const results = await this.searchArticlesRanked(searchTerm, limit, offset, language);
+        return results.map(result => result.article);
+    }
+
+    /**
+     * Full-text search with relevance scores and highlighted snippets
+     * Supports "phrases", AND/OR/NOT and prefix* matching
+     */
+    async searchArticlesRanked(searchTerm, limit = 50, offset = 0, language = null) {
+        const parsed = parseSearchQuery(normalizeSearchText(searchTerm));
+        const languageFilter = language ? 'AND articles.language = ?' : '';
+        if (parsed.isEmpty) {
+            return [];
+        }
 
-            const searchPattern = `%${searchTerm}%`;
-            this.db.all(sql, [searchPattern, searchPattern, limit], (err, rows) => {
+        // bm25 is lower for better matches; titles weigh more than content
+        const rows = await this.query(`
+            SELECT articles.*,
+                   -bm25(articles_fts, 10.0, 1.0) as score,
+                   snippet(articles_fts, -1, ?, ?, '…', 24) as snippet
+            FROM articles_fts
+            JOIN articles ON articles.id = articles_fts.rowid
+            WHERE articles_fts MATCH ? ${languageFilter}
+            ORDER BY score DESC, articles.published_date DESC
+            LIMIT ? OFFSET ?
+        `, [SNIPPET_MARKERS.start, SNIPPET_MARKERS.end, toFts5Query(parsed), ...(language ? [language] : []), limit, offset]);
+
+        const articles = await this.rowsToArticles(rows);
+        return rows.map((row, index) => ({
+            article: articles[index],
+            score: row.score,
+            snippet: formatSnippet(row.snippet)
+        }));
+    }
+
+    /**
+     * Count articles, optionally filtered by category, source, language and/or date range
+     */
+    async countArticles(filters = {}) {
+        return new Promise((resolve, reject) => {
+            const { where, params } = this.articleFilters(filters);
+            this.db.get(`SELECT COUNT(*) as total FROM articles ${where}`, params, (err, row) => {
                 if (err) {
                     reject(err);
                 } else {
-                    resolve(rows.map(row => this.rowToArticle(row)));
+                    resolve(row.total);
                 }
             });
         });
     }
 
+    /**
+     * WHERE clause for the language, category, source and from/to filters of countArticles and getArticlesAfter
+     */
+    articleFilters(filters = {}) {
+        const conditions = [];
+        const params = [];
+
+        if (filters.language) {
+            conditions.push('language = ?');
+            params.push(filters.language);
+        }
+        if (filters.category) {
+            conditions.push('id IN (SELECT article_id FROM article_categories WHERE category = ?)');
+            params.push(filters.category);
+        }
+        if (filters.source) {
+            conditions.push('source = ?');
+            params.push(filters.source);
+        }
+        if (filters.from) {
+            conditions.push('published_date >= ?');
+            params.push(toSqlDateTime(filters.from));
+        }
+        if (filters.to) {
+            conditions.push('published_date <= ?');
+            params.push(toSqlDateTime(filters.to));
+        }
+
+        return { where: conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : '', conditions, params };
+    }
+
+    /**
+     * Count articles matching a search query
+     */
+    async countSearchResults(searchTerm, language = null) {
+        const parsed = parseSearchQuery(normalizeSearchText(searchTerm));
+        if (parsed.isEmpty) {
+            return 0;
+        }
+
+        const [{ total }] = language
+            ? await this.query(`
+                SELECT COUNT(*) as total FROM articles_fts
+                JOIN articles ON articles.id = articles_fts.rowid
+                WHERE articles_fts MATCH ? AND articles.language = ?
+            `, [toFts5Query(parsed), language])
+            : await this.query('SELECT COUNT(*) as total FROM articles_fts WHERE articles_fts MATCH ?', [toFts5Query(parsed)]);
+        return total;
+    }
+
     /**
      * Insert category
      */
@@ -313,13 +639,21 @@ export class DatabaseService {
         });
     }
 
+    /**
+     * Get all categories
+     */
+    async getCategories() {
+        return this.query('SELECT name, description FROM categories ORDER BY name');
+    }
+
     /**
      * Insert source
      */
     async insertSource(source) {
         return new Promise((resolve, reject) => {
-            const sql = 'INSERT OR IGNORE INTO sources (name, url, category) VALUES (?, ?, ?)';
-            this.db.run(sql, [source.name, source.url, source.category], (err) => {
+            const sql = 'INSERT OR IGNORE INTO sources (name, url, category, enabled, type) VALUES (?, ?, ?, ?, ?)';
+            const enabled = source.enabled === false ? 0 : 1;
+            this.db.run(sql, [source.name, source.url, source.category, enabled, source.type || 'rss'], (err) => {
                 if (err) reject(err);
                 else resolve();
             });
@@ -327,18 +661,663 @@ export class DatabaseService {
     }
 
     /**
-     * Convert database row to NewsArticle
+     * Get category rules, highest priority first
+     */
+    async getCategoryRules(options = {}) {
+        const where = options.enabledOnly ? 'WHERE enabled = 1' : '';
+        const rows = await this.query(`SELECT * FROM category_rules ${where} ORDER BY priority DESC, id`);
+        return rows.map(row => this.rowToCategoryRule(row));
+    }
+
+    /**
+     * Insert a category rule, returns its id
+     */
+    async insertCategoryRule(rule) {
+        const { insertId } = await this.execute(`
+            INSERT INTO category_rules (category, match_type, pattern, source, min_matches, priority, enabled)
+            VALUES (?, ?, ?, ?, ?, ?, ?)
+        `, [rule.category, rule.type, rule.pattern, rule.source || null, rule.minMatches || 1, rule.priority || 0, rule.enabled === false ? 0 : 1]);
+        return insertId;
+    }
+
+    /**
+     * Remove a category rule, returns true if it existed
+     */
+    async removeCategoryRule(id) {
+        const result = await this.execute('DELETE FROM category_rules WHERE id = ?', [id]);
+        return result.affectedRows > 0;
+    }
+
+    /**
+     * Enable or disable a category rule, returns true if it exists
+     */
+    async setCategoryRuleEnabled(id, enabled) {
+        const result = await this.execute('UPDATE category_rules SET enabled = ? WHERE id = ?', [enabled ? 1 : 0, id]);
+        return result.affectedRows > 0;
+    }
+
+    /**
+     * Convert database row to category rule
+     */
+    rowToCategoryRule(row) {
+        return {
+            id: row.id,
+            category: row.category,
+            type: row.match_type,
+            pattern: row.pattern,
+            source: row.source || null,
+            minMatches: row.min_matches,
+            priority: row.priority,
+            enabled: Boolean(row.enabled)
+        };
+    }
+
+    /**
+     * Replace an article's categories, the first one becomes its primary category
+     */
+    async setArticleCategories(articleId, categories) {
+        await this.execute('UPDATE articles SET category = ? WHERE id = ?', [categories[0], articleId]);
+        await this.saveArticleCategories(articleId, categories);
+    }
+
+    /**
+     * Get articles with ids above afterId in id order, for walking the whole table
+     * (or the articles matching countArticles filters) in batches
+     */
+    async getArticlesAfter(afterId, limit = 500, filters = {}) {
+        const { conditions, params } = this.articleFilters(filters);
+        const rows = await this.query(
+            `SELECT * FROM articles WHERE ${['id > ?', ...conditions].join(' AND ')} ORDER BY id LIMIT ?`,
+            [afterId, ...params, limit]
+        );
+        return this.rowsToArticles(rows);
+    }
+
+    /**
+     * Get saved searches, oldest first
+     */
+    async getSavedSearches(options = {}) {
+        const where = options.enabledOnly ? 'WHERE enabled = 1' : '';
+        const rows = await this.query(`SELECT * FROM saved_searches ${where} ORDER BY id`);
+        return rows.map(row => this.rowToSavedSearch(row));
+    }
+
+    /**
+     * Get a saved search by name
+     */
+    async getSavedSearch(name) {
+        const rows = await this.query('SELECT * FROM saved_searches WHERE name = ?', [name]);
+        return rows.length > 0 ? this.rowToSavedSearch(rows[0]) : null;
+    }
+
+    /**
+     * Insert a saved search, returns its id
+     */
+    async insertSavedSearch(search) {
+        const { insertId } = await this.execute(`
+            INSERT INTO saved_searches (name, query, source, category, language, channel, target, quiet_start, quiet_end, enabled)
+            VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+        `, [
+            search.name,
+            search.query || null,
+            search.source || null,
+            search.category || null,
+            search.language || null,
+            search.channel,
+            search.target,
+            search.quietStart || null,
+            search.quietEnd || null,
+            search.enabled === false ? 0 : 1
+        ]);
+        return insertId;
+    }
+
+    /**
+     * Remove a saved search and its alert history, returns true if it existed
+     */
+    async removeSavedSearch(name) {
+        const search = await this.getSavedSearch(name);
+        if (!search) {
+            return false;
+        }
+        await this.execute('DELETE FROM alert_deliveries WHERE saved_search_id = ?', [search.id]);
+        await this.execute('DELETE FROM saved_searches WHERE id = ?', [search.id]);
+        return true;
+    }
+
+    /**
+     * Enable or disable a saved search, returns true if it exists
+     */
+    async setSavedSearchEnabled(name, enabled) {
+        const result = await this.execute('UPDATE saved_searches SET enabled = ? WHERE name = ?', [enabled ? 1 : 0, name]);
+        return result.affectedRows > 0;
+    }
+
+    /**
+     * Queue articles matched by a saved search, skipping ones it already matched.
+     * Returns how many were new
+     */
+    async recordAlertMatches(searchId, articleIds) {
+        const matchedAt = toSqlDateTime(new Date());
+        let recorded = 0;
+        for (const articleId of articleIds) {
+            const { affectedRows } = await this.execute(
+                'INSERT OR IGNORE INTO alert_deliveries (saved_search_id, article_id, status, matched_at) VALUES (?, ?, ?, ?)',
+                [searchId, articleId, 'pending', matchedAt]
+            );
+            recorded += affectedRows;
+        }
+        return recorded;
+    }
+
+    /**
+     * Get the articles waiting to be alerted for a saved search, oldest first
+     */
+    async getPendingAlerts(searchId, limit = 50) {
+        const rows = await this.query(`
+            SELECT a.* FROM alert_deliveries d
+            JOIN articles a ON a.id = d.article_id
+            WHERE d.saved_search_id = ? AND d.status = 'pending'
+            ORDER BY a.published_date, a.id
+            LIMIT ?
+        `, [searchId, limit]);
+        return this.rowsToArticles(rows);
+    }
+
+    /**
+     * Of the given stories, the ones a saved search already sent an alert for
+     */
+    async getAlertedStoryIds(searchId, storyIds) {
+        const alerted = new Set();
+        for (const chunk of this.chunk(storyIds)) {
+            const placeholders = chunk.map(() => '?').join(', ');
+            const rows = await this.query(`
+                SELECT DISTINCT a.story_id FROM alert_deliveries d
+                JOIN articles a ON a.id = d.article_id
+                WHERE d.saved_search_id = ? AND d.status = 'sent' AND a.story_id IN (${placeholders})
+            `, [searchId, ...chunk]);
+            rows.forEach(row => alerted.add(row.story_id));
+        }
+        return alerted;
+    }
+
+    /**
+     * Mark queued alert articles as 'sent' or 'skipped' (already covered by an alert on the same story)
+     */
+    async markAlerts(searchId, articleIds, status) {
+        const deliveredAt = toSqlDateTime(new Date());
+        for (const chunk of this.chunk(articleIds)) {
+            const placeholders = chunk.map(() => '?').join(', ');
+            await this.execute(
+                `UPDATE alert_deliveries SET status = ?, delivered_at = ? WHERE saved_search_id = ? AND article_id IN (${placeholders})`,
+                [status, deliveredAt, searchId, ...chunk]
+            );
+        }
+        if (status === 'sent' && articleIds.length > 0) {
+            await this.execute('UPDATE saved_searches SET last_alert_at = ? WHERE id = ?', [deliveredAt, searchId]);
+        }
+    }
+
+    /**
+     * Count a saved search's alert articles by status
+     */
+    async getAlertCounts(searchId) {
+        const rows = await this.query(
+            'SELECT status, COUNT(*) AS total FROM alert_deliveries WHERE saved_search_id = ? GROUP BY status',
+            [searchId]
+        );
+        return Object.fromEntries(rows.map(row => [row.status, Number(row.total)]));
+    }
+
+    /**
+     * Convert database row to saved search
+     */
+    rowToSavedSearch(row) {
+        return {
+            id: row.id,
+            name: row.name,
+            query: row.query || null,
+            source: row.source || null,
+            category: row.category || null,
+            language: row.language || null,
+            channel: row.channel,
+            target: row.target,
+            quietStart: row.quiet_start || null,
+            quietEnd: row.quiet_end || null,
+            enabled: Boolean(row.enabled),
+            lastAlertAt: toISODate(row.last_alert_at)
+        };
+    }
+
+    /**
+     * Get registered sources
+     */
+    async getSources(options = {}) {
+        const where = options.enabledOnly ? 'WHERE enabled = 1' : '';
+        const rows = await this.query(`SELECT * FROM sources ${where} ORDER BY id`);
+        return rows.map(row => this.rowToSource(row));
+    }
+
+    /**
+     * Get a source by name
+     */
+    async getSource(name) {
+        const rows = await this.query('SELECT * FROM sources WHERE name = ?', [name]);
+        return rows.length > 0 ? this.rowToSource(rows[0]) : null;
+    }
+
+    /**
+     * Remove a source, returns true if it existed
+     */
+    async removeSource(name) {
+        const result = await this.execute('DELETE FROM sources WHERE name = ?', [name]);
+        return result.affectedRows > 0;
+    }
+
+    /**
+     * Enable or disable a source, returns true if it exists
+     */
+    async setSourceEnabled(name, enabled) {
+        const result = await this.execute('UPDATE sources SET enabled = ? WHERE name = ?', [enabled ? 1 : 0, name]);
+        return result.affectedRows > 0;
+    }
+
+    /**
+     * Store the conditional GET validators of a source's last fetched feed
+     */
+    async updateSourceCache(name, { etag, lastModified, contentHash }) {
+        await this.execute(
+            'UPDATE sources SET etag = ?, last_modified = ?, content_hash = ? WHERE name = ?',
+            [etag || null, lastModified || null, contentHash || null, name]
+        );
+    }
+
+    /**
+     * Convert database row to source definition
+     */
+    rowToSource(row) {
+        return {
+            id: row.id,
+            name: row.name,
+            url: row.url,
+            category: row.category,
+            type: row.type || 'rss',
+            enabled: Boolean(row.enabled),
+            etag: row.etag || null,
+            lastModified: row.last_modified || null,
+            contentHash: row.content_hash || null
+        };
+    }
+
+    /**
+     * Get health records for all sources that have been fetched
+     */
+    async getSourceHealth() {
+        const rows = await this.query('SELECT * FROM source_health ORDER BY source_name');
+        return rows.map(row => this.rowToSourceHealth(row));
+    }
+
+    /**
+     * Insert or update a source health record
+     */
+    async saveSourceHealth(health) {
+        await this.execute(`
+            INSERT OR REPLACE INTO source_health
+            (source_name, state, consecutive_failures, total_fetches, total_failures, parsed_fetches,
+             avg_latency_ms, avg_items, last_success_at, last_failure_at, last_error, next_attempt_at)
+            VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+        `, this.sourceHealthParams(health));
+    }
+
+    /**
+     * Query parameters for a source health record, in column order
+     */
+    sourceHealthParams(health) {
+        return [
+            health.sourceName,
+            health.state,
+            health.consecutiveFailures,
+            health.totalFetches,
+            health.totalFailures,
+            health.parsedFetches,
+            health.avgLatencyMs,
+            health.avgItems,
+            toSqlDateTime(health.lastSuccessAt),
+            toSqlDateTime(health.lastFailureAt),
+            health.lastError,
+            toSqlDateTime(health.nextAttemptAt)
+        ];
+    }
+
+    /**
+     * Convert database row to source health record
+     */
+    rowToSourceHealth(row) {
+        return {
+            sourceName: row.source_name,
+            state: row.state,
+            consecutiveFailures: Number(row.consecutive_failures),
+            totalFetches: Number(row.total_fetches),
+            totalFailures: Number(row.total_failures),
+            parsedFetches: Number(row.parsed_fetches),
+            avgLatencyMs: row.avg_latency_ms === null ? null : Number(row.avg_latency_ms),
+            avgItems: row.avg_items === null ? null : Number(row.avg_items),
+            lastSuccessAt: toISODate(row.last_success_at),
+            lastFailureAt: toISODate(row.last_failure_at),
+            lastError: row.last_error,
+            nextAttemptAt: toISODate(row.next_attempt_at)
+        };
+    }
+
+    /**
+     * Get articles whose page hasn't been enriched yet, newest first
+     */
+    async getArticlesPendingEnrichment(limit, since = null) {
+        const params = [];
+        let sql = 'SELECT id, article_url, source FROM articles WHERE enriched_at IS NULL';
+        if (since) {
+            sql += ' AND created_at >= ?';
+            params.push(toSqlDateTime(since));
+        }
+        sql += ' ORDER BY created_at DESC, id DESC LIMIT ?';
+        params.push(limit);
+
+        const rows = await this.query(sql, params);
+        return rows.map(row => ({ id: row.id, url: row.article_url, source: row.source }));
+    }
+
+    /**
+     * Store what was extracted from an article page (or why it failed)
+     */
+    async saveEnrichment(articleId, enrichment) {
+        await this.execute(`
+            UPDATE articles SET body = ?, author = COALESCE(?, author), page_canonical_url = ?, lead_image = ?,
+                og_metadata = ?, enriched_at = ?, enrichment_error = ?
+            WHERE id = ?
+        `, [
+            enrichment.body || null,
+            enrichment.author || null,
+            enrichment.pageCanonicalUrl || null,
+            enrichment.leadImage || null,
+            enrichment.ogMetadata ? JSON.stringify(enrichment.ogMetadata) : null,
+            toSqlDateTime(new Date()),
+            enrichment.error || null,
+            articleId
+        ]);
+    }
+
+    /**
+     * Get recently stored articles to cluster new ones against
+     */
+    async getClusterCandidates(since) {
+        return this.query('SELECT id, title, story_id FROM articles WHERE created_at >= ?', [toSqlDateTime(since)]);
+    }
+
+    /**
+     * Create a story, returns its id
+     */
+    async createStory(title) {
+        const now = toSqlDateTime(new Date());
+        const result = await this.execute('INSERT INTO stories (title, first_seen, updated_at) VALUES (?, ?, ?)', [title, now, now]);
+        return result.insertId;
+    }
+
+    /**
+     * Attach an article to a story and mark the story as updated
+     */
+    async setArticleStory(articleId, storyId) {
+        await this.execute('UPDATE articles SET story_id = ? WHERE id = ?', [storyId, articleId]);
+        await this.execute('UPDATE stories SET updated_at = ? WHERE id = ?', [toSqlDateTime(new Date()), storyId]);
+    }
+
+    /**
+     * Get stories updated within the last `hours`, ordered by how many sources cover them
+     */
+    async getTopStories({ hours = 24, limit = 10, minSources = 2 } = {}) {
+        const since = toSqlDateTime(new Date(Date.now() - hours * 60 * 60 * 1000));
+        const rows = await this.query(`
+            SELECT s.id, s.title, s.first_seen, s.updated_at,
+                COUNT(a.id) AS article_count,
+                COUNT(DISTINCT a.source) AS source_count
+            FROM stories s
+            JOIN articles a ON a.story_id = s.id
+            WHERE s.updated_at >= ?
+            GROUP BY s.id, s.title, s.first_seen, s.updated_at
+            HAVING COUNT(DISTINCT a.source) >= ?
+            ORDER BY source_count DESC, article_count DESC, s.updated_at DESC
+            LIMIT ?
+        `, [since, minSources, limit]);
+
+        const articles = await this.getStoryArticles(rows.map(row => row.id));
+        return rows.map(row => {
+            const storyArticles = articles.filter(article => article.storyId === row.id);
+            return {
+                id: row.id,
+                title: row.title,
+                firstSeen: toISODate(row.first_seen),
+                updatedAt: toISODate(row.updated_at),
+                articleCount: Number(row.article_count),
+                sourceCount: Number(row.source_count),
+                sources: [...new Set(storyArticles.map(article => article.source))],
+                articles: storyArticles
+            };
+        });
+    }
+
+    /**
+     * Get entities mentioned in the last `hours` at well above their rate over the
+     * preceding `baselineDays`, counting articles that mention them
+     */
+    async getTrendingEntities({ hours = 24, baselineDays = 7, limit = 20, type = null, minMentions = 3, minRatio = 3 } = {}) {
+        const now = Date.now();
+        const recentSince = toSqlDateTime(new Date(now - hours * 60 * 60 * 1000));
+        const baselineSince = toSqlDateTime(new Date(now - (hours + baselineDays * 24) * 60 * 60 * 1000));
+
+        const rows = await this.query(`
+            SELECT entity_type, name,
+                SUM(CASE WHEN seen_at >= ? THEN 1 ELSE 0 END) AS recent,
+                SUM(CASE WHEN seen_at < ? THEN 1 ELSE 0 END) AS baseline
+            FROM article_entities
+            WHERE seen_at >= ? ${type ? 'AND entity_type = ?' : ''}
+            GROUP BY entity_type, name
+            HAVING SUM(CASE WHEN seen_at >= ? THEN 1 ELSE 0 END) >= ?
+        `, [recentSince, recentSince, baselineSince, ...(type ? [type] : []), recentSince, minMentions]);
+
+        return rankTrending(rows, { hours, baselineHours: baselineDays * 24, minRatio, limit });
+    }
+
+    /**
+     * Get the entities extracted from an article, most mentioned first
+     */
+    async getArticleEntities(articleId) {
+        const rows = await this.query(
+            'SELECT entity_type, name, mentions FROM article_entities WHERE article_id = ? ORDER BY mentions DESC, name',
+            [articleId]
+        );
+        return rows.map(row => ({ type: row.entity_type, name: row.name, mentions: row.mentions }));
+    }
+
+    /**
+     * Get the articles of the given stories, oldest first
+     */
+    async getStoryArticles(storyIds) {
+        if (storyIds.length === 0) {
+            return [];
+        }
+
+        const placeholders = storyIds.map(() => '?').join(', ');
+        const rows = await this.query(
+            `SELECT * FROM articles WHERE story_id IN (${placeholders}) ORDER BY published_date, id`,
+            storyIds
+        );
+        return this.rowsToArticles(rows);
+    }
+
+    /**
+     * Check whether a table has a column
+     */
+    async hasColumn(table, column) {
+        const columns = await this.query(`PRAGMA table_info(${table})`);
+        return columns.some(existing => existing.name === column);
+    }
+
+    /**
+     * Names of the tables in the database
+     */
+    async getTableNames() {
+        const rows = await this.query("SELECT name FROM sqlite_master WHERE type = 'table' ORDER BY name");
+        return rows.map(row => row.name);
+    }
+
+    /**
+     * Column names of a table, in order
+     */
+    async getTableColumns(table) {
+        const rows = await this.query(`PRAGMA table_info(\`${table}\`)`);
+        return rows.map(row => row.name);
+    }
+
+    /**
+     * Run a query and return all rows
+     */
+    async query(sql, params = []) {
+        this.queryCount++;
+        return new Promise((resolve, reject) => {
+            this.db.all(sql, params, (err, rows) => {
+                if (err) reject(err);
+                else resolve(rows);
+            });
+        });
+    }
+
+    /**
+     * Run a statement and return insert id and affected row count
+     */
+    async execute(sql, params = []) {
+        return new Promise((resolve, reject) => {
+            this.db.run(sql, params, function(err) {
+                if (err) reject(err);
+                else resolve({ insertId: this.lastID, affectedRows: this.changes });
+            });
+        });
+    }
+
+    /**
+     * Replace an article's categories, tags, media items and entities
+     */
+    async saveArticleDetails(articleId, article) {
+        await this.saveArticleCategories(articleId, article.categories?.length ? article.categories : [article.category]);
+        await this.saveArticleEntities(articleId, article);
+
+        await this.execute('DELETE FROM article_tags WHERE article_id = ?', [articleId]);
+        await this.execute('DELETE FROM article_media WHERE article_id = ?', [articleId]);
+
+        for (const tag of article.tags || []) {
+            await this.execute('INSERT OR IGNORE INTO article_tags (article_id, tag) VALUES (?, ?)', [articleId, tag]);
+        }
+        for (const [position, item] of (article.media || []).entries()) {
+            await this.execute(`
+                INSERT INTO article_media (article_id, position, url, medium, mime_type, width, height, title)
+                VALUES (?, ?, ?, ?, ?, ?, ?, ?)
+            `, [articleId, position, item.url, item.medium, item.type, item.width, item.height, item.title]);
+        }
+    }
+
+    /**
+     * Extract an article's people, places, organizations and keywords, replacing
+     * earlier extractions. They are dated by publication, never later than now
+     */
+    async saveArticleEntities(articleId, article) {
+        await this.execute('DELETE FROM article_entities WHERE article_id = ?', [articleId]);
+
+        const published = article.publishedDate ? new Date(article.publishedDate) : null;
+        const seenAt = toSqlDateTime(published && published.getTime() < Date.now() ? published : new Date());
+        for (const entity of extractEntities(article)) {
+            await this.execute(
+                'INSERT OR IGNORE INTO article_entities (article_id, entity_type, name, mentions, seen_at) VALUES (?, ?, ?, ?, ?)',
+                [articleId, entity.type, entity.name, entity.mentions, seenAt]
+            );
+        }
+    }
+
+    /**
+     * Replace the rows of article_categories for an article
+     */
+    async saveArticleCategories(articleId, categories) {
+        await this.execute('DELETE FROM article_categories WHERE article_id = ?', [articleId]);
+        for (const category of new Set(categories)) {
+            await this.execute('INSERT INTO article_categories (article_id, category) VALUES (?, ?)', [articleId, category]);
+        }
+    }
+
+    /**
+     * Convert database rows to NewsArticles, loading their categories, tags and media
+     */
+    async rowsToArticles(rows) {
+        const articles = rows.map(row => this.rowToArticle(row));
+        if (articles.length === 0) {
+            return articles;
+        }
+
+        const ids = articles.map(article => article.id);
+        const placeholders = ids.map(() => '?').join(', ');
+        const categoryRows = await this.query(
+            `SELECT article_id, category FROM article_categories WHERE article_id IN (${placeholders}) ORDER BY category`, ids
+        );
+        const tagRows = await this.query(
+            `SELECT article_id, tag FROM article_tags WHERE article_id IN (${placeholders}) ORDER BY tag`, ids
+        );
+        const mediaRows = await this.query(
+            `SELECT * FROM article_media WHERE article_id IN (${placeholders}) ORDER BY article_id, position`, ids
+        );
+
+        const byId = new Map(articles.map(article => [article.id, article]));
+        for (const row of categoryRows) {
+            const { categories } = byId.get(row.article_id);
+            if (!categories.includes(row.category)) categories.push(row.category);
+        }
+        for (const row of tagRows) {
+            byId.get(row.article_id).tags.push(row.tag);
+        }
+        for (const row of mediaRows) {
+            byId.get(row.article_id).media.push({
+                url: row.url,
+                medium: row.medium,
+                type: row.mime_type,
+                width: row.width,
+                height: row.height,
+                title: row.title
+            });
+        }
+        return articles;
+    }
+
+    /**
+     * Convert database row to NewsArticle (categories, tags and media are loaded by rowsToArticles)
      */
     rowToArticle(row) {
         return new NewsArticle({
+            id: row.id,
+            guid: row.guid,
             title: row.title,
             content: row.content,
+            summary: row.summary,
             image: row.image_url,
             url: row.article_url,
-            publishedDate: row.published_date,
+            canonicalUrl: row.canonical_url,
+            publishedDate: toISODate(row.published_date),
+            updatedDate: toISODate(row.updated_date),
             duration: row.duration,
             source: row.source,
-            category: row.category
+            category: row.category,
+            storyId: row.story_id,
+            author: row.author,
+            language: row.language,
+            body: row.body,
+            pageCanonicalUrl: row.page_canonical_url,
+            leadImage: row.lead_image,
+            ogMetadata: row.og_metadata ? JSON.parse(row.og_metadata) : null,
+            enrichedAt: toISODate(row.enriched_at)
         });
     }
 
@@ -0,0 +1,363 @@
+import { readFile, writeFile, mkdir, rm } from 'fs/promises';
+import path from 'path';
+import { MigrationRunner } from './MigrationRunner.js';
+import { toSqlDateTime } from '../utils/dates.js';
+
+/**
+ * Tables copied by db:sync, parents before the tables that reference them.
+ * Rows are matched across databases by their natural key, and columns that
+ * reference another table's id are translated through that table's key.
+ * Register new tables here
+ */
+export const SYNC_TABLES = [
+    { table: 'categories', id: 'id', key: ['name'] },
+    { table: 'sources', id: 'id', key: ['name'] },
+    { table: 'source_health', key: ['source_name'] },
+    { table: 'category_rules', id: 'id', key: ['category', 'match_type', 'pattern', 'source'] },
+    { table: 'saved_searches', id: 'id', key: ['name'] },
+    { table: 'stories', id: 'id', key: ['title', 'first_seen'] },
+    { table: 'articles', id: 'id', key: ['canonical_url'], references: { story_id: 'stories' } },
+    { table: 'article_categories', key: ['article_id', 'category'], references: { article_id: 'articles' } },
+    { table: 'article_tags', key: ['article_id', 'tag'], references: { article_id: 'articles' } },
+    { table: 'article_media', id: 'id', key: ['article_id', 'position'], references: { article_id: 'articles' } },
+    { table: 'article_entities', key: ['article_id', 'entity_type', 'name'], references: { article_id: 'articles' } },
+    { table: 'article_revisions', id: 'id', key: ['article_id', 'revised_at'], references: { article_id: 'articles' } },
+    {
+        table: 'alert_deliveries',
+        key: ['saved_search_id', 'article_id'],
+        references: { saved_search_id: 'saved_searches', article_id: 'articles' }
+    }
+];
+
+// Kept by each database itself (migrations, merged articles kept for rollback,
+// the SQLite search index and counters)
+const INTERNAL_TABLE = /^(schema_migrations|merged_articles|sqlite_.*|articles_fts(_.*)?)$/;
+
+// Target rows are looked up this many source rows at a time
+const LOOKUP_CHUNK = 100;
+
+/**
+ * Database Sync - Copies rows from one database to another, for example from
+ * the local SQLite file to the hosted MySQL copy. Rows missing from the target
+ * are inserted and rows that differ are updated to match the source; nothing
+ * is deleted, so syncing both ways merges the two. Runs in batches, records a
+ * checkpoint after each one so an interrupted sync resumes where it stopped,
+ * and running it again changes nothing. A dry run reports what would change.
+ */
+export class DatabaseSync {
+    constructor(source, target, options = {}) {
+        this.source = source;
+        this.target = target;
+        this.dryRun = Boolean(options.dryRun);
+        this.batchSize = options.batchSize || 500;
+        this.sampleSize = options.sampleSize ?? 5;
+        this.checkpointFile = options.checkpointFile || null;
+        this.onProgress = options.onProgress || (() => {});
+        this.tables = options.tables
+            ? SYNC_TABLES.filter(spec => options.tables.includes(spec.table))
+            : SYNC_TABLES;
+        this.idMaps = new Map();
+    }
+
+    /**
+     * Sync every table, returns { tables: [per-table stats], unregistered, resumedFrom }
+     */
+    async run() {
+        await this.prepareTarget();
+
+        const sourceTables = await this.source.getTableNames();
+        const registered = new Set(SYNC_TABLES.map(spec => spec.table));
+        const unregistered = sourceTables.filter(table => !registered.has(table) && !INTERNAL_TABLE.test(table));
+
+        const checkpoint = this.dryRun ? null : await this.loadCheckpoint();
+        const resumeIndex = checkpoint ? this.tables.findIndex(spec => spec.table === checkpoint.table) : -1;
+        const report = { tables: [], unregistered, resumedFrom: resumeIndex >= 0 ? checkpoint.table : null };
+
+        for (const [index, spec] of this.tables.entries()) {
+            if (index < resumeIndex) {
+                continue;
+            }
+            if (!sourceTables.includes(spec.table)) {
+                continue;
+            }
+            report.tables.push(await this.syncTable(spec, index === resumeIndex ? checkpoint.cursor : null));
+        }
+
+        await this.clearCheckpoint();
+        return report;
+    }
+
+    /**
+     * Bring the target schema up to date (a dry run only reports that it is behind)
+     */
+    async prepareTarget() {
+        const runner = new MigrationRunner(this.target);
+        const pending = (await runner.getStatus()).filter(migration => !migration.applied);
+        if (pending.length === 0) {
+            return;
+        }
+
+        if (this.dryRun) {
+            console.log(`⚠️  The target schema is ${pending.length} migration(s) behind; they would be applied first`);
+        } else {
+            await runner.migrate();
+        }
+    }
+
+    /**
+     * Copy one table, starting after the cursor (the last synced row's ordering values)
+     */
+    async syncTable(spec, cursor = null) {
+        const stats = { table: spec.table, inserted: 0, updated: 0, unchanged: 0, skipped: 0, failed: 0, samples: [] };
+        const targetHasTable = (await this.target.getTableNames()).includes(spec.table);
+        const columns = await this.sharedColumns(spec, targetHasTable);
+        const order = spec.id ? [spec.id] : spec.key;
+
+        const idMaps = {};
+        for (const [column, table] of Object.entries(spec.references || {})) {
+            idMaps[column] = await this.getIdMap(table);
+        }
+
+        while (true) {
+            const where = cursor ? `WHERE (${order.map(quote).join(', ')}) > (${order.map(() => '?').join(', ')})` : '';
+            const rows = await this.source.query(
+                `SELECT * FROM ${quote(spec.table)} ${where} ORDER BY ${order.map(quote).join(', ')} LIMIT ?`,
+                [...(cursor || []), this.batchSize]
+            );
+            if (rows.length === 0) {
+                break;
+            }
+
+            await this.syncRows(spec, columns, rows.map(row => this.translate(spec, columns, row, idMaps, stats)).filter(Boolean), targetHasTable, stats);
+
+            cursor = order.map(column => toDbValue(rows[rows.length - 1][column]));
+            await this.saveCheckpoint(spec.table, cursor);
+            this.onProgress(stats);
+        }
+
+        return stats;
+    }
+
+    /**
+     * Columns both databases have (all of the source's when the target lacks the table), without the surrogate id
+     */
+    async sharedColumns(spec, targetHasTable) {
+        const sourceColumns = await this.source.getTableColumns(spec.table);
+        const targetColumns = targetHasTable ? new Set(await this.target.getTableColumns(spec.table)) : null;
+        const columns = sourceColumns.filter(column => column !== spec.id && (!targetColumns || targetColumns.has(column)));
+
+        const missing = spec.key.filter(column => !columns.includes(column));
+        if (missing.length > 0) {
+            throw new Error(`Table ${spec.table} is missing its key column(s) ${missing.join(', ')} in one of the databases`);
+        }
+        return columns;
+    }
+
+    /**
+     * A source row's values with references translated to target ids, or null
+     * when it references a row the target doesn't have
+     */
+    translate(spec, columns, row, idMaps, stats) {
+        const values = {};
+        for (const column of columns) {
+            values[column] = toDbValue(row[column]);
+        }
+
+        for (const [column, idMap] of Object.entries(idMaps)) {
+            if (values[column] === null) {
+                continue;
+            }
+            const targetId = idMap.get(String(values[column]));
+            if (targetId !== undefined) {
+                values[column] = targetId;
+            } else if (this.dryRun) {
+                // The referenced row would be inserted earlier in the same sync
+                values[column] = `new:${values[column]}`;
+            } else if (spec.key.includes(column)) {
+                stats.skipped++;
+                return null;
+            } else {
+                values[column] = null;
+            }
+        }
+        return values;
+    }
+
+    /**
+     * Insert or update a batch of translated rows in the target
+     */
+    async syncRows(spec, columns, rows, targetHasTable, stats) {
+        const existing = targetHasTable ? await this.findTargetRows(spec, rows) : new Map();
+
+        for (const values of rows) {
+            const key = rowKey(spec.key, values);
+            const current = existing.get(key);
+            const changed = current ? columns.filter(column => !sameValue(values[column], current[column])) : columns;
+
+            if (current && changed.length === 0) {
+                stats.unchanged++;
+                continue;
+            }
+            if (stats.samples.length < this.sampleSize) {
+                stats.samples.push({ action: current ? 'update' : 'insert', key: describeKey(spec.key, values), columns: current ? changed : [] });
+            }
+            if (this.dryRun) {
+                stats[current ? 'updated' : 'inserted']++;
+                continue;
+            }
+
+            try {
+                if (current) {
+                    await this.target.execute(
+                        `UPDATE ${quote(spec.table)} SET ${changed.map(column => `${quote(column)} = ?`).join(', ')} WHERE ${this.keyCondition(spec.key)}`,
+                        [...changed.map(column => values[column]), ...spec.key.map(column => values[column])]
+                    );
+                    stats.updated++;
+                } else {
+                    await this.target.execute(
+                        `INSERT INTO ${quote(spec.table)} (${columns.map(quote).join(', ')}) VALUES (${columns.map(() => '?').join(', ')})`,
+                        columns.map(column => values[column])
+                    );
+                    stats.inserted++;
+                }
+            } catch (error) {
+                console.warn(`⚠️  Could not sync ${spec.table} ${describeKey(spec.key, values)}: ${error.message}`);
+                stats.failed++;
+            }
+        }
+    }
+
+    /**
+     * Target rows with the same keys as the given rows, by row key
+     */
+    async findTargetRows(spec, rows) {
+        const found = new Map();
+        for (const chunk of this.target.chunk(rows, LOOKUP_CHUNK)) {
+            const conditions = chunk.map(() => `(${this.keyCondition(spec.key)})`).join(' OR ');
+            const params = chunk.flatMap(values => spec.key.map(column => values[column]));
+            const matches = await this.target.query(`SELECT * FROM ${quote(spec.table)} WHERE ${conditions}`, params);
+            for (const row of matches) {
+                found.set(rowKey(spec.key, row), row);
+            }
+        }
+        return found;
+    }
+
+    /**
+     * WHERE clause matching a key, NULL-safe
+     */
+    keyCondition(key) {
+        const equals = this.target.dialect === 'mysql' ? '<=>' : 'IS';
+        return key.map(column => `${quote(column)} ${equals} ?`).join(' AND ');
+    }
+
+    /**
+     * Map a table's source ids to target ids through its key (built once the table is synced)
+     */
+    async getIdMap(table) {
+        if (this.idMaps.has(table)) {
+            return this.idMaps.get(table);
+        }
+
+        const spec = SYNC_TABLES.find(candidate => candidate.table === table);
+        const select = `SELECT ${[spec.id, ...spec.key].map(quote).join(', ')} FROM ${quote(table)}`;
+        const targetIds = new Map();
+        if ((await this.target.getTableNames()).includes(table)) {
+            for (const row of await this.target.query(select)) {
+                targetIds.set(rowKey(spec.key, row), toDbValue(row[spec.id]));
+            }
+        }
+
+        const idMap = new Map();
+        for (const row of await this.source.query(select)) {
+            const targetId = targetIds.get(rowKey(spec.key, row));
+            if (targetId !== undefined) {
+                idMap.set(String(toDbValue(row[spec.id])), targetId);
+            }
+        }
+
+        this.idMaps.set(table, idMap);
+        return idMap;
+    }
+
+    /**
+     * The saved checkpoint of an interrupted sync, or null
+     */
+    async loadCheckpoint() {
+        if (!this.checkpointFile) {
+            return null;
+        }
+        try {
+            return JSON.parse(await readFile(this.checkpointFile, 'utf8'));
+        } catch {
+            return null;
+        }
+    }
+
+    async saveCheckpoint(table, cursor) {
+        if (this.dryRun || !this.checkpointFile) {
+            return;
+        }
+        await mkdir(path.dirname(path.resolve(this.checkpointFile)), { recursive: true });
+        await writeFile(this.checkpointFile, JSON.stringify({ table, cursor, savedAt: new Date().toISOString() }));
+    }
+
+    async clearCheckpoint() {
+        if (!this.dryRun && this.checkpointFile) {
+            await rm(this.checkpointFile, { force: true });
+        }
+    }
+}
+
+/**
+ * Quote an identifier (backticks work in both MySQL and SQLite)
+ */
+function quote(name) {
+    return `\`${name}\``;
+}
+
+/**
+ * Normalize a value read from either database for writing and comparing:
+ * dates become SQL datetimes, booleans 1/0 and buffers text
+ */
+function toDbValue(value) {
+    if (value === null || value === undefined) return null;
+    if (value instanceof Date) return toSqlDateTime(value);
+    if (typeof value === 'boolean') return value ? 1 : 0;
+    if (Buffer.isBuffer(value)) return value.toString('utf8');
+    if (typeof value === 'bigint') return Number(value);
+    return value;
+}
+
+/**
+ * Whether two column values are equal across databases (numbers may come back as strings)
+ */
+function sameValue(a, b) {
+    const left = toDbValue(a);
+    const right = toDbValue(b);
+    if (left === null || right === null) {
+        return left === right;
+    }
+    if (String(left) === String(right)) {
+        return true;
+    }
+    if (typeof left !== 'number' && typeof right !== 'number') {
+        return false;
+    }
+    const difference = Math.abs(Number(left) - Number(right));
+    return String(left).trim() !== '' && String(right).trim() !== '' && difference < 1e-9;
+}
+
+/**
+ * Identity of a row by its key columns
+ */
+function rowKey(key, row) {
+    return JSON.stringify(key.map(column => {
+        const value = toDbValue(row[column]);
+        return value === null ? null : String(value);
+    }));
+}
+
+function describeKey(key, values) {
+    return key.map(column => `${column}=${values[column] ?? 'NULL'}`).join(' ');
+}
@@ -0,0 +1,185 @@
+import { OUTPUT_FORMATS, getFeedWriter } from '../publish/index.js';
+import { matchesSavedSearch } from './AlertService.js';
+import { parseDate } from '../utils/dates.js';
+
+export const FEED_KINDS = ['all', 'category', 'source', 'search'];
+
+// Saved search feeds filter this many candidate articles
+const SEARCH_CANDIDATES = 500;
+
+/**
+ * Feed Publisher - Republishes stored articles as RSS, Atom and JSON feeds:
+ * one combined feed, one per category, one per source and one per saved search
+ */
+export class FeedPublisher {
+    constructor(db, options = {}) {
+        this.db = db;
+        this.title = options.title || 'News Fetcher';
+        this.limit = options.limit || 50;
+    }
+
+    /**
+     * Every feed that can be subscribed to, with its URL in each format
+     */
+    async listFeeds(baseUrl) {
+        const categories = await this.db.getCategories();
+        const sources = await this.db.getSources();
+        const searches = await this.db.getSavedSearches();
+
+        const feeds = [
+            { kind: 'all', name: null },
+            ...categories.map(category => ({ kind: 'category', name: category.name })),
+            ...sources.map(source => ({ kind: 'source', name: source.name })),
+            ...searches.map(search => ({ kind: 'search', name: search.name }))
+        ];
+
+        return feeds.map(feed => ({
+            ...feed,
+            title: this.feedTitle(feed.kind, feed.name),
+            links: Object.fromEntries(OUTPUT_FORMATS.map(format => [format, `${baseUrl}${feedPath(feed.kind, feed.name, format)}`]))
+        }));
+    }
+
+    /**
+     * Render a feed as { contentType, content }, or null when the category,
+     * source or saved search doesn't exist
+     */
+    async render(kind, name, format, { baseUrl, limit = this.limit } = {}) {
+        const writer = getFeedWriter(format);
+        if (!writer) {
+            throw new Error(`Unknown feed format "${format}" (expected one of: ${OUTPUT_FORMATS.join(', ')})`);
+        }
+
+        const selection = await this.selectArticles(kind, name, limit);
+        if (!selection) {
+            return null;
+        }
+
+        const feed = {
+            id: `${baseUrl}${feedPath(kind, name)}`,
+            title: this.feedTitle(kind, name),
+            description: selection.description,
+            homeUrl: `${baseUrl}${selection.homePath}`,
+            selfUrl: `${baseUrl}${feedPath(kind, name, format)}`,
+            updated: latestDate(selection.articles),
+            articles: selection.articles,
+            sourceFeeds: await this.getSourceFeeds()
+        };
+        return { contentType: writer.contentType, content: writer.render(feed) };
+    }
+
+    /**
+     * The newest articles for a feed with its description and API listing path
+     */
+    async selectArticles(kind, name, limit) {
+        switch (kind) {
+            case 'all':
+                return {
+                    description: 'Latest articles from every source',
+                    homePath: '/articles',
+                    articles: await this.db.getAllArticles(limit, 0)
+                };
+
+            case 'category': {
+                const categories = await this.db.getCategories();
+                if (!categories.some(category => category.name === name)) {
+                    return null;
+                }
+                return {
+                    description: `Latest ${name} articles from every source`,
+                    homePath: `/articles?category=${encodeURIComponent(name)}`,
+                    articles: await this.db.getArticlesByCategory(name, limit, 0)
+                };
+            }
+
+            case 'source':
+                if (!(await this.db.getSource(name))) {
+                    return null;
+                }
+                return {
+                    description: `Latest articles from ${name}`,
+                    homePath: `/articles?source=${encodeURIComponent(name)}`,
+                    articles: await this.db.getArticlesBySource(name, limit, 0)
+                };
+
+            case 'search': {
+                const search = await this.db.getSavedSearch(name);
+                if (!search) {
+                    return null;
+                }
+                return {
+                    description: `Latest articles matching the saved search "${name}"`,
+                    homePath: search.query ? `/search?q=${encodeURIComponent(search.query)}` : '/articles',
+                    articles: await this.getSavedSearchArticles(search, limit)
+                };
+            }
+
+            default:
+                throw new Error(`Unknown feed kind "${kind}" (expected one of: ${FEED_KINDS.join(', ')})`);
+        }
+    }
+
+    /**
+     * Newest articles matching a saved search. Candidates come from the
+     * narrowest date-ordered listing (source, then category), or from
+     * full-text search when the search only has a query
+     */
+    async getSavedSearchArticles(search, limit) {
+        let candidates;
+        if (search.source) {
+            candidates = await this.db.getArticlesBySource(search.source, SEARCH_CANDIDATES, 0);
+        } else if (search.category) {
+            candidates = await this.db.getArticlesByCategory(search.category, SEARCH_CANDIDATES, 0);
+        } else if (search.query) {
+            candidates = await this.db.searchArticles(search.query, SEARCH_CANDIDATES, 0, search.language);
+        } else {
+            candidates = await this.db.getAllArticles(SEARCH_CANDIDATES, 0, search.language);
+        }
+
+        return candidates
+            .filter(article => matchesSavedSearch(search, article))
+            .sort((a, b) => (parseDate(b.publishedDate)?.getTime() || 0) - (parseDate(a.publishedDate)?.getTime() || 0))
+            .slice(0, limit);
+    }
+
+    /**
+     * Each registered source's own feed URL by source name, for crediting the outlet
+     */
+    async getSourceFeeds() {
+        const sources = await this.db.getSources();
+        return new Map(sources.map(source => [source.name, source.url]));
+    }
+
+    /**
+     * Human readable feed title
+     */
+    feedTitle(kind, name) {
+        const suffix = {
+            all: 'All articles',
+            category: `Category: ${name}`,
+            source: name,
+            search: `Saved search: ${name}`
+        }[kind];
+        return `${this.title} - ${suffix}`;
+    }
+}
+
+/**
+ * URL path of a feed, e.g. /feeds/all.rss or /feeds/category/sports.atom
+ * (without a format, the feed's id)
+ */
+export function feedPath(kind, name, format = null) {
+    const base = kind === 'all' ? '/feeds/all' : `/feeds/${kind}/${encodeURIComponent(name)}`;
+    return format ? `${base}.${getFeedWriter(format).extension}` : base;
+}
+
+/**
+ * The newest published or updated date of the articles, or now for an empty feed
+ */
+function latestDate(articles) {
+    const times = articles
+        .flatMap(article => [article.updatedDate, article.publishedDate])
+        .map(value => parseDate(value)?.getTime())
+        .filter(Boolean);
+    return new Date(times.length > 0 ? Math.max(...times) : Date.now()).toISOString();
+}
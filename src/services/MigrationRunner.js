@@ -0,0 +1,152 @@
+import { migrations as allMigrations } from '../migrations/index.js';
+
+/**
+ * Migration Runner - Applies and rolls back versioned schema migrations
+ * Works with any database service exposing dialect, query() and execute()
+ */
+export class MigrationRunner {
+    constructor(db, migrations = allMigrations) {
+        this.db = db;
+        this.migrations = [...migrations].sort((a, b) => a.version - b.version);
+    }
+
+    /**
+     * Create the schema_migrations table if needed
+     */
+    async ensureMigrationsTable() {
+        if (this.db.dialect === 'mysql') {
+            await this.db.execute(`
+                CREATE TABLE IF NOT EXISTS schema_migrations (
+                    version INT PRIMARY KEY,
+                    name VARCHAR(200) NOT NULL,
+                    applied_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+                ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4
+            `);
+        } else {
+            await this.db.execute(`
+                CREATE TABLE IF NOT EXISTS schema_migrations (
+                    version INTEGER PRIMARY KEY,
+                    name TEXT NOT NULL,
+                    applied_at DATETIME DEFAULT CURRENT_TIMESTAMP
+                )
+            `);
+        }
+    }
+
+    /**
+     * Get applied migrations, keyed by version
+     */
+    async getApplied() {
+        await this.ensureMigrationsTable();
+        const rows = await this.db.query('SELECT version, name, applied_at FROM schema_migrations ORDER BY version');
+        return new Map(rows.map(row => [Number(row.version), row]));
+    }
+
+    /**
+     * Get every known migration with its applied state
+     */
+    async getStatus() {
+        const applied = await this.getApplied();
+        return this.migrations.map(migration => ({
+            version: migration.version,
+            name: migration.name,
+            applied: applied.has(migration.version),
+            appliedAt: applied.get(migration.version)?.applied_at || null
+        }));
+    }
+
+    /**
+     * Get the highest applied version (0 when none)
+     */
+    async getCurrentVersion() {
+        const applied = await this.getApplied();
+        return applied.size > 0 ? Math.max(...applied.keys()) : 0;
+    }
+
+    /**
+     * Apply pending migrations up to targetVersion (default: latest)
+     */
+    async migrate(targetVersion = Infinity) {
+        const applied = await this.getApplied();
+        const pending = this.migrations.filter(migration =>
+            !applied.has(migration.version) && migration.version <= targetVersion
+        );
+
+        for (const migration of pending) {
+            console.log(`⬆️  Applying migration ${this.label(migration)}...`);
+            await this.inTransaction(async () => {
+                await migration.up(this.db);
+                await this.db.execute('INSERT INTO schema_migrations (version, name) VALUES (?, ?)',
+                    [migration.version, migration.name]);
+            });
+        }
+
+        if (pending.length > 0) {
+            console.log(`✅ Applied ${pending.length} migration(s)`);
+        }
+        return pending;
+    }
+
+    /**
+     * Roll back the most recent applied migrations
+     */
+    async rollback(steps = 1) {
+        const applied = await this.getApplied();
+        const toRollBack = this.migrations
+            .filter(migration => applied.has(migration.version))
+            .reverse()
+            .slice(0, steps);
+
+        const latestKnown = this.migrations.at(-1)?.version || 0;
+        const newestApplied = Math.max(0, ...applied.keys());
+        if (newestApplied > latestKnown) {
+            throw new Error(`Database is at migration ${newestApplied}, newer than this code knows (${latestKnown})`);
+        }
+
+        // Refuse before rolling anything back, rather than stopping halfway
+        const irreversible = toRollBack.find(migration => migration.irreversible);
+        if (irreversible) {
+            const stepsAllowed = toRollBack.indexOf(irreversible);
+            throw new Error(`Migration ${this.label(irreversible)} can not be rolled back (at most ${stepsAllowed} step(s) can be)`);
+        }
+
+        for (const migration of toRollBack) {
+            console.log(`⬇️  Rolling back migration ${this.label(migration)}...`);
+            await this.inTransaction(async () => {
+                await migration.down(this.db);
+                await this.db.execute('DELETE FROM schema_migrations WHERE version = ?', [migration.version]);
+            });
+        }
+
+        if (toRollBack.length > 0) {
+            console.log(`✅ Rolled back ${toRollBack.length} migration(s)`);
+        }
+        return toRollBack;
+    }
+
+    /**
+     * Run a migration step in a transaction (SQLite only - MySQL DDL auto-commits)
+     */
+    async inTransaction(work) {
+        if (this.db.dialect === 'mysql') {
+            await work();
+            return;
+        }
+
+        await this.db.execute('BEGIN TRANSACTION');
+        try {
+            await work();
+            await this.db.execute('COMMIT');
+        } catch (error) {
+            await this.db.execute('ROLLBACK');
+            throw error;
+        }
+    }
+
+    /**
+     * Format a migration as 003_name
+     */
+    label(migration) {
+        return `${String(migration.version).padStart(3, '0')}_${migration.name}`;
+    }
+}
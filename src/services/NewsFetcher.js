@@ -1,110 +1,239 @@
-import Parser from 'rss-parser';
-import { NewsArticle } from '../models/NewsArticle.js';
+import { createHash } from 'crypto';
 import { continuousConfig } from '../../config/continuous.config.js';
+import { logger } from '../utils/Logger.js';
+import { ConcurrencyLimiter } from '../utils/ConcurrencyLimiter.js';
+import { SourceHealthTracker } from './SourceHealthTracker.js';
+import { getFeedAdapter } from '../feeds/index.js';
+import { detectLanguage } from '../utils/language.js';
+import { Categorizer } from './Categorizer.js';
 
 /**
- * Multi-Platform RSS News Fetcher
- * Fetches news from multiple major news platforms
+ * Multi-Platform News Fetcher
+ * Fetches news from multiple major news platforms - RSS, Atom, JSON Feed and
+ * news sitemaps, each read by the feed adapter for the source's type
  */
 export class NewsFetcher {
-    constructor() {
-        this.parser = new Parser({
-            customFields: {
-                item: ['media:content', 'media:thumbnail', 'enclosure', 'itunes:duration', 'itunes:image']
-            }
-        });
-        
-        // Major news platforms RSS feeds
-        this.newsSources = [
-            // Al Jazeera
-            { name: 'Al Jazeera', url: 'https://www.aljazeera.com/xml/rss/all.xml', category: 'international' },
-            
-            // BBC News
-            { name: 'BBC News', url: 'http://feeds.bbci.co.uk/news/rss.xml', category: 'international' },
-            { name: 'BBC World', url: 'http://feeds.bbci.co.uk/news/world/rss.xml', category: 'world' },
-            { name: 'BBC Business', url: 'http://feeds.bbci.co.uk/news/business/rss.xml', category: 'business' },
-            { name: 'BBC Technology', url: 'http://feeds.bbci.co.uk/news/technology/rss.xml', category: 'technology' },
-            
-            // Dawn News (Pakistan)
-            { name: 'Dawn News', url: 'https://www.dawn.com/feeds/', category: 'pakistan' },
-            
-            // Geo News (Pakistan)
-            { name: 'Geo News', url: 'https://www.geo.tv/rss/1/1', category: 'pakistan' },
-            { name: 'Geo Pakistan', url: 'https://www.geo.tv/rss/1/2', category: 'pakistan' },
-            { name: 'Geo World', url: 'https://www.geo.tv/rss/1/3', category: 'world' },
-            { name: 'Geo Business', url: 'https://www.geo.tv/rss/1/4', category: 'business' },
-            { name: 'Geo Sports', url: 'https://www.geo.tv/rss/1/5', category: 'sports' },
-            { name: 'Geo Technology', url: 'https://www.geo.tv/rss/1/6', category: 'technology' },
-            
-            // CNN
-            { name: 'CNN Top Stories', url: 'http://rss.cnn.com/rss/edition.rss', category: 'international' },
-            
-            // The Guardian
-            { name: 'The Guardian', url: 'https://www.theguardian.com/world/rss', category: 'international' },
-            
-            // Additional reliable sources for 24/7 operation
-            { name: 'NPR News', url: 'https://feeds.npr.org/1001/rss.xml', category: 'international' },
-            { name: 'PBS News', url: 'https://www.pbs.org/newshour/feeds/rss/headlines', category: 'international' }
-        ];
+    /**
+     * Options: useFeedCache (conditional GET and body hash, default true) and
+     * useCircuitBreaker (skip sources with an open circuit, default true).
+     * One-off runs turn both off to fetch every source in full
+     */
+    constructor(db, options = {}) {
+        this.db = db;
+        this.useFeedCache = options.useFeedCache ?? true;
+        this.useCircuitBreaker = options.useCircuitBreaker ?? true;
+
+        // News feeds, loaded from the sources table
+        this.newsSources = [];
+
+        // Category rules, reloaded with the sources
+        this.categorizer = new Categorizer(db);
+
+        // Per-source latency and outcome of the last fetch cycle
+        this.lastFetchStats = null;
+
+        // Per-source health and circuit breaker
+        this.health = new SourceHealthTracker(db, continuousConfig.circuitBreaker);
+
+        // Feed cache: validators waiting to be saved, and hit counts per source
+        this.pendingValidators = new Map();
+        this.cacheStats = new Map();
+
+        // Names of the sources enabledSources/enabledCategories left out at the last load
+        this.lastSkippedSources = '';
+    }
+
+    /**
+     * Load enabled news sources from the database, narrowed by enabledSources/enabledCategories,
+     * along with the category rules
+     */
+    async loadSources() {
+        const sources = await this.db.getSources({ enabledOnly: true });
+        await this.categorizer.loadRules();
+        const { enabledSources, enabledCategories } = continuousConfig;
+
+        // An empty list means no restriction
+        const unknownSources = enabledSources.filter(name => !sources.some(source => source.name === name));
+        if (unknownSources.length > 0) {
+            logger.warn(`⚠️  enabledSources lists sources that are not registered or are disabled: ${unknownSources.join(', ')}`);
+        }
+
+        this.newsSources = sources.filter(source =>
+            (enabledSources.length === 0 || enabledSources.includes(source.name)) &&
+            (enabledCategories.length === 0 || enabledCategories.includes(source.category))
+        );
+
+        // Warned when the skipped set changes, not on every reload
+        const skipped = sources.filter(source => !this.newsSources.includes(source)).map(source => source.name);
+        const skippedKey = skipped.join('\n');
+        if (skipped.length > 0 && skippedKey !== this.lastSkippedSources) {
+            logger.warn(`⚠️  Not fetching ${skipped.length} enabled sources outside enabledSources/enabledCategories: ${skipped.join(', ')}`);
+        }
+        this.lastSkippedSources = skippedKey;
+        return this.newsSources;
     }
 
     /**
-     * Fetch news from all sources with retry logic for 24/7 operation
+     * Fetch news from all sources in parallel, capped globally and per host,
+     * with retry logic and a deadline for the whole cycle
      */
     async fetchAllNews() {
-        console.log('🌐 Fetching news from multiple platforms...');
-        const allArticles = [];
-        const failedSources = [];
+        logger.info('🌐 Fetching news from multiple platforms...');
+        if (this.newsSources.length === 0) {
+            logger.warn('⚠️  No enabled news sources. Add one with: node src/database-cli.js source add <name> <url> <category>');
+        }
 
-        for (const source of this.newsSources) {
-            try {
-                console.log(`📡 Fetching from ${source.name}...`);
-                const articles = await this.fetchSourceWithRetry(source);
-                
-                // Apply time-based filtering if enabled
-                const filteredArticles = this.filterByTime(articles);
-                allArticles.push(...filteredArticles);
-                
-                const filteredOut = articles.length - filteredArticles.length;
-                if (filteredOut > 0) {
-                    console.log(`✅ Fetched ${filteredArticles.length} recent articles from ${source.name} (${filteredOut} old articles filtered out)`);
-                } else {
-                    console.log(`✅ Fetched ${filteredArticles.length} articles from ${source.name}`);
-                }
-            } catch (error) {
-                console.warn(`⚠️  Failed to fetch from ${source.name}:`, error.message);
-                failedSources.push(source.name);
+        this.pendingValidators.clear();
+        const { concurrency, perHostConcurrency, cycleDeadlineSeconds } = continuousConfig.fetching;
+        const limiter = new ConcurrencyLimiter(concurrency, perHostConcurrency);
+        const startTime = Date.now();
+        const deadline = startTime + cycleDeadlineSeconds * 1000;
+
+        await this.health.load();
+
+        // Results are merged in source order, so completion order doesn't change the outcome
+        const results = await Promise.all(this.newsSources.map(source => {
+            if (this.useCircuitBreaker && !this.health.canFetch(source.name)) {
+                return { ...this.createFetchResult(source), status: 'circuit-open' };
             }
+            return limiter.run(this.getHost(source), () => this.fetchSourceTimed(source, deadline));
+        }));
+
+        const failed = results.filter(result => result.error);
+        if (failed.length > 0 && !continuousConfig.errorHandling.continueOnSourceError) {
+            throw failed[0].error;
         }
 
+        const allArticles = results.flatMap(result => result.articles);
+        this.lastFetchStats = {
+            durationMs: Date.now() - startTime,
+            sources: results.map(({ articles, error, ...stat }) => ({ ...stat, articles: articles.length }))
+        };
+
         // Remove duplicates and sort by date
         const uniqueArticles = this.removeDuplicates(allArticles);
         const sortedArticles = this.sortByDate(uniqueArticles);
         
-        console.log(`📊 Total unique recent articles: ${sortedArticles.length}`);
-        if (failedSources.length > 0) {
-            console.log(`⚠️  Failed sources: ${failedSources.join(', ')}`);
+        logger.info(`📊 Total unique recent articles: ${sortedArticles.length}`);
+        logger.info(`⏱️  Fetched ${results.length} sources in ${(this.lastFetchStats.durationMs / 1000).toFixed(1)}s` +
+            this.describeSlowest(results));
+        if (failed.length > 0) {
+            logger.info(`⚠️  Failed sources: ${failed.map(result => result.name).join(', ')}`);
+        }
+        const skipped = results.filter(result => result.status === 'circuit-open');
+        if (skipped.length > 0) {
+            logger.info(`🔌 Circuit open, skipped: ${skipped.map(result => result.name).join(', ')}`);
         }
         return sortedArticles;
     }
 
     /**
-     * Fetch from source with retry logic
+     * Fetch and time-filter one source, returns { name, host, status, cacheStatus, durationMs, articles, error }
      */
-    async fetchSourceWithRetry(source, maxRetries = 3) {
+    async fetchSourceTimed(source, deadline) {
+        const showProgress = continuousConfig.logging.showScrapeProgress;
+        const startTime = Date.now();
+        const result = this.createFetchResult(source);
+
+        if (startTime >= deadline) {
+            result.status = 'skipped';
+            result.error = new Error(`Skipped ${source.name}: cycle deadline reached`);
+            logger.warn(`⏭️  Skipping ${source.name}: cycle deadline reached`);
+            return result;
+        }
+
+        // A half-open probe gets one attempt, so a dead feed isn't retried
+        const probe = this.health.isProbe(source.name);
+        const maxRetries = probe ? 1 : continuousConfig.fetching.maxRetries;
+
+        try {
+            if (showProgress) logger.info(`📡 ${probe ? 'Probing' : 'Fetching from'} ${source.name}...`);
+            const { articles, cacheStatus } = await this.fetchSourceWithRetry(source, deadline, maxRetries);
+            result.durationMs = Date.now() - startTime;
+            result.cacheStatus = cacheStatus;
+            await this.health.recordSuccess(source.name, {
+                latencyMs: result.durationMs,
+                items: articles.length,
+                parsed: cacheStatus === 'miss'
+            });
+
+            // Apply time-based filtering if enabled
+            result.articles = this.filterByTime(articles);
+
+            const filteredOut = articles.length - result.articles.length;
+            if (showProgress && cacheStatus !== 'miss') {
+                logger.info(`💾 ${source.name} ${cacheStatus === 'not-modified' ? 'not modified (304)' : 'unchanged'} in ${result.durationMs}ms`);
+            } else if (showProgress && filteredOut > 0) {
+                logger.info(`✅ Fetched ${result.articles.length} recent articles from ${source.name} in ${result.durationMs}ms (${filteredOut} old articles filtered out)`);
+            } else if (showProgress) {
+                logger.info(`✅ Fetched ${result.articles.length} articles from ${source.name} in ${result.durationMs}ms`);
+            }
+        } catch (error) {
+            result.durationMs = Date.now() - startTime;
+            result.status = error.timedOut ? 'timeout' : 'failed';
+            result.error = error;
+            logger.warn(`⚠️  Failed to fetch from ${source.name} after ${result.durationMs}ms:`, error.message);
+            await this.health.recordFailure(source.name, error);
+        }
+
+        return result;
+    }
+
+    /**
+     * Empty fetch result for a source
+     */
+    createFetchResult(source) {
+        return {
+            name: source.name,
+            host: this.getHost(source),
+            status: 'ok',
+            cacheStatus: null,
+            durationMs: 0,
+            articles: [],
+            error: null
+        };
+    }
+
+    /**
+     * Fetch from source with retry logic, never running past the cycle deadline
+     */
+    async fetchSourceWithRetry(source, deadline = Infinity, maxRetries = continuousConfig.fetching.maxRetries) {
+        const requestTimeout = continuousConfig.fetching.requestTimeoutSeconds * 1000;
+
         for (let attempt = 1; attempt <= maxRetries; attempt++) {
+            const timeout = Math.min(requestTimeout, deadline - Date.now());
             try {
-                return await this.fetchSource(source);
+                return await this.fetchSource(source, timeout);
             } catch (error) {
-                if (attempt === maxRetries) {
+                const retryDelay = 1000 * attempt; // Linear backoff
+                if (attempt === maxRetries || Date.now() + retryDelay >= deadline) {
                     throw error;
                 }
-                console.log(`🔄 Retry ${attempt}/${maxRetries} for ${source.name}...`);
-                await this.delay(1000 * attempt); // Exponential backoff
+                logger.debug(`🔄 Retry ${attempt}/${maxRetries} for ${source.name}...`);
+                await this.delay(retryDelay);
             }
         }
     }
 
+    /**
+     * Host a source is fetched from, used for per-host concurrency
+     */
+    getHost(source) {
+        try {
+            return new URL(source.url).host;
+        } catch {
+            return source.url;
+        }
+    }
+
+    /**
+     * Describe the slowest source of a fetch cycle for the summary line
+     */
+    describeSlowest(results) {
+        const slowest = results.reduce((max, result) => (!max || result.durationMs > max.durationMs ? result : max), null);
+        return slowest ? ` (slowest: ${slowest.name} ${(slowest.durationMs / 1000).toFixed(1)}s)` : '';
+    }
+
     /**
      * Delay utility for retry logic
      */
@@ -159,97 +288,124 @@ export class NewsFetcher {
 
         // Debug logging
         if (articles.length > 0) {
-            console.log(`   📅 Time filter: ${recentCount} recent, ${oldCount} old, ${fallbackCount} fallback`);
+            logger.debug(`   📅 Time filter: ${recentCount} recent, ${oldCount} old, ${fallbackCount} fallback`);
         }
 
         return recentArticles;
     }
 
     /**
-     * Fetch news from specific source
+     * Fetch news from specific source with a conditional GET
+     * Returns { articles, cacheStatus } - 'not-modified' (304) and 'unchanged'
+     * (same body hash) skip parsing, 'miss' means the feed was parsed.
+     * The request (body included) is aborted after timeoutMs
      */
-    async fetchSource(source) {
+    async fetchSource(source, timeoutMs = continuousConfig.fetching.requestTimeoutSeconds * 1000) {
         try {
-            const feed = await this.parser.parseURL(source.url);
+            const adapter = getFeedAdapter(source.type);
+            const response = await fetch(source.url, {
+                headers: this.getRequestHeaders(source, adapter),
+                signal: AbortSignal.timeout(Math.max(1, timeoutMs))
+            });
+
+            if (response.status === 304) {
+                return this.cacheResult(source, 'not-modified');
+            }
+            if (!response.ok) {
+                throw new Error(`Status code ${response.status}`);
+            }
+
+            const body = await response.text();
+            const contentHash = createHash('sha256').update(body).digest('hex');
+            this.pendingValidators.set(source.name, {
+                etag: response.headers.get('etag'),
+                lastModified: response.headers.get('last-modified'),
+                contentHash
+            });
+
+            if (this.useFeedCache && contentHash === source.contentHash) {
+                return this.cacheResult(source, 'unchanged');
+            }
+
+            const items = await adapter.parseFeed(body);
             const articles = [];
 
-            if (feed?.items?.length > 0) {
-                feed.items.forEach(item => {
+            if (items.length > 0) {
+                items.forEach(item => {
                     try {
-                        const article = this.parseItem(item, source);
+                        const article = adapter.toArticle(item, source);
                         if (article?.isValid()) {
+                            // Detected language wins over the feed's declared one, which is often site-wide
+                            article.language = detectLanguage(`${article.title} ${article.content}`) || article.language;
+                            this.categorizer.apply(article);
                             articles.push(article);
                         }
                     } catch (error) {
-                        console.warn(`⚠️  Error parsing item from ${source.name}:`, error.message);
+                        logger.warn(`⚠️  Error parsing item from ${source.name}:`, error.message);
                     }
                 });
             }
 
-            return articles;
+            return this.cacheResult(source, 'miss', articles);
         } catch (error) {
-            throw new Error(`Failed to fetch ${source.name}: ${error.message}`);
+            const timedOut = error.name === 'TimeoutError';
+            const reason = timedOut
+                ? `Timed out after ${(timeoutMs / 1000).toFixed(1)}s`
+                : error.cause?.message || error.message;
+            const wrapped = new Error(`Failed to fetch ${source.name}: ${reason}`);
+            wrapped.timedOut = timedOut;
+            throw wrapped;
         }
     }
 
     /**
-     * Parse RSS item to NewsArticle
+     * Request headers, with validators from the source's last fetched feed
      */
-    parseItem(item, source) {
-        if (!item.title || !item.link) return null;
-
-        return new NewsArticle({
-            title: item.title.trim(),
-            content: this.extractContent(item),
-            image: this.extractImage(item),
-            url: item.link,
-            publishedDate: this.formatDate(item.pubDate),
-            duration: this.extractDuration(item),
-            source: source.name,
-            category: source.category
-        });
+    getRequestHeaders(source, adapter) {
+        const headers = {
+            'User-Agent': 'rss-parser',
+            'Accept': adapter.accept
+        };
+        if (!this.useFeedCache) {
+            return headers;
+        }
+        if (source.etag) headers['If-None-Match'] = source.etag;
+        if (source.lastModified) headers['If-Modified-Since'] = source.lastModified;
+        return headers;
     }
 
     /**
-     * Extract content from item
+     * Count a cache outcome for the source's hit rate and wrap the fetch result
      */
-    extractContent(item) {
-        return item.contentSnippet || 
-               item.description || 
-               item.content?.replace(/<[^>]*>/g, '').trim() || 
-               '';
-    }
+    cacheResult(source, cacheStatus, articles = []) {
+        const stats = this.cacheStats.get(source.name) || { requests: 0, hits: 0 };
+        stats.requests++;
+        if (cacheStatus !== 'miss') stats.hits++;
+        this.cacheStats.set(source.name, stats);
 
-    /**
-     * Extract image URL from item
-     */
-    extractImage(item) {
-        return item['media:content']?.['$']?.url ||
-               item['media:thumbnail']?.['$']?.url ||
-               item['itunes:image']?.['$']?.href ||
-               item.enclosure?.url ||
-               null;
+        return { articles, cacheStatus };
     }
 
     /**
-     * Extract duration from item
+     * Per-source feed cache hit rates since startup
      */
-    extractDuration(item) {
-        return item['itunes:duration'] || null;
+    getCacheStats() {
+        return [...this.cacheStats.entries()].map(([name, stats]) => ({
+            name,
+            ...stats,
+            hitRate: stats.requests > 0 ? stats.hits / stats.requests : 0
+        }));
     }
 
     /**
-     * Format publication date
+     * Persist validators from the last fetch cycle - call once its articles are
+     * stored, so a failed scrape re-parses the feeds on the next attempt
      */
-    formatDate(pubDate) {
-        if (!pubDate) return null;
-        try {
-            return new Date(pubDate).toLocaleDateString('en-US', {
-                year: 'numeric', month: 'short', day: 'numeric'
-            });
-        } catch {
-            return pubDate;
+    async saveFeedValidators() {
+        for (const [name, validators] of this.pendingValidators) {
+            await this.db.updateSourceCache(name, validators);
         }
+        this.pendingValidators.clear();
     }
 
     /**
@@ -0,0 +1,159 @@
+import { logger } from '../utils/Logger.js';
+
+/**
+ * Source Health Tracker - Records fetch outcomes per feed and runs a circuit
+ * breaker: after `failureThreshold` consecutive failures a feed is skipped
+ * (open) for a backoff that doubles with every further failure, then probed
+ * once (half-open) - a successful probe closes the circuit again
+ */
+export class SourceHealthTracker {
+    constructor(db, options = {}) {
+        this.db = db;
+        this.enabled = options.enabled !== false;
+        this.failureThreshold = options.failureThreshold || 3;
+        this.baseBackoffMinutes = options.baseBackoffMinutes || 5;
+        this.maxBackoffMinutes = options.maxBackoffMinutes || 240;
+        this.records = null;
+    }
+
+    /**
+     * Load health records from the database (once)
+     */
+    async load() {
+        if (this.records) {
+            return;
+        }
+
+        const rows = await this.db.getSourceHealth();
+        this.records = new Map(rows.map(record => [record.sourceName, record]));
+    }
+
+    /**
+     * Whether a source should be fetched now - open circuits wait for their backoff,
+     * then move to half-open so one probe gets through
+     */
+    canFetch(sourceName, now = new Date()) {
+        const record = this.getRecord(sourceName);
+        if (!this.enabled || record.state === 'closed') {
+            return true;
+        }
+
+        if (record.state === 'open' && new Date(record.nextAttemptAt) <= now) {
+            record.state = 'half-open';
+        }
+        return record.state === 'half-open';
+    }
+
+    /**
+     * Whether the next fetch of a source is a half-open probe (fetched without retries)
+     */
+    isProbe(sourceName) {
+        return this.enabled && this.getRecord(sourceName).state === 'half-open';
+    }
+
+    /**
+     * Record a successful fetch, closing the circuit
+     */
+    async recordSuccess(sourceName, { latencyMs, items, parsed }) {
+        const record = this.getRecord(sourceName);
+        const wasProbe = record.state === 'half-open';
+
+        record.totalFetches++;
+        const successes = record.totalFetches - record.totalFailures;
+        record.avgLatencyMs = this.runningMean(record.avgLatencyMs, latencyMs, successes);
+        if (parsed) {
+            record.parsedFetches++;
+            record.avgItems = this.runningMean(record.avgItems, items, record.parsedFetches);
+        }
+
+        record.state = 'closed';
+        record.consecutiveFailures = 0;
+        record.nextAttemptAt = null;
+        record.lastSuccessAt = new Date().toISOString();
+
+        if (wasProbe) {
+            logger.info(`🔌 ${sourceName} recovered, circuit closed`);
+        }
+        await this.save(record);
+    }
+
+    /**
+     * Record a failed fetch, opening the circuit once the threshold is reached
+     */
+    async recordFailure(sourceName, error) {
+        const record = this.getRecord(sourceName);
+
+        record.totalFetches++;
+        record.totalFailures++;
+        record.consecutiveFailures++;
+        record.lastFailureAt = new Date().toISOString();
+        record.lastError = error.message;
+
+        if (this.enabled && record.consecutiveFailures >= this.failureThreshold) {
+            const backoffMinutes = this.getBackoffMinutes(record.consecutiveFailures);
+            record.state = 'open';
+            record.nextAttemptAt = new Date(Date.now() + backoffMinutes * 60 * 1000).toISOString();
+            logger.warn(`🔌 Circuit open for ${sourceName} after ${record.consecutiveFailures} failures, next probe in ${backoffMinutes} minute(s)`);
+        }
+        await this.save(record);
+    }
+
+    /**
+     * Backoff doubling with each failure past the threshold, capped at maxBackoffMinutes
+     */
+    getBackoffMinutes(consecutiveFailures) {
+        const doublings = consecutiveFailures - this.failureThreshold;
+        return Math.min(this.maxBackoffMinutes, this.baseBackoffMinutes * 2 ** doublings);
+    }
+
+    /**
+     * Sources currently skipped by an open circuit
+     */
+    getOpenCircuits() {
+        return [...(this.records?.values() || [])].filter(record => record.state === 'open');
+    }
+
+    /**
+     * Get or create the in-memory record of a source
+     */
+    getRecord(sourceName) {
+        if (!this.records) {
+            this.records = new Map();
+        }
+        if (!this.records.has(sourceName)) {
+            this.records.set(sourceName, {
+                sourceName,
+                state: 'closed',
+                consecutiveFailures: 0,
+                totalFetches: 0,
+                totalFailures: 0,
+                parsedFetches: 0,
+                avgLatencyMs: null,
+                avgItems: null,
+                lastSuccessAt: null,
+                lastFailureAt: null,
+                lastError: null,
+                nextAttemptAt: null
+            });
+        }
+        return this.records.get(sourceName);
+    }
+
+    /**
+     * Persist a record - health tracking never fails a fetch
+     */
+    async save(record) {
+        try {
+            await this.db.saveSourceHealth(record);
+        } catch (error) {
+            logger.warn(`⚠️  Could not save health of ${record.sourceName}:`, error.message);
+        }
+    }
+
+    /**
+     * Update a mean with the nth value
+     */
+    runningMean(mean, value, count) {
+        return mean === null ? value : mean + (value - mean) / count;
+    }
+}
@@ -0,0 +1,84 @@
+import { titleTokens, jaccardSimilarity } from '../utils/similarity.js';
+
+// Titles with fewer significant words match too loosely to cluster
+const MIN_TOKENS = 3;
+
+/**
+ * Story Clusterer - Groups articles from different outlets covering the same
+ * event into stories, by Jaccard similarity of their significant title words
+ */
+export class StoryClusterer {
+    constructor(db, options = {}) {
+        this.db = db;
+        this.enabled = options.enabled !== false;
+        this.similarityThreshold = options.similarityThreshold ?? 0.45;
+        this.windowHours = options.windowHours ?? 48;
+    }
+
+    /**
+     * Assign freshly stored articles ({ article, id }) to stories, returns how many joined one
+     */
+    async assignStories(stored) {
+        if (!this.enabled || stored.length === 0) {
+            return 0;
+        }
+
+        const storedIds = new Set(stored.map(({ id }) => id));
+        const since = new Date(Date.now() - this.windowHours * 60 * 60 * 1000);
+        const rows = await this.db.getClusterCandidates(since);
+        const candidates = rows
+            .filter(row => !storedIds.has(row.id))
+            .map(row => this.toCandidate(row.id, row.title, row.story_id));
+
+        let grouped = 0;
+        for (const { article, id } of stored) {
+            const candidate = this.toCandidate(id, article.title, null);
+            const match = this.findBestMatch(candidate, candidates);
+
+            if (match) {
+                if (!match.storyId) {
+                    match.storyId = await this.db.createStory(match.title);
+                    await this.db.setArticleStory(match.id, match.storyId);
+                }
+                candidate.storyId = match.storyId;
+                await this.db.setArticleStory(id, candidate.storyId);
+                grouped++;
+            }
+
+            candidates.push(candidate);
+        }
+
+        return grouped;
+    }
+
+    /**
+     * Find the most similar candidate above the threshold, preferring existing stories on ties
+     */
+    findBestMatch(candidate, candidates) {
+        if (candidate.tokens.size < MIN_TOKENS) {
+            return null;
+        }
+
+        let best = null;
+        let bestScore = this.similarityThreshold;
+        for (const other of candidates) {
+            if (other.tokens.size < MIN_TOKENS) continue;
+
+            const score = jaccardSimilarity(candidate.tokens, other.tokens);
+            const isBetter = score > bestScore ||
+                (score === bestScore && (!best || (!best.storyId && other.storyId)));
+            if (isBetter) {
+                best = other;
+                bestScore = score;
+            }
+        }
+        return best;
+    }
+
+    /**
+     * Build a comparable candidate record
+     */
+    toCandidate(id, title, storyId) {
+        return { id, title, storyId, tokens: titleTokens(title) };
+    }
+}
@@ -0,0 +1,48 @@
+/**
+ * Concurrency Limiter - Runs async tasks with a global cap and a cap per key
+ * (e.g. per host), starting queued tasks in the order they were added
+ */
+export class ConcurrencyLimiter {
+    constructor(limit = 1, perKeyLimit = limit) {
+        this.limit = Math.max(1, limit);
+        this.perKeyLimit = Math.max(1, perKeyLimit);
+        this.active = 0;
+        this.activeByKey = new Map();
+        this.queue = [];
+    }
+
+    /**
+     * Run a task once a slot for its key is free
+     */
+    run(key, task) {
+        return new Promise((resolve, reject) => {
+            this.queue.push({ key, task, resolve, reject });
+            this.next();
+        });
+    }
+
+    /**
+     * Start every queued task that fits within the limits
+     */
+    next() {
+        for (let i = 0; i < this.queue.length && this.active < this.limit; i++) {
+            const { key, task, resolve, reject } = this.queue[i];
+            if ((this.activeByKey.get(key) || 0) >= this.perKeyLimit) {
+                continue;
+            }
+
+            this.queue.splice(i--, 1);
+            this.active++;
+            this.activeByKey.set(key, (this.activeByKey.get(key) || 0) + 1);
+
+            Promise.resolve()
+                .then(task)
+                .then(resolve, reject)
+                .finally(() => {
+                    this.active--;
+                    this.activeByKey.set(key, this.activeByKey.get(key) - 1);
+                    this.next();
+                });
+        }
+    }
+}
@@ -0,0 +1,40 @@
+import { continuousConfig } from '../../config/continuous.config.js';
+
+export const LOG_LEVELS = ['debug', 'info', 'warn', 'error'];
+
+/**
+ * Logger - Console logger that drops messages below the configured level
+ */
+export class Logger {
+    constructor(level = 'info') {
+        this.setLevel(level);
+    }
+
+    /**
+     * Change the minimum level that gets printed
+     */
+    setLevel(level) {
+        const threshold = LOG_LEVELS.indexOf(level);
+        this.threshold = threshold === -1 ? LOG_LEVELS.indexOf('info') : threshold;
+        this.level = LOG_LEVELS[this.threshold];
+    }
+
+    debug(...args) {
+        if (this.threshold <= 0) console.log(...args);
+    }
+
+    info(...args) {
+        if (this.threshold <= 1) console.log(...args);
+    }
+
+    warn(...args) {
+        if (this.threshold <= 2) console.warn(...args);
+    }
+
+    error(...args) {
+        console.error(...args);
+    }
+}
+
+// Shared logger for the scraping pipeline
+export const logger = new Logger(continuousConfig.logging.level);
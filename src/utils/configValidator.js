@@ -0,0 +1,269 @@
+import { LOG_LEVELS } from './Logger.js';
+
+/**
+ * Expected shape of config/continuous.config.js
+ */
+const continuousConfigSchema = {
+    scrapeIntervalMinutes: { type: 'number', min: 0.1 },
+    maxArticlesPerScrape: { type: 'integer', min: 0 },
+    enabledSources: { type: 'stringArray' },
+    enabledCategories: { type: 'stringArray' },
+    logging: {
+        type: 'object',
+        properties: {
+            showNewArticles: { type: 'boolean' },
+            showStatusUpdates: { type: 'boolean' },
+            showScrapeProgress: { type: 'boolean' },
+            level: { type: 'string', oneOf: LOG_LEVELS }
+        }
+    },
+    database: {
+        type: 'object',
+        properties: {
+            checkByUrl: { type: 'boolean' },
+            checkByTitle: { type: 'boolean' },
+            similarityThreshold: { type: 'number', min: 0, max: 1 },
+            similarityWindowHours: { type: 'number', min: 1 },
+            maxDuplicateChecks: { type: 'integer', min: 1, max: 3 },
+            trackRevisions: { type: 'boolean' },
+            mysql: {
+                type: 'object',
+                properties: {
+                    connectionLimit: { type: 'integer', min: 1 },
+                    connectTimeoutSeconds: { type: 'number', min: 1 },
+                    queryTimeoutSeconds: { type: 'number', min: 0 },
+                    healthCheckIntervalSeconds: { type: 'number', min: 0 },
+                    maxRetries: { type: 'integer', min: 0 },
+                    baseBackoffSeconds: { type: 'number', min: 0.1 },
+                    maxBackoffSeconds: { type: 'number', min: 0.1 }
+                }
+            }
+        }
+    },
+    fetching: {
+        type: 'object',
+        properties: {
+            concurrency: { type: 'integer', min: 1 },
+            perHostConcurrency: { type: 'integer', min: 1 },
+            requestTimeoutSeconds: { type: 'number', min: 1 },
+            cycleDeadlineSeconds: { type: 'number', min: 1 },
+            maxRetries: { type: 'integer', min: 1 }
+        }
+    },
+    circuitBreaker: {
+        type: 'object',
+        properties: {
+            enabled: { type: 'boolean' },
+            failureThreshold: { type: 'integer', min: 1 },
+            baseBackoffMinutes: { type: 'number', min: 0.1 },
+            maxBackoffMinutes: { type: 'number', min: 0.1 }
+        }
+    },
+    enrichment: {
+        type: 'object',
+        properties: {
+            enabled: { type: 'boolean' },
+            concurrency: { type: 'integer', min: 1 },
+            requestsPerMinute: { type: 'number', min: 1 },
+            requestTimeoutSeconds: { type: 'number', min: 1 },
+            pollSeconds: { type: 'number', min: 1 },
+            batchSize: { type: 'integer', min: 1 },
+            maxArticleAgeHours: { type: 'number', min: 1 },
+            maxBodyLength: { type: 'integer', min: 100 },
+            maxPageBytes: { type: 'integer', min: 10000 }
+        }
+    },
+    stories: {
+        type: 'object',
+        properties: {
+            enabled: { type: 'boolean' },
+            similarityThreshold: { type: 'number', min: 0, max: 1 },
+            windowHours: { type: 'number', min: 1 }
+        }
+    },
+    alerts: {
+        type: 'object',
+        properties: {
+            enabled: { type: 'boolean' },
+            requestTimeoutSeconds: { type: 'number', min: 1 },
+            maxArticlesPerAlert: { type: 'integer', min: 1 },
+            smtp: {
+                type: 'object',
+                properties: {
+                    host: { type: 'string' },
+                    port: { type: 'integer', min: 1, max: 65535 },
+                    from: { type: 'string' }
+                }
+            }
+        }
+    },
+    timeFiltering: {
+        type: 'object',
+        properties: {
+            maxArticleAgeMinutes: { type: 'number', min: 1 },
+            enabled: { type: 'boolean' },
+            fallbackToAll: { type: 'boolean' }
+        }
+    },
+    api: {
+        type: 'object',
+        properties: {
+            enabled: { type: 'boolean' },
+            port: { type: 'integer', min: 1, max: 65535 },
+            host: { type: 'string' },
+            defaultLimit: { type: 'integer', min: 1 },
+            maxLimit: { type: 'integer', min: 1 },
+            feedLimit: { type: 'integer', min: 1 },
+            feedTitle: { type: 'string' },
+            publicUrl: { type: 'string', nullable: true }
+        }
+    },
+    errorHandling: {
+        type: 'object',
+        properties: {
+            maxConsecutiveErrors: { type: 'integer', min: 1 },
+            retryDelayMinutes: { type: 'number', min: 0 },
+            continueOnSourceError: { type: 'boolean' },
+            autoRestart: { type: 'boolean' },
+            maxRestartsPerHour: { type: 'integer', min: 0 }
+        }
+    }
+};
+
+/**
+ * Validate the continuous scraper configuration, throws listing every problem
+ */
+export function validateContinuousConfig(config) {
+    const errors = validateObject(config, continuousConfigSchema, 'continuousConfig');
+
+    if (errors.length === 0 && config.api.defaultLimit > config.api.maxLimit) {
+        errors.push('continuousConfig.api.defaultLimit must not exceed api.maxLimit');
+    }
+    if (errors.length === 0 && config.api.feedLimit > config.api.maxLimit) {
+        errors.push('continuousConfig.api.feedLimit must not exceed api.maxLimit');
+    }
+    if (errors.length === 0 && config.circuitBreaker.baseBackoffMinutes > config.circuitBreaker.maxBackoffMinutes) {
+        errors.push('continuousConfig.circuitBreaker.baseBackoffMinutes must not exceed circuitBreaker.maxBackoffMinutes');
+    }
+    if (errors.length === 0 && config.database.mysql.baseBackoffSeconds > config.database.mysql.maxBackoffSeconds) {
+        errors.push('continuousConfig.database.mysql.baseBackoffSeconds must not exceed database.mysql.maxBackoffSeconds');
+    }
+    if (errors.length === 0 && config.fetching.cycleDeadlineSeconds > config.scrapeIntervalMinutes * 60) {
+        errors.push('continuousConfig.fetching.cycleDeadlineSeconds must not exceed the scrape interval');
+    }
+
+    if (errors.length > 0) {
+        throw new Error(`Invalid continuous configuration:\n  - ${errors.join('\n  - ')}`);
+    }
+    return config;
+}
+
+/**
+ * Check resolved database settings ({ type, profile, config } from loadDatabaseConfig),
+ * throwing an error that names the variables to set. Values are never included,
+ * so credentials can't end up in logs
+ */
+export function validateDatabaseConfig(dbConfig) {
+    const { type, profile, config } = dbConfig;
+    const errors = [];
+
+    if (type === 'sqlite') {
+        if (!config.path) {
+            errors.push('SQLite path is missing (set SQLITE_PATH or DATABASE_URL=sqlite:./news.db)');
+        }
+    } else if (type === 'mysql') {
+        for (const [field, variable] of [['host', 'DB_HOST'], ['user', 'DB_USER'], ['database', 'DB_NAME']]) {
+            if (!config[field]) {
+                errors.push(`MySQL ${field} is missing (set ${variable} or DATABASE_URL)`);
+            }
+        }
+        if (!Number.isInteger(config.port) || config.port < 1 || config.port > 65535) {
+            errors.push('MySQL port must be an integer between 1 and 65535 (DB_PORT)');
+        }
+    } else {
+        errors.push(`database type must be sqlite or mysql (DATABASE_TYPE, got "${type}")`);
+    }
+
+    if (errors.length > 0) {
+        throw new Error(`Invalid database configuration for the ${profile} profile:\n  - ${errors.join('\n  - ')}`);
+    }
+    return dbConfig;
+}
+
+/**
+ * Check an object against a schema, reporting missing, unknown and invalid keys
+ */
+function validateObject(value, properties, path) {
+    if (value === null || typeof value !== 'object' || Array.isArray(value)) {
+        return [`${path} must be an object`];
+    }
+
+    const errors = [];
+
+    for (const key of Object.keys(value)) {
+        if (!(key in properties)) {
+            errors.push(`${path}.${key} is not a known setting`);
+        }
+    }
+
+    for (const [key, rule] of Object.entries(properties)) {
+        const keyPath = `${path}.${key}`;
+        if (value[key] === undefined) {
+            errors.push(`${keyPath} is missing`);
+        } else if (rule.type === 'object') {
+            errors.push(...validateObject(value[key], rule.properties, keyPath));
+        } else {
+            const error = validateValue(value[key], rule, keyPath);
+            if (error) errors.push(error);
+        }
+    }
+
+    return errors;
+}
+
+/**
+ * Check a single setting, returns an error message or null
+ */
+function validateValue(value, rule, path) {
+    if (value === null && rule.nullable) {
+        return null;
+    }
+
+    switch (rule.type) {
+        case 'boolean':
+            return typeof value === 'boolean' ? null : `${path} must be true or false`;
+
+        case 'string':
+            if (typeof value !== 'string' || value.length === 0) {
+                return `${path} must be a non-empty string`;
+            }
+            if (rule.oneOf && !rule.oneOf.includes(value)) {
+                return `${path} must be one of: ${rule.oneOf.join(', ')} (got "${value}")`;
+            }
+            return null;
+
+        case 'stringArray':
+            if (!Array.isArray(value) || value.some(item => typeof item !== 'string' || item.length === 0)) {
+                return `${path} must be an array of names`;
+            }
+            return null;
+
+        case 'number':
+        case 'integer': {
+            const isValid = rule.type === 'integer' ? Number.isInteger(value) : Number.isFinite(value);
+            if (typeof value !== 'number' || !isValid) {
+                return `${path} must be ${rule.type === 'integer' ? 'an integer' : 'a number'}`;
+            }
+            if (rule.min !== undefined && value < rule.min) {
+                return `${path} must be at least ${rule.min} (got ${value})`;
+            }
+            if (rule.max !== undefined && value > rule.max) {
+                return `${path} must be at most ${rule.max} (got ${value})`;
+            }
+            return null;
+        }
+
+        default:
+            return null;
+    }
+}
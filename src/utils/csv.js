@@ -0,0 +1,75 @@
+/**
+ * CSV helpers (RFC 4180) - fields are quoted when they contain a comma, quote
+ * or line break, and quoted fields may span lines
+ */
+
+/**
+ * Format values as one CSV line (without the line ending)
+ */
+export function toCsvRow(values) {
+    return values.map(value => {
+        const text = value === null || value === undefined ? '' : String(value);
+        return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+    }).join(',');
+}
+
+/**
+ * Parse CSV from an async iterable of lines (such as readline), yielding
+ * { fields, line } for each record with the line number it starts on.
+ * Blank lines are skipped
+ */
+export async function* parseCsv(lines) {
+    let fields = [];
+    let field = '';
+    let inQuotes = false;
+    let lineNumber = 0;
+    let startLine = 1;
+
+    for await (let line of lines) {
+        lineNumber++;
+        if (lineNumber === 1) {
+            line = line.replace(/^\uFEFF/, '');
+        }
+        if (!inQuotes) {
+            startLine = lineNumber;
+        }
+
+        for (let i = 0; i < line.length; i++) {
+            const char = line[i];
+            if (inQuotes) {
+                if (char !== '"') {
+                    field += char;
+                } else if (line[i + 1] === '"') {
+                    field += '"';
+                    i++;
+                } else {
+                    inQuotes = false;
+                }
+            } else if (char === '"') {
+                inQuotes = true;
+            } else if (char === ',') {
+                fields.push(field);
+                field = '';
+            } else {
+                field += char;
+            }
+        }
+
+        if (inQuotes) {
+            // The quoted field continues on the next line
+            field += '\n';
+            continue;
+        }
+
+        fields.push(field);
+        if (fields.length > 1 || fields[0] !== '') {
+            yield { fields, line: startLine };
+        }
+        fields = [];
+        field = '';
+    }
+
+    if (inQuotes) {
+        throw new Error(`CSV ends inside a quoted field that starts on line ${startLine}`);
+    }
+}
@@ -0,0 +1,67 @@
+/**
+ * Date helpers - articles carry ISO 8601 UTC strings, databases store
+ * "YYYY-MM-DD HH:MM:SS" UTC datetimes, and only the presentation layer
+ * formats dates for humans
+ */
+
+// Legacy display format written by older versions, e.g. "Oct 20, 2025"
+const LEGACY_DISPLAY_DATE = /^[A-Z][a-z]{2} \d{1,2}, \d{4}$/;
+
+/**
+ * Parse a feed or database date into a Date, or null when it can't be parsed
+ */
+export function parseDate(value) {
+    if (value === null || value === undefined || value === '') {
+        return null;
+    }
+
+    if (value instanceof Date) {
+        return isNaN(value.getTime()) ? null : value;
+    }
+
+    const text = String(value).trim();
+    let date;
+
+    if (LEGACY_DISPLAY_DATE.test(text)) {
+        // Day-only legacy values are treated as UTC midnight
+        date = new Date(`${text} 00:00:00 UTC`);
+    } else if (/^\d{4}-\d{2}-\d{2} \d{2}:\d{2}:\d{2}$/.test(text)) {
+        // SQL datetime without zone is stored as UTC
+        date = new Date(`${text.replace(' ', 'T')}Z`);
+    } else {
+        date = new Date(text);
+    }
+
+    return isNaN(date.getTime()) ? null : date;
+}
+
+/**
+ * Convert a date to an ISO 8601 UTC string
+ */
+export function toISODate(value) {
+    const date = parseDate(value);
+    return date ? date.toISOString() : null;
+}
+
+/**
+ * Convert a date to a SQL "YYYY-MM-DD HH:MM:SS" UTC datetime
+ */
+export function toSqlDateTime(value) {
+    const date = parseDate(value);
+    return date ? date.toISOString().slice(0, 19).replace('T', ' ') : null;
+}
+
+/**
+ * Format a date for console output, in local time
+ */
+export function formatDisplayDate(value) {
+    const date = parseDate(value);
+    if (!date) {
+        return 'N/A';
+    }
+
+    return date.toLocaleString('en-US', {
+        year: 'numeric', month: 'short', day: 'numeric',
+        hour: '2-digit', minute: '2-digit'
+    });
+}
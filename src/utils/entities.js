@@ -0,0 +1,346 @@
+import { getStopwords, normalizeSearchText } from './language.js';
+
+/**
+ * Entity extraction - finds the people, places and organizations named in an
+ * article and its top keywords, offline. Names are runs of capitalized words
+ * (so only scripts with letter case yield named entities), typed by a small
+ * gazetteer, honorifics and organization words; keywords work in any language.
+ */
+
+export const ENTITY_TYPES = ['person', 'place', 'organization', 'keyword'];
+
+const MAX_KEYWORDS = 5;
+const MAX_NAME_LENGTH = 100;
+const ENGLISH_STOPWORDS = getStopwords('en');
+
+const PLACES = new Set([
+    // Countries and regions
+    'Afghanistan', 'Algeria', 'Argentina', 'Armenia', 'Australia', 'Austria', 'Azerbaijan', 'Bahrain', 'Bangladesh',
+    'Belarus', 'Belgium', 'Bolivia', 'Bosnia', 'Brazil', 'Bulgaria', 'Cambodia', 'Cameroon', 'Canada', 'Chad', 'Chile',
+    'China', 'Colombia', 'Congo', 'Croatia', 'Cuba', 'Cyprus', 'Czechia', 'Denmark', 'Ecuador', 'Egypt', 'Eritrea',
+    'Estonia', 'Ethiopia', 'Finland', 'France', 'Georgia', 'Germany', 'Ghana', 'Greece', 'Haiti', 'Hungary', 'Iceland',
+    'India', 'Indonesia', 'Iran', 'Iraq', 'Ireland', 'Israel', 'Italy', 'Japan', 'Jordan', 'Kazakhstan', 'Kenya',
+    'Kosovo', 'Kuwait', 'Kyrgyzstan', 'Latvia', 'Lebanon', 'Libya', 'Lithuania', 'Malaysia', 'Maldives', 'Mali',
+    'Mexico', 'Moldova', 'Mongolia', 'Morocco', 'Mozambique', 'Myanmar', 'Nepal', 'Netherlands', 'New Zealand',
+    'Niger', 'Nigeria', 'North Korea', 'Norway', 'Oman', 'Pakistan', 'Palestine', 'Panama', 'Peru', 'Philippines',
+    'Poland', 'Portugal', 'Qatar', 'Romania', 'Russia', 'Rwanda', 'Saudi Arabia', 'Senegal', 'Serbia', 'Singapore',
+    'Somalia', 'South Africa', 'South Korea', 'South Sudan', 'Spain', 'Sri Lanka', 'Sudan', 'Sweden', 'Switzerland',
+    'Syria', 'Taiwan', 'Tajikistan', 'Tanzania', 'Thailand', 'Tunisia', 'Turkey', 'Turkiye', 'Turkmenistan', 'Uganda',
+    'Ukraine', 'United Arab Emirates', 'UAE', 'United Kingdom', 'UK', 'Britain', 'United States', 'US', 'USA',
+    'Uruguay', 'Uzbekistan', 'Venezuela', 'Vietnam', 'Yemen', 'Zambia', 'Zimbabwe', 'Europe', 'Africa', 'Asia',
+    'Middle East', 'Latin America', 'Gaza', 'West Bank', 'Kashmir', 'Crimea', 'Donbas', 'Darfur', 'Tibet', 'Xinjiang',
+    'Hong Kong', 'Scotland', 'Wales', 'England', 'California', 'Texas', 'Florida', 'New York',
+    // Pakistan
+    'Punjab', 'Sindh', 'Balochistan', 'Khyber Pakhtunkhwa', 'Gilgit-Baltistan', 'Islamabad', 'Karachi', 'Lahore',
+    'Peshawar', 'Quetta', 'Rawalpindi', 'Multan', 'Faisalabad', 'Hyderabad', 'Gwadar', 'Sialkot',
+    // Cities
+    'London', 'Paris', 'Berlin', 'Moscow', 'Kyiv', 'Kabul', 'Tehran', 'Baghdad', 'Damascus', 'Beirut', 'Cairo',
+    'Jerusalem', 'Tel Aviv', 'Riyadh', 'Doha', 'Dubai', 'Abu Dhabi', 'Ankara', 'Istanbul', 'Beijing', 'Shanghai',
+    'Tokyo', 'Seoul', 'Delhi', 'New Delhi', 'Mumbai', 'Dhaka', 'Kathmandu', 'Colombo', 'Bangkok', 'Jakarta', 'Manila',
+    'Sydney', 'Washington', 'Brussels', 'Geneva', 'Rome', 'Madrid', 'Nairobi', 'Lagos', 'Khartoum', 'Rafah',
+    'Khan Younis'
+]);
+
+const ORGANIZATIONS = new Set([
+    'Al Jazeera', 'BBC', 'CNN', 'Reuters', 'AFP', 'Associated Press', 'Dawn', 'Geo', 'NATO', 'IMF', 'World Bank',
+    'United Nations', 'UN', 'EU', 'European Union', 'WHO', 'Hamas', 'Hezbollah', 'Houthis', 'Taliban', 'ISIS', 'ISPR',
+    'PTI', 'PML-N', 'PPP', 'MQM-P', 'JUI-F', 'ICC', 'PCB', 'FIFA', 'OPEC', 'SpaceX', 'Tesla', 'Apple', 'Google',
+    'Microsoft', 'Meta', 'Amazon', 'OpenAI', 'Nvidia', 'Samsung', 'Pentagon', 'Kremlin', 'White House'
+]);
+
+// Words that make a name an organization when it starts or ends with them
+const ORGANIZATION_WORDS = new Set([
+    'Agency', 'Airlines', 'Army', 'Assembly', 'Association', 'Authority', 'Bank', 'Board', 'Bureau', 'Club',
+    'Commission', 'Committee', 'Company', 'Congress', 'Corp', 'Corporation', 'Council', 'Court', 'Department',
+    'Federation', 'Force', 'Forces', 'Foundation', 'Front', 'Fund', 'Group', 'Inc', 'Institute', 'League', 'Ltd',
+    'Ministry', 'Movement', 'Navy', 'Office', 'Reserve', 'Organisation', 'Organization', 'Parliament', 'Party', 'Police',
+    'House', 'Senate', 'Service', 'Union', 'University'
+]);
+
+// Words that make a name a place when it ends with them
+const PLACE_WORDS = new Set([
+    'Bay', 'City', 'County', 'District', 'Gulf', 'Island', 'Islands', 'Mountains', 'Ocean', 'Province', 'Region',
+    'River', 'Sea', 'Square', 'State', 'Strait', 'Valley'
+]);
+
+// Honorifics and offices that come before a person's name
+const PERSON_TITLES = new Set([
+    'Mr', 'Mrs', 'Ms', 'Dr', 'Sir', 'Dame', 'President', 'Minister', 'Premier', 'Senator', 'Governor', 'Mayor',
+    'King', 'Queen', 'Prince', 'Princess', 'Pope', 'General', 'Gen', 'Justice', 'Judge', 'Chancellor', 'Sheikh',
+    'Imam', 'Maulana', 'Chairman', 'Chief', 'Secretary', 'Ambassador', 'Commissioner', 'Speaker', 'Rep', 'Sen',
+    'State'  // Secretary of State
+]);
+
+// Lowercase words allowed inside a name ("Bank of England", "Mohammed bin Salman")
+const NAME_CONNECTORS = new Set(['of', 'the', 'for', 'de', 'del', 'da', 'al', 'bin', 'ibn', 'van', 'von', 'ul']);
+
+// Capitalized words that are rarely names on their own
+const NOT_NAMES = new Set([
+    'Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday', 'Sunday', 'January', 'February', 'March',
+    'April', 'May', 'June', 'July', 'August', 'September', 'October', 'November', 'December', 'He', 'She', 'They',
+    'We', 'I', 'It', 'His', 'Her', 'Their', 'Our', 'But', 'However', 'Meanwhile', 'Watch', 'Read', 'Live', 'Video',
+    'Photos', 'Updates', 'Breaking', 'Opinion', 'Analysis', 'Explainer', 'Here', 'There', 'What', 'Why', 'How', 'Who',
+    'When', 'Where', 'No', 'READ', 'WATCH', 'LIVE', 'VIDEO', 'AI', 'CEO', 'GDP', 'TV', 'PM', 'MP', 'MPs', 'ID', 'COVID'
+]);
+
+// Frequent news words that make poor keywords, on top of each language's stopwords
+const KEYWORD_STOPWORDS = new Set([
+    'said', 'says', 'say', 'told', 'would', 'could', 'should', 'also', 'about', 'after', 'before', 'more', 'most',
+    'than', 'been', 'have', 'were', 'which', 'when', 'where', 'what', 'into', 'with', 'there', 'they', 'them', 'these',
+    'those', 'while', 'first', 'last', 'time', 'year', 'years', 'week', 'weeks', 'month', 'months', 'today', 'news',
+    'just', 'like', 'only', 'some', 'such', 'other', 'many', 'people', 'during', 'against', 'under', 'since', 'still',
+    'according', 'report', 'reports', 'reported', 'including', 'because', 'whether', 'amid', 'being', 'very',
+    'your', 'you', 'over', 'took', 'make', 'made', 'take', 'well', 'back', 'new', 'two', 'three', 'one',
+    'continue', 'reading', 'updated', 'published', 'image', 'caption', 'getty', 'images', 'read', 'watch', 'video',
+    'کرنے', 'کیا', 'کر', 'ہو', 'ہوا', 'ہوئے', 'ہوگا', 'گئی', 'گئے', 'رہا', 'رہی', 'رہے', 'دیا', 'لیا', 'جائے', 'والے',
+    'بعد', 'تک', 'ایک'
+]);
+
+/**
+ * Extract the entities of an article ({ title, content, language }),
+ * returns [{ type, name, mentions }]
+ */
+export function extractEntities(article) {
+    const title = cleanText(article.title);
+    const content = cleanText(article.content);
+
+    // Headlines in Title Case capitalize every word, so only sentence-case ones give names
+    const nameSources = isTitleCase(title) ? [content] : [title, content];
+    const names = new Map();
+    for (const text of nameSources) {
+        for (const entity of findNames(text)) {
+            const key = `${entity.type}:${entity.name}`;
+            const existing = names.get(key);
+            if (existing) existing.mentions++;
+            else names.set(key, { ...entity, mentions: 1 });
+        }
+    }
+
+    resolveSurnames(names, nameSources);
+
+    const nameWords = new Set([...names.values()].flatMap(entity => entity.name.toLowerCase().split(/\s+/)));
+    const keywords = findKeywords(title, content, article.language, nameWords);
+
+    return [...names.values(), ...keywords];
+}
+
+/**
+ * Find capitalized name runs in a text and type them
+ */
+function findNames(text) {
+    const entities = [];
+
+    for (const sentence of text.split(/(?<=[.!?:;])\s+|\n+/)) {
+        const matches = [...sentence.matchAll(/[\p{L}\p{N}][\p{L}\p{N}'.-]*/gu)];
+        let run = [];
+        let previousEnd = 0;
+
+        const flush = () => {
+            const entity = classifyRun(run);
+            if (entity) entities.push(entity);
+            run = [];
+        };
+
+        matches.forEach((match, index) => {
+            const raw = match[0];
+            let token = raw.replace(/'s$/u, '').replace(/[.'-]+$/u, '');
+            if (/^(?:\p{Lu}\.)+\p{Lu}$/u.test(token)) {
+                token = token.replace(/\./g, '');  // U.S. -> US
+            }
+
+            // Punctuation between words ("Rock, Arkansas", "Forces (IDF)") separates names
+            if (/\S/.test(sentence.slice(previousEnd, match.index))) flush();
+            previousEnd = match.index + raw.length;
+
+            if (isCapitalized(token) && !(NOT_NAMES.has(token) && run.length > 0)) {
+                run.push({ token, index });
+            } else if (run.length > 0 && NAME_CONNECTORS.has(token) && isCapitalized(matches[index + 1]?.[0] || '')) {
+                run.push({ token, index, connector: true });
+            } else {
+                flush();
+            }
+            // A possessive ends the name ("Pakistan's Prime Minister")
+            if (/'s?$/u.test(raw)) flush();
+        });
+        flush();
+    }
+
+    return entities;
+}
+
+/**
+ * Type a run of capitalized tokens as a person, place or organization, or null
+ */
+function classifyRun(run) {
+    let tokens = run.map(item => item.token);
+    const sentenceStart = run.length > 0 && run[0].index === 0;
+
+    // Drop sentence-initial function words ("The", "In") and leading honorifics
+    let hasTitle = false;
+    if (sentenceStart && tokens.length >= 3 && !run.some(item => item.connector)) {
+        tokens = tokens.slice(1);  // "Actor Mark Hamill", "Skier Francis Zuber"
+    }
+    while (tokens.length > 0 && (NOT_NAMES.has(tokens[0]) || ENGLISH_STOPWORDS.has(tokens[0].toLowerCase()))) {
+        tokens = tokens.slice(1);
+    }
+
+    // "Defence Minister Khawaja Asif" -> "Khawaja Asif", but keep "UN General Assembly"
+    const titleIndex = tokens.findLastIndex((token, index) => PERSON_TITLES.has(token) && index < tokens.length - 1);
+    if (titleIndex >= 0 && !ORGANIZATION_WORDS.has(tokens.at(-1))) {
+        hasTitle = true;
+        tokens = tokens.slice(titleIndex + 1);
+    } else if (tokens.length === 1 && PERSON_TITLES.has(tokens[0])) {
+        return null;
+    }
+    while (tokens.length > 0 && NAME_CONNECTORS.has(tokens[0])) {
+        tokens = tokens.slice(1);
+    }
+    while (tokens.length > 0 && NAME_CONNECTORS.has(tokens.at(-1))) {
+        tokens = tokens.slice(0, -1);
+    }
+    if (tokens.length === 0 || tokens.every(token => NOT_NAMES.has(token))) {
+        return null;
+    }
+
+    const name = tokens.join(' ').slice(0, MAX_NAME_LENGTH);
+    const first = tokens[0];
+    const last = tokens.at(-1);
+
+    if (PLACES.has(name)) {
+        return { type: 'place', name };
+    }
+    if (ORGANIZATIONS.has(name)) {
+        return { type: 'organization', name };
+    }
+    if (ORGANIZATION_WORDS.has(first) || ORGANIZATION_WORDS.has(last)) {
+        // Keep "Pakistan" out of "Pakistan Army", but the whole name is the organization
+        return tokens.length > 1 ? { type: 'organization', name } : null;
+    }
+    if (PLACE_WORDS.has(last) && tokens.length > 1) {
+        return { type: 'place', name };
+    }
+    if (tokens.length === 1 && /^[A-Z]{2,6}$/.test(first)) {
+        return { type: 'organization', name };
+    }
+    if (tokens.length >= 2 && tokens.length <= 4 && !tokens.some(token => NAME_CONNECTORS.has(token) && token !== 'bin' && token !== 'al')) {
+        return { type: 'person', name };
+    }
+    if (tokens.length === 1 && hasTitle) {
+        return { type: 'person', name };
+    }
+    if (tokens.length === 1 && !sentenceStart && PLACES.has(first)) {
+        return { type: 'place', name };
+    }
+    return null;
+}
+
+/**
+ * Count bare surnames ("Khan said", "President Khan") as mentions of the full
+ * name found in the same article
+ */
+function resolveSurnames(names, texts) {
+    const people = [...names.entries()].filter(([, entity]) => entity.type === 'person');
+
+    for (const [, person] of people) {
+        const parts = person.name.split(' ');
+        if (parts.length < 2) {
+            continue;
+        }
+
+        const surname = parts.at(-1);
+        const pattern = new RegExp(`(?<![\\p{L}\\p{N}]|${escapeRegExp(parts.at(-2))}\\s)${escapeRegExp(surname)}(?![\\p{L}\\p{N}])`, 'gu');
+        person.mentions += texts.reduce((total, text) => total + (text.match(pattern) || []).length, 0);
+        names.delete(`person:${surname}`);
+    }
+}
+
+/**
+ * Most frequent content words, title words counting twice
+ */
+function findKeywords(title, content, language, nameWords) {
+    const stopwords = getStopwords(language || 'en');
+    const scores = new Map();
+    const minLength = /\p{Script=Latin}/u.test(title + content) ? 4 : 2;
+
+    const addWords = (text, weight) => {
+        for (const word of normalizeSearchText(text).toLowerCase().match(/[\p{L}\p{M}][\p{L}\p{M}\p{N}'’-]*/gu) || []) {
+            const keyword = word.replace(/['’]s$/u, '').replace(/[-'’]+$/u, '');
+            if ([...keyword].length < minLength || stopwords.has(keyword) || KEYWORD_STOPWORDS.has(keyword) || nameWords.has(keyword)) {
+                continue;
+            }
+            scores.set(keyword, (scores.get(keyword) || 0) + weight);
+        }
+    };
+    addWords(title, 2);
+    addWords(content, 1);
+
+    return [...scores.entries()]
+        .filter(([, score]) => score >= 2)
+        .sort((a, b) => b[1] - a[1] || a[0].localeCompare(b[0]))
+        .slice(0, MAX_KEYWORDS)
+        .map(([name, score]) => ({ type: 'keyword', name: name.slice(0, MAX_NAME_LENGTH), mentions: score }));
+}
+
+/**
+ * Collapse whitespace and straighten apostrophes
+ */
+function cleanText(text) {
+    return String(text || '').replace(/[‘’]/g, '\'').replace(/\s+/g, ' ').trim();
+}
+
+/**
+ * Whether most words of a headline start with a capital letter
+ */
+function isTitleCase(text) {
+    const words = (text.match(/\p{L}+/gu) || []).filter(word => word.length > 3);
+    return words.length >= 3 && words.filter(isCapitalized).length / words.length > 0.6;
+}
+
+/**
+ * Whether a word starts with an uppercase letter
+ */
+function isCapitalized(word) {
+    return /^\p{Lu}/u.test(word);
+}
+
+/**
+ * Escape special characters for use in a regular expression
+ */
+function escapeRegExp(text) {
+    return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+/**
+ * Rank entities by how far their mention rate in the recent window is above
+ * their baseline rate. Rows are { entity_type, name, recent, baseline } article
+ * counts; the baseline gets one extra mention so new entities don't divide by zero
+ */
+export function rankTrending(rows, { hours, baselineHours, minRatio = 3, limit = 20 }) {
+    return rows
+        .map(row => {
+            const recentArticles = Number(row.recent);
+            const baselineArticles = Number(row.baseline);
+            const recentRate = recentArticles / hours;
+            const baselineRate = baselineArticles / baselineHours;
+            return {
+                type: row.entity_type,
+                name: row.name,
+                recentArticles,
+                baselineArticles,
+                recentRate: round(recentRate, 4),
+                baselineRate: round(baselineRate, 4),
+                ratio: round(recentRate / ((baselineArticles + 1) / baselineHours), 2)
+            };
+        })
+        .filter(entity => entity.ratio >= minRatio)
+        .sort((a, b) => b.ratio - a.ratio || b.recentArticles - a.recentArticles)
+        .slice(0, limit);
+}
+
+/**
+ * Round to a number of decimal places
+ */
+function round(value, places) {
+    const factor = 10 ** places;
+    return Math.round(value * factor) / factor;
+}
@@ -0,0 +1,21 @@
+import { createHash } from 'crypto';
+
+/**
+ * Normalize a title for duplicate detection - case, punctuation and
+ * whitespace differences are ignored
+ */
+export function normalizeTitle(title) {
+    return (title || '')
+        .normalize('NFKC')
+        .toLowerCase()
+        .replace(/[^\p{L}\p{N}\s]+/gu, ' ')
+        .replace(/\s+/g, ' ')
+        .trim();
+}
+
+/**
+ * Fingerprint a title as a SHA-1 hex digest of its normalized form
+ */
+export function titleFingerprint(title) {
+    return createHash('sha1').update(normalizeTitle(title)).digest('hex');
+}
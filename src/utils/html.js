@@ -0,0 +1,145 @@
+/**
+ * HTML helpers - lightweight, regex-based extraction for article pages.
+ * Good enough for well-formed news markup, not a general HTML parser.
+ */
+
+const NAMED_ENTITIES = { amp: '&', lt: '<', gt: '>', quot: '"', apos: "'", nbsp: ' ', hellip: '…', mdash: '—', ndash: '–', rsquo: '’', lsquo: '‘', rdquo: '”', ldquo: '“' };
+
+/**
+ * Decode HTML entities (named subset plus numeric)
+ */
+export function decodeEntities(text) {
+    return (text || '').replace(/&(#x[0-9a-f]+|#\d+|[a-z]+);/gi, (match, entity) => {
+        if (entity[0] === '#') {
+            const code = entity[1].toLowerCase() === 'x' ? parseInt(entity.slice(2), 16) : parseInt(entity.slice(1), 10);
+            return isValidCodePoint(code) ? String.fromCodePoint(code) : match;
+        }
+        return NAMED_ENTITIES[entity.toLowerCase()] ?? match;
+    });
+}
+
+/**
+ * Whether a numeric entity names a character: not zero, not a surrogate, within Unicode's range
+ */
+function isValidCodePoint(code) {
+    return Number.isInteger(code) && code > 0 && code <= 0x10FFFF && !(code >= 0xD800 && code <= 0xDFFF);
+}
+
+/**
+ * Convert an HTML fragment to plain text
+ */
+export function htmlToText(html) {
+    return decodeEntities((html || '')
+        .replace(/<(script|style|noscript)[\s\S]*?<\/\1>/gi, '')
+        .replace(/<br\s*\/?>/gi, '\n')
+        .replace(/<[^>]+>/g, ''))
+        .replace(/[ \t\r\f\v]+/g, ' ')
+        .replace(/ *\n */g, '\n')
+        .trim();
+}
+
+/**
+ * Read the attributes of a single tag into an object (names lowercased)
+ */
+export function parseAttributes(tag) {
+    const attributes = {};
+    for (const match of tag.matchAll(/([\w:-]+)\s*=\s*("([^"]*)"|'([^']*)'|([^\s>]+))/g)) {
+        attributes[match[1].toLowerCase()] = decodeEntities(match[3] ?? match[4] ?? match[5]);
+    }
+    return attributes;
+}
+
+/**
+ * Collect <meta> tags as { name/property: content }, first occurrence wins
+ */
+export function getMetaTags(html) {
+    const meta = {};
+    for (const [tag] of (html || '').matchAll(/<meta\b[^>]*>/gi)) {
+        const attributes = parseAttributes(tag);
+        const key = (attributes.property || attributes.name || '').toLowerCase();
+        if (key && attributes.content !== undefined && !(key in meta)) {
+            meta[key] = attributes.content.trim();
+        }
+    }
+    return meta;
+}
+
+/**
+ * Get the href of the first <link rel="..."> with the given rel
+ */
+export function getLinkHref(html, rel) {
+    for (const [tag] of (html || '').matchAll(/<link\b[^>]*>/gi)) {
+        const attributes = parseAttributes(tag);
+        if ((attributes.rel || '').toLowerCase().split(/\s+/).includes(rel)) {
+            return attributes.href || null;
+        }
+    }
+    return null;
+}
+
+/**
+ * Parse every JSON-LD block, flattening @graph arrays
+ */
+export function getJsonLd(html) {
+    const items = [];
+    for (const match of (html || '').matchAll(/<script\b[^>]*type=["']application\/ld\+json["'][^>]*>([\s\S]*?)<\/script>/gi)) {
+        try {
+            const data = JSON.parse(match[1].trim());
+            for (const item of [data].flat()) {
+                items.push(...(Array.isArray(item?.['@graph']) ? item['@graph'] : [item]));
+            }
+        } catch {
+            // Ignore malformed blocks
+        }
+    }
+    return items.filter(item => item && typeof item === 'object');
+}
+
+/**
+ * Get the inner HTML of every element whose opening tag attributes match a
+ * pattern, balancing nested tags of the same name
+ */
+export function getElementsHtml(html, tagName, attributePattern = null) {
+    const elements = [];
+    const opening = new RegExp(`<${tagName}\\b([^>]*)>`, 'gi');
+    let match;
+
+    while ((match = opening.exec(html || '')) !== null) {
+        if (attributePattern && !attributePattern.test(match[1])) {
+            continue;
+        }
+
+        const tags = new RegExp(`<(/?)${tagName}\\b[^>]*>`, 'gi');
+        tags.lastIndex = opening.lastIndex;
+        let depth = 1;
+        let end = html.length;
+        let tag;
+        while ((tag = tags.exec(html)) !== null) {
+            depth += tag[1] ? -1 : 1;
+            if (depth === 0) {
+                end = tag.index;
+                break;
+            }
+        }
+
+        elements.push(html.slice(opening.lastIndex, end));
+        opening.lastIndex = end;
+    }
+    return elements;
+}
+
+/**
+ * Get the inner HTML of the first matching element, or null
+ */
+export function getElementHtml(html, tagName, attributePattern = null) {
+    return getElementsHtml(html, tagName, attributePattern)[0] ?? null;
+}
+
+/**
+ * Get the text of every <p> in a fragment, skipping empty ones
+ */
+export function getParagraphs(html) {
+    return [...(html || '').matchAll(/<p\b[^>]*>([\s\S]*?)<\/p>/gi)]
+        .map(match => htmlToText(match[1]))
+        .filter(text => text.length > 0);
+}
@@ -0,0 +1,162 @@
+/**
+ * Language helpers - articles carry lowercase ISO 639-1 codes such as "en" or "ur".
+ * Detection is offline: the dominant writing system narrows the candidates and
+ * common function words and script-specific letters pick between them.
+ */
+
+// Scripts written by a single language we ingest
+const SCRIPT_LANGUAGES = {
+    Devanagari: 'hi',
+    Bengali: 'bn',
+    Gurmukhi: 'pa',
+    Cyrillic: 'ru',
+    Greek: 'el',
+    Hebrew: 'he',
+    Thai: 'th',
+    Hangul: 'ko',
+    Han: 'zh'
+};
+
+const SCRIPTS = ['Latin', 'Arabic', 'Hiragana', 'Katakana', ...Object.keys(SCRIPT_LANGUAGES)]
+    .map(script => ({ script, pattern: new RegExp(`\\p{Script=${script}}`, 'u') }));
+
+const STOPWORDS = {
+    Latin: {
+        en: ['the', 'a', 'an', 'and', 'or', 'of', 'to', 'in', 'is', 'for', 'on', 'with', 'as', 'at', 'by', 'from', 'after', 'has', 'was', 'are', 'it', 'that', 'this', 'not', 'who', 'how', 'over', 'says', 'will', 'be', 'his', 'her', 'their', 'between'],
+        fr: ['le', 'la', 'les', 'des', 'du', 'et', 'est', 'une', 'dans', 'pour', 'sur', 'au', 'aux', 'qui', 'pas', 'par', 'avec', 'ce', 'sont'],
+        es: ['el', 'los', 'las', 'del', 'y', 'en', 'una', 'por', 'con', 'para', 'es', 'que', 'se', 'al', 'como', 'su', 'tras'],
+        de: ['der', 'die', 'das', 'und', 'ist', 'den', 'dem', 'nicht', 'mit', 'von', 'zu', 'ein', 'eine', 'auf', 'für', 'im', 'nach', 'sich'],
+        pt: ['o', 'os', 'as', 'do', 'da', 'dos', 'das', 'em', 'um', 'uma', 'para', 'com', 'não', 'que', 'no', 'na', 'ao', 'após'],
+        it: ['il', 'gli', 'della', 'di', 'che', 'è', 'per', 'un', 'una', 'con', 'non', 'nel', 'alla', 'dopo', 'sono'],
+        nl: ['de', 'het', 'een', 'en', 'van', 'is', 'niet', 'op', 'met', 'voor', 'zijn', 'bij', 'na', 'naar']
+    },
+    Arabic: {
+        ur: ['کے', 'کی', 'کا', 'میں', 'ہے', 'ہیں', 'اور', 'سے', 'کو', 'نے', 'یہ', 'وہ', 'پر', 'بھی', 'کہ', 'تھا', 'گیا', 'لیے'],
+        fa: ['و', 'در', 'به', 'از', 'که', 'این', 'را', 'با', 'است', 'برای', 'آن', 'می', 'شد', 'های'],
+        ar: ['في', 'من', 'على', 'إلى', 'عن', 'أن', 'التي', 'الذي', 'مع', 'هذا', 'هذه', 'كان', 'قال', 'بعد']
+    }
+};
+
+// Letters only one of the Arabic-script languages uses
+const DISTINCT_LETTERS = {
+    ur: /[ٹڈڑںھہۂۃےۓ]/gu,
+    fa: /[ۀژ]/gu,
+    ar: /[ةىيأإ]/gu
+};
+
+const RTL_LANGUAGES = new Set(['ur', 'ar', 'fa', 'he', 'ps', 'sd', 'ug', 'yi']);
+
+// Arabic-script letter variants that outlets and keyboards use interchangeably
+const SEARCH_FOLDING = [
+    [/[يى]/gu, 'ی'],  // Arabic yeh and alef maksura -> Farsi yeh
+    [/ك/gu, 'ک'],  // Arabic kaf -> keheh
+    [/ه/gu, 'ہ'],  // Arabic heh -> heh goal
+    [/[ۂۀ]/gu, 'ہ'],  // heh with hamza -> heh goal
+    [/ۓ/gu, 'ے'],  // yeh barree with hamza -> yeh barree
+    [/[أإآٱ]/gu, 'ا'],  // alef with hamza/madda/wasla -> alef
+    [/ـ/gu, '']  // tatweel
+];
+
+/**
+ * Reduce a language tag ("en-GB", "ur_PK", "EN") to its primary subtag, or null
+ */
+export function normalizeLanguageCode(value) {
+    const match = String(value || '').trim().match(/^([a-z]{2,3})(?:[-_][a-z0-9]+)*$/i);
+    return match ? match[1].toLowerCase() : null;
+}
+
+/**
+ * Detect the language of a text, returns an ISO 639-1 code or null when unsure
+ */
+export function detectLanguage(text) {
+    // URLs (feeds sometimes put the link in the description) aren't language
+    const cleaned = String(text || '').replace(/\bhttps?:\/\/\S+/g, ' ');
+    const script = dominantScript(cleaned);
+    if (!script) {
+        return null;
+    }
+    if (script === 'Han' && /[\p{Script=Hiragana}\p{Script=Katakana}]/u.test(cleaned)) {
+        return 'ja';
+    }
+    if (SCRIPT_LANGUAGES[script]) {
+        return SCRIPT_LANGUAGES[script];
+    }
+    if (script === 'Hiragana' || script === 'Katakana') {
+        return 'ja';
+    }
+
+    const words = cleaned.normalize('NFC').toLowerCase().match(/[\p{L}\p{M}]+/gu) || [];
+    const scores = Object.entries(STOPWORDS[script]).map(([language, stopwords]) => {
+        const set = new Set(stopwords);
+        let score = words.filter(word => set.has(word)).length * 2;
+        if (DISTINCT_LETTERS[language]) {
+            score += (cleaned.match(DISTINCT_LETTERS[language]) || []).length;
+        }
+        return { language, score };
+    }).sort((a, b) => b.score - a.score);
+
+    // Too little evidence, or two languages equally likely
+    if (scores[0].score < 2 || scores[0].score === scores[1]?.score) {
+        return null;
+    }
+    return scores[0].language;
+}
+
+/**
+ * Common function words of a language (empty for languages without a list)
+ */
+export function getStopwords(language) {
+    const languages = Object.values(STOPWORDS).find(candidates => candidates[language]);
+    return new Set(languages ? languages[language] : []);
+}
+
+/**
+ * Whether a language is written right to left
+ */
+export function isRightToLeft(language) {
+    return RTL_LANGUAGES.has(language);
+}
+
+/**
+ * Wrap right-to-left text in Unicode isolates so it displays correctly inside
+ * left-to-right console lines
+ */
+export function isolateText(text, language) {
+    return isRightToLeft(language) ? `\u2067${text}\u2069` : text;
+}
+
+/**
+ * Normalize text for the full-text index and for queries - Unicode NFKC plus
+ * folding of Arabic-script letter variants, so Urdu written with Arabic
+ * letters matches Urdu written with Urdu letters
+ */
+export function normalizeSearchText(text) {
+    let normalized = String(text || '').normalize('NFKC');
+    if (/\p{Script=Arabic}/u.test(normalized)) {
+        for (const [pattern, replacement] of SEARCH_FOLDING) {
+            normalized = normalized.replace(pattern, replacement);
+        }
+    }
+    return normalized;
+}
+
+/**
+ * The script with the most letters in a text (null when it has under 3 letters)
+ */
+function dominantScript(text) {
+    const counts = new Map();
+    let letters = 0;
+
+    for (const char of String(text || '').match(/\p{L}/gu) || []) {
+        letters++;
+        const match = SCRIPTS.find(({ pattern }) => pattern.test(char));
+        if (match) {
+            counts.set(match.script, (counts.get(match.script) || 0) + 1);
+        }
+    }
+
+    if (letters < 3 || counts.size === 0) {
+        return null;
+    }
+    return [...counts.entries()].sort((a, b) => b[1] - a[1])[0][0];
+}
@@ -0,0 +1,26 @@
+/**
+ * Article revisions - the stored fields that count as an edit when a feed
+ * republishes an article we already have
+ */
+const TRACKED_FIELDS = [
+    { name: 'title', column: 'title', value: article => article.title },
+    { name: 'content', column: 'content', value: article => article.content },
+    { name: 'image', column: 'image_url', value: article => article.image }
+];
+
+/**
+ * Names of the tracked fields that differ between a stored row and a fetched article
+ * (whitespace-only differences are ignored)
+ */
+export function getChangedFields(row, article) {
+    return TRACKED_FIELDS
+        .filter(field => normalizeValue(row[field.column]) !== normalizeValue(field.value(article)))
+        .map(field => field.name);
+}
+
+/**
+ * Collapse whitespace, treating null and empty as equal
+ */
+function normalizeValue(value) {
+    return String(value ?? '').replace(/\s+/g, ' ').trim();
+}
@@ -0,0 +1,216 @@
+/**
+ * Search Query - Parses user search syntax and compiles it for SQLite FTS5
+ * and MySQL FULLTEXT boolean mode
+ *
+ * Supported syntax:
+ *   budget deficit          both words (implicit AND)
+ *   "prime minister"        exact phrase
+ *   flood OR earthquake     either side
+ *   NOT cricket, -cricket   exclude a term
+ *   elect*                  prefix match
+ */
+
+// Control characters used as highlight markers until the snippet is escaped
+const MARK_START = '\u0002';
+const MARK_END = '\u0003';
+
+export const SNIPPET_MARKERS = { start: MARK_START, end: MARK_END };
+
+/**
+ * Error raised for queries that can't be searched (e.g. only NOT terms)
+ */
+export class SearchQueryError extends Error {
+    constructor(message) {
+        super(message);
+        this.name = 'SearchQueryError';
+    }
+}
+
+/**
+ * Parse a query into OR-separated clauses of { words, phrase, prefix, negated } terms
+ */
+export function parseSearchQuery(input) {
+    const clauses = [[]];
+    let negateNext = false;
+    let lastWasOperator = false;
+
+    for (const token of tokenize(String(input || ''))) {
+        if (token.operator === 'OR') {
+            if (clauses.at(-1).length === 0 || lastWasOperator) {
+                throw new SearchQueryError('OR needs a term on both sides');
+            }
+            clauses.push([]);
+            lastWasOperator = true;
+            continue;
+        }
+        if (token.operator === 'AND') {
+            lastWasOperator = true;
+            continue;
+        }
+        if (token.operator === 'NOT') {
+            negateNext = true;
+            lastWasOperator = true;
+            continue;
+        }
+
+        clauses.at(-1).push({ ...token, negated: token.negated || negateNext });
+        negateNext = false;
+        lastWasOperator = false;
+    }
+
+    if (lastWasOperator && clauses.some(clause => clause.length > 0)) {
+        throw new SearchQueryError('Query cannot end with an operator');
+    }
+
+    const nonEmpty = clauses.filter(clause => clause.length > 0);
+    for (const clause of nonEmpty) {
+        if (clause.every(term => term.negated)) {
+            throw new SearchQueryError('NOT must be combined with at least one term to search for');
+        }
+    }
+
+    return {
+        clauses: nonEmpty,
+        terms: nonEmpty.flat().filter(term => !term.negated),
+        isEmpty: nonEmpty.length === 0
+    };
+}
+
+/**
+ * Split a query into phrase, word and operator tokens
+ */
+function tokenize(input) {
+    const tokens = [];
+    const pattern = /(-?)"([^"]*)"(\*?)|(\S+)/gu;
+
+    for (const match of input.matchAll(pattern)) {
+        if (match[4] === undefined) {
+            const words = extractWords(match[2]);
+            if (words.length > 0) {
+                tokens.push({ words, phrase: true, prefix: match[3] === '*', negated: match[1] === '-' });
+            }
+            continue;
+        }
+
+        const raw = match[4];
+        if (raw === 'AND' || raw === 'OR' || raw === 'NOT') {
+            tokens.push({ operator: raw });
+            continue;
+        }
+
+        const negated = raw.length > 1 && raw.startsWith('-');
+        const words = extractWords(raw);
+        if (words.length > 0) {
+            // Punctuated words like "covid-19" or "U.S." become phrases
+            tokens.push({ words, phrase: words.length > 1, prefix: raw.endsWith('*'), negated });
+        }
+    }
+
+    return tokens;
+}
+
+/**
+ * Extract the letter/number runs from text
+ */
+function extractWords(text) {
+    return text.match(/[\p{L}\p{N}\p{M}]+/gu) || [];
+}
+
+/**
+ * Compile to an FTS5 MATCH expression
+ */
+export function toFts5Query(parsed) {
+    const compileTerm = term => `"${term.words.join(' ')}"${term.prefix ? '*' : ''}`;
+
+    return parsed.clauses.map(clause => {
+        const positives = clause.filter(term => !term.negated).map(compileTerm).join(' AND ');
+        const negatives = clause.filter(term => term.negated).map(term => ` NOT ${compileTerm(term)}`).join('');
+        return `(${positives}${negatives})`;
+    }).join(' OR ');
+}
+
+/**
+ * Compile to a MySQL MATCH ... AGAINST boolean mode expression
+ */
+export function toMySqlBooleanQuery(parsed) {
+    const compileTerm = term => {
+        if (term.phrase) {
+            // Boolean mode has no phrase prefix matching
+            return `"${term.words.join(' ')}"`;
+        }
+        return `${term.words[0]}${term.prefix ? '*' : ''}`;
+    };
+
+    const clauses = parsed.clauses.map(clause =>
+        clause.map(term => `${term.negated ? '-' : '+'}${compileTerm(term)}`).join(' ')
+    );
+
+    return clauses.length === 1 ? clauses[0] : clauses.map(clause => `(${clause})`).join(' ');
+}
+
+/**
+ * Check a text against a parsed query in memory, the way the full-text index
+ * would: any clause with all its terms present and none of its negated ones
+ */
+export function matchesSearchQuery(parsed, text) {
+    const matchesTerm = term => termPattern(term).test(text);
+
+    return parsed.clauses.some(clause =>
+        clause.every(term => matchesTerm(term) !== term.negated)
+    );
+}
+
+/**
+ * Regular expression matching a term as whole words, case-insensitively
+ */
+function termPattern(term) {
+    const words = term.words.map(escapeRegExp).join('[^\\p{L}\\p{N}]+');
+    const pattern = term.prefix ? `${words}[\\p{L}\\p{N}]*` : words;
+    return new RegExp(`(?<![\\p{L}\\p{N}])${pattern}(?![\\p{L}\\p{N}])`, 'iu');
+}
+
+/**
+ * Build a snippet around the first matching term, with highlight markers
+ */
+export function buildSnippet(text, terms, maxLength = 160) {
+    if (!text) {
+        return '';
+    }
+
+    const patterns = terms.map(term => {
+        const words = term.words.map(escapeRegExp).join('[^\\p{L}\\p{N}]+');
+        return term.prefix ? `${words}[\\p{L}\\p{N}]*` : words;
+    });
+    if (patterns.length === 0) {
+        return text.length > maxLength ? `${text.slice(0, maxLength)}…` : text;
+    }
+
+    const matcher = new RegExp(`(?<![\\p{L}\\p{N}])(?:${patterns.join('|')})(?![\\p{L}\\p{N}])`, 'giu');
+    const first = matcher.exec(text);
+    matcher.lastIndex = 0;
+
+    const start = first ? Math.max(0, first.index - Math.floor(maxLength / 3)) : 0;
+    const end = Math.min(text.length, start + maxLength);
+    const window = text.slice(start, end).replace(matcher, match => `${MARK_START}${match}${MARK_END}`);
+
+    return `${start > 0 ? '…' : ''}${window}${end < text.length ? '…' : ''}`;
+}
+
+/**
+ * Escape a snippet for HTML and turn markers into <mark> tags
+ */
+export function formatSnippet(snippet) {
+    return (snippet || '')
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(new RegExp(MARK_START, 'g'), '<mark>')
+        .replace(new RegExp(MARK_END, 'g'), '</mark>');
+}
+
+/**
+ * Escape special characters for use in a regular expression
+ */
+function escapeRegExp(text) {
+    return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
@@ -0,0 +1,52 @@
+import { normalizeTitle } from './fingerprints.js';
+
+// Words too common in headlines to say anything about the story
+const STOP_WORDS = new Set([
+    'a', 'an', 'and', 'are', 'as', 'at', 'be', 'by', 'for', 'from', 'has', 'have', 'in', 'into', 'is', 'it',
+    'its', 'of', 'on', 'or', 'over', 'says', 'than', 'that', 'the', 'their', 'to', 'up', 'was', 'were',
+    'what', 'who', 'will', 'with', 'after', 'amid', 'new', 'live', 'news', 'latest', 'updates'
+]);
+
+/**
+ * Jaccard similarity of two word collections (0 = disjoint, 1 = identical)
+ */
+export function jaccardSimilarity(words1, words2) {
+    const set1 = new Set(words1);
+    const set2 = new Set(words2);
+    const union = new Set([...set1, ...set2]);
+    if (union.size === 0) {
+        return 0;
+    }
+
+    const intersection = [...set1].filter(word => set2.has(word));
+    return intersection.length / union.size;
+}
+
+/**
+ * Reduce a title to its significant words for cross-source comparison -
+ * stop words are dropped and English suffixes stripped, so
+ * "strikes"/"strike" and "killing"/"kills" compare equal
+ */
+export function titleTokens(title) {
+    return new Set(
+        normalizeTitle(title)
+            .split(' ')
+            .filter(word => word.length > 1 && !STOP_WORDS.has(word))
+            .map(stem)
+    );
+}
+
+/**
+ * Crude suffix stripping for lowercase ASCII words
+ */
+function stem(word) {
+    if (!/^[a-z]{4,}$/.test(word)) {
+        return word;
+    }
+
+    return word
+        .replace(/ies$/, 'y')
+        .replace(/(ing|ed)$/, '')
+        .replace(/([^s])s$/, '$1')
+        .replace(/e$/, '');
+}
@@ -0,0 +1,84 @@
+import { urlRules } from '../../config/url-rules.config.js';
+
+/**
+ * Canonicalize an article URL so tracking parameters, http/https, trailing
+ * slashes and AMP variants of the same story compare equal
+ */
+export function canonicalizeUrl(url, sourceName = null, rules = urlRules) {
+    const trimmed = (url || '').trim();
+
+    let parsed;
+    try {
+        parsed = new URL(trimmed);
+    } catch {
+        return trimmed;
+    }
+    if (parsed.protocol !== 'http:' && parsed.protocol !== 'https:') {
+        return trimmed;
+    }
+
+    const rule = resolveRule(parsed.hostname, sourceName, rules);
+    parsed.hash = '';
+
+    if (rule.forceHttps && parsed.protocol === 'http:') {
+        parsed.protocol = 'https:';
+        parsed.port = '';
+    }
+
+    if (rule.hostAliases[parsed.hostname]) {
+        parsed.hostname = rule.hostAliases[parsed.hostname];
+    }
+
+    if (rule.stripAmp) {
+        stripAmp(parsed);
+    }
+
+    const params = [...parsed.searchParams.entries()]
+        .filter(([key]) => !rule.stripParams.some(pattern => matchesParam(key, pattern)))
+        .sort(([a], [b]) => a.localeCompare(b));
+    parsed.search = new URLSearchParams(params).toString();
+
+    if (rule.stripTrailingSlash && parsed.pathname.length > 1) {
+        parsed.pathname = parsed.pathname.replace(/\/+$/, '') || '/';
+    }
+
+    return parsed.toString();
+}
+
+/**
+ * Merge the default rule with the outlet rule for this source/host
+ */
+function resolveRule(hostname, sourceName, rules) {
+    const outlet = rules.sources.find(rule => sourceName && (rule.sources || []).includes(sourceName)) ||
+        rules.sources.find(rule => (rule.hosts || []).some(host => hostname === host || hostname.endsWith(`.${host}`))) ||
+        {};
+
+    return {
+        ...rules.default,
+        ...outlet,
+        stripParams: [...(rules.default.stripParams || []), ...(outlet.stripParams || [])],
+        hostAliases: outlet.hostAliases || {}
+    };
+}
+
+/**
+ * Remove AMP markers from path and query
+ */
+function stripAmp(parsed) {
+    parsed.pathname = parsed.pathname
+        .replace(/\/amp\/?$/, '')
+        .replace(/^\/amp(?=\/)/, '')
+        .replace(/\.amp(\.html)?$/, (match, html) => html || '');
+
+    parsed.searchParams.delete('amp');
+    if (parsed.searchParams.get('outputType') === 'amp') {
+        parsed.searchParams.delete('outputType');
+    }
+}
+
+/**
+ * Match a query parameter name against a pattern with optional trailing *
+ */
+function matchesParam(key, pattern) {
+    return pattern.endsWith('*') ? key.startsWith(pattern.slice(0, -1)) : key === pattern;
+}